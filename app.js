@@ -4,12 +4,19 @@ const path = require('path');
 const session = require('express-session');
 const crypto = require('crypto');
 const cors = require('cors');
+const { PLAYER_ACTION, sessionStatus } = require('./lib/player-sessions');
+const { GATE_ACTION, isValidSlug, gateLinkStatus } = require('./lib/gate-links');
+const { countryOf } = require('./lib/country-policy');
+const { trustProxySetting } = require('./lib/ip');
+const { getStorage } = require('./lib/storage');
+const { scheduleAnalyticsRollups } = require('./lib/analytics-rollups');
+const { scheduleInterruptedDeliveryCheck } = require('./lib/rcon');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Trust proxy for production deployment (Vercel, etc.)
-app.set('trust proxy', true);
+// Only the proxies named in TRUST_PROXY may set the client IP (X-Forwarded-For)
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 
 // Session configuration
 app.use(session({
@@ -56,6 +63,10 @@ app.use('/api', apiRoutes);
 const authRoutes = require('./routes/auth');
 app.use('/auth', authRoutes);
 
+// First-run setup wizard
+const setupRoutes = require('./routes/setup');
+app.use('/setup', setupRoutes);
+
 // Routes
 app.get('/', (req, res) => {
     res.render('index', { 
@@ -87,8 +98,7 @@ app.get('/docs', (req, res) => {
 // Live Demo page
 app.get('/demo', (req, res) => {
     res.render('pages/demo', { 
-        title: 'Live Demo | DefendAMinecraft',
-        challenge: generateChallenge()
+        title: 'Live Demo | DefendAMinecraft'
     });
 });
 
@@ -130,6 +140,85 @@ app.get('/dashboard', authRoutes.requireAuth, (req, res) => {
     });
 });
 
+// Player verification: enter the short code shown in game
+app.get('/v', async (req, res, next) => {
+    try {
+        const code = String(req.query.code || '').trim().toUpperCase();
+        if (!code) {
+            return res.render('pages/verify-player', {
+                title: 'Verify Your Minecraft Account | DefendAMinecraft',
+                session: null,
+                status: null,
+                error: null
+            });
+        }
+
+        const session = await getStorage().findPlayerSessionByCode(code);
+        if (session) {
+            return res.redirect(`/v/${session.id}`);
+        }
+
+        res.status(404).render('pages/verify-player', {
+            title: 'Verify Your Minecraft Account | DefendAMinecraft',
+            session: null,
+            status: null,
+            error: 'That code is not valid or has expired. Ask the server for a new one.'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Player verification page opened from the link sent by the game server
+app.get('/v/:sessionId', async (req, res, next) => {
+    try {
+        const session = await getStorage().getPlayerSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).render('pages/404', {
+                title: 'Page Not Found | DefendAMinecraft'
+            });
+        }
+
+        res.render('pages/verify-player', {
+            title: 'Verify Your Minecraft Account | DefendAMinecraft',
+            session,
+            status: sessionStatus(session),
+            action: PLAYER_ACTION,
+            error: null
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Gate link: pass the challenge to see where the link goes
+app.get('/g/:slug', async (req, res, next) => {
+    try {
+        const link = isValidSlug(req.params.slug) ? await getStorage().findGateLinkBySlug(req.params.slug) : null;
+        if (!link) {
+            return res.status(404).render('pages/404', {
+                title: 'Page Not Found | DefendAMinecraft'
+            });
+        }
+
+        const status = gateLinkStatus(link);
+        // Each page load of an active link counts as a view
+        if (status === 'active') {
+            await getStorage().recordGateLinkEvent(link, 'view', countryOf(req.ip));
+        }
+
+        // Only what the page needs; the target stays on the server until unlocked
+        res.status(status === 'active' ? 200 : 410).render('pages/gate-link', {
+            title: `${link.name} | DefendAMinecraft`,
+            link: { slug: link.slug, name: link.name, mode: link.mode, site_key: link.site_key },
+            status,
+            action: GATE_ACTION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Integration Guide
 app.get('/integration', (req, res) => {
     res.render('pages/integration', { 
@@ -165,40 +254,10 @@ app.use((req, res) => {
     });
 });
 
-app.post('/verify', (req, res) => {
-    const { challenge, response } = req.body;
-    // In a real implementation, verify the response against the challenge
-    const isValid = verifyChallenge(challenge, response);
-    
-    res.json({ 
-        success: isValid,
-        message: isValid ? 'Verification successful!' : 'Verification failed. Please try again.'
-    });
-});
-
-// Challenge generation and verification
-function generateChallenge() {
-    // Generate a simple challenge (in a real app, this would be more complex)
-    const a = Math.floor(Math.random() * 10) + 1;
-    const b = Math.floor(Math.random() * 10) + 1;
-    return {
-        question: `What is ${a} + ${b}?`,
-        answer: (a + b).toString()
-    };
-}
-
-function verifyChallenge(challenge, response) {
-    // In a real implementation, verify the challenge response
-    // This is a simplified version
-    try {
-        const { answer } = JSON.parse(challenge);
-        return response === answer;
-    } catch (e) {
-        return false;
-    }
-}
-
 // Start server
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
+    setupRoutes.announceSetup(`http://localhost:${PORT}`);
+    scheduleAnalyticsRollups(getStorage());
+    scheduleInterruptedDeliveryCheck(getStorage());
 });
@@ -0,0 +1,678 @@
+-- DefendAMinecraft baseline schema
+-- Replaces database/schema.sql and database/supabase-setup.sql. Every
+-- statement tolerates existing objects, so databases set up from either
+-- file are brought up to date rather than recreated. (The old user_sessions
+-- table is not created; nothing reads it.)
+
+-- migrate:up
+
+-- Enable necessary extensions
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- Users table (dashboard accounts, signed in with GitHub)
+CREATE TABLE IF NOT EXISTS public.users (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    email TEXT UNIQUE,
+    full_name TEXT,
+    avatar_url TEXT,
+    github_username TEXT,
+    github_id INTEGER UNIQUE,
+    company TEXT,
+    website TEXT,
+    bio TEXT,
+    location TEXT,
+    public_repos INTEGER DEFAULT 0,
+    followers INTEGER DEFAULT 0,
+    following INTEGER DEFAULT 0,
+    navbar_preference TEXT DEFAULT 'top' CHECK (navbar_preference IN ('top', 'sidebar', 'bottom')),
+    theme_preference TEXT DEFAULT 'dark' CHECK (theme_preference IN ('dark', 'light')),
+    email_notifications BOOLEAN DEFAULT true,
+    marketing_emails BOOLEAN DEFAULT false,
+    security_alerts BOOLEAN DEFAULT true,
+    github_created_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrade existing installations: users sign in with GitHub rather than
+-- Supabase Auth, and are matched by their GitHub id
+ALTER TABLE public.users DROP CONSTRAINT IF EXISTS users_id_fkey;
+ALTER TABLE public.users ALTER COLUMN id SET DEFAULT uuid_generate_v4();
+ALTER TABLE public.users ALTER COLUMN email DROP NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_github_id_unique ON public.users(github_id);
+
+-- API Keys table
+CREATE TABLE IF NOT EXISTS public.api_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    key_value TEXT UNIQUE NOT NULL, -- public site key (da_live_...)
+    secret_key TEXT UNIQUE NOT NULL, -- private secret key (da_secret_...)
+    environment TEXT NOT NULL CHECK (environment IN ('production', 'development', 'testing')),
+    domain TEXT,
+    is_active BOOLEAN DEFAULT true,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    usage_count INTEGER DEFAULT 0,
+    rate_limit INTEGER DEFAULT 1000, -- requests per minute for the whole key
+    ip_rate_limit INTEGER DEFAULT 60, -- requests per minute for one client IP on the key
+    challenge_threshold DECIMAL(3,2) DEFAULT 0.50 CHECK (challenge_threshold BETWEEN 0 AND 1), -- risk scores below this get an interactive challenge
+    block_threshold DECIMAL(3,2) DEFAULT 0.20 CHECK (block_threshold BETWEEN 0 AND 1), -- risk scores below this are blocked
+    country_policy JSONB DEFAULT '{}'::jsonb, -- { default, allow: [], challenge: [], block: [] } country codes
+    action_thresholds JSONB DEFAULT '{}'::jsonb, -- { login: { challenge, block } } per named action
+    player_ttl_days INTEGER DEFAULT 30, -- days a player verification lasts, 0 = forever
+    alt_window_days INTEGER DEFAULT 30, -- days apart verifications can be to link alt accounts
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrade existing installations: every API key gets a secret key
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS secret_key TEXT UNIQUE;
+UPDATE public.api_keys SET secret_key = 'da_secret_' || encode(gen_random_bytes(24), 'base64') WHERE secret_key IS NULL;
+ALTER TABLE public.api_keys ALTER COLUMN secret_key SET NOT NULL;
+
+-- Upgrade existing installations: per-key risk score thresholds
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS challenge_threshold DECIMAL(3,2) DEFAULT 0.50 CHECK (challenge_threshold BETWEEN 0 AND 1);
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS block_threshold DECIMAL(3,2) DEFAULT 0.20 CHECK (block_threshold BETWEEN 0 AND 1);
+
+-- Upgrade existing installations: per-IP rate limit on each key
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS ip_rate_limit INTEGER DEFAULT 60;
+
+-- Upgrade existing installations: per-key country policy
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS country_policy JSONB DEFAULT '{}'::jsonb;
+
+-- Upgrade existing installations: per-action risk score thresholds
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS action_thresholds JSONB DEFAULT '{}'::jsonb;
+
+-- Upgrade existing installations: how long player verifications last
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS player_ttl_days INTEGER DEFAULT 30;
+
+-- Upgrade existing installations: alt-account detection window
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS alt_window_days INTEGER DEFAULT 30;
+
+-- Websites table
+CREATE TABLE IF NOT EXISTS public.websites (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    domain TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    verification_count INTEGER DEFAULT 0,
+    blocked_attempts INTEGER DEFAULT 0,
+    success_rate DECIMAL(5,2) DEFAULT 0.00,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, domain)
+);
+
+-- Verification Logs table
+CREATE TABLE IF NOT EXISTS public.verification_logs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    website_id UUID REFERENCES public.websites(id) ON DELETE CASCADE,
+    ip_address INET,
+    user_agent TEXT,
+    result TEXT NOT NULL CHECK (result IN ('success', 'failed', 'blocked', 'suspicious')),
+    verification_time DECIMAL(8,3), -- in milliseconds
+    challenge_type TEXT DEFAULT 'checkbox',
+    country_code TEXT,
+    city TEXT,
+    is_bot BOOLEAN DEFAULT false,
+    confidence_score DECIMAL(5,2),
+    reasons JSONB DEFAULT '[]'::jsonb, -- [{ code, detector, contribution }] behind the score
+    country_rule TEXT, -- country policy rule applied, e.g. 'block:CN' or 'challenge:*'
+    action TEXT, -- action named by the page, e.g. 'login'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrade existing installations: reason codes behind each verification score
+ALTER TABLE public.verification_logs ADD COLUMN IF NOT EXISTS reasons JSONB DEFAULT '[]'::jsonb;
+
+-- Upgrade existing installations: country policy rule behind each verification
+ALTER TABLE public.verification_logs ADD COLUMN IF NOT EXISTS country_rule TEXT;
+
+-- Upgrade existing installations: action named by the page
+ALTER TABLE public.verification_logs ADD COLUMN IF NOT EXISTS action TEXT;
+
+-- Security Events table
+CREATE TABLE IF NOT EXISTS public.security_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN ('api_key_created', 'api_key_regenerated', 'api_key_deleted', 'suspicious_activity', 'rate_limit_exceeded', 'hostname_not_allowed', 'login', 'logout')),
+    description TEXT,
+    ip_address INET,
+    user_agent TEXT,
+    metadata JSONB,
+    severity TEXT DEFAULT 'info' CHECK (severity IN ('info', 'warning', 'error', 'critical')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrade existing installations: allow the hostname_not_allowed event type
+ALTER TABLE public.security_events DROP CONSTRAINT IF EXISTS security_events_event_type_check;
+ALTER TABLE public.security_events ADD CONSTRAINT security_events_event_type_check CHECK (event_type IN ('api_key_created', 'api_key_regenerated', 'api_key_deleted', 'suspicious_activity', 'rate_limit_exceeded', 'hostname_not_allowed', 'login', 'logout'));
+
+-- Analytics Summary table
+CREATE TABLE IF NOT EXISTS public.analytics_summary (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    date DATE NOT NULL,
+    total_verifications INTEGER DEFAULT 0,
+    successful_verifications INTEGER DEFAULT 0,
+    blocked_attempts INTEGER DEFAULT 0,
+    unique_visitors INTEGER DEFAULT 0,
+    average_response_time DECIMAL(8,3),
+    top_countries JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, date)
+);
+
+-- Consumed Tokens table (single-use challenge and response tokens)
+CREATE TABLE IF NOT EXISTS public.consumed_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Rate Limit Counters table (fixed-window hit counters shared by every instance)
+CREATE TABLE IF NOT EXISTS public.rate_limit_counters (
+    key TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- IP Rules table (per-key IP/CIDR allowlist and denylist)
+CREATE TABLE IF NOT EXISTS public.ip_rules (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    cidr CIDR NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('allow', 'deny')),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(api_key_id, cidr)
+);
+
+-- Player Sessions table (one-time Minecraft player verification links)
+CREATE TABLE IF NOT EXISTS public.player_sessions (
+    id TEXT PRIMARY KEY, -- random, used in the /v/:id link
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    code TEXT NOT NULL, -- short code players can type instead of opening the link
+    player_uuid UUID NOT NULL,
+    player_name TEXT NOT NULL,
+    site_key TEXT NOT NULL, -- site key the hosted page renders its widget with
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified')),
+    score DECIMAL(5,2),
+    callback_url TEXT,
+    callback_status TEXT CHECK (callback_status IN ('pending', 'delivered', 'failed')),
+    alt_suspect BOOLEAN NOT NULL DEFAULT false,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Verified Players table (registry of Minecraft players who passed verification, per key/website)
+CREATE TABLE IF NOT EXISTS public.verified_players (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    website_id UUID REFERENCES public.websites(id) ON DELETE SET NULL,
+    player_uuid UUID NOT NULL,
+    player_name TEXT NOT NULL,
+    score DECIMAL(5,2), -- risk score of the verification
+    session_id TEXT, -- player session that verified them
+    verified_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE, -- NULL when verifications never expire
+    revoked BOOLEAN NOT NULL DEFAULT false,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason TEXT,
+    alt_suspect BOOLEAN NOT NULL DEFAULT false, -- shares fingerprints with other accounts
+    UNIQUE(api_key_id, player_uuid)
+);
+
+-- Upgrade existing installations: alt-account flags
+ALTER TABLE public.player_sessions ADD COLUMN IF NOT EXISTS alt_suspect BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE public.verified_players ADD COLUMN IF NOT EXISTS alt_suspect BOOLEAN NOT NULL DEFAULT false;
+
+-- Player Fingerprints table (keyed hashes of where each player verified from, for alt-account detection)
+CREATE TABLE IF NOT EXISTS public.player_fingerprints (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    player_uuid UUID NOT NULL,
+    player_name TEXT NOT NULL,
+    browser_hash TEXT, -- hosted page browser id
+    device_hash TEXT, -- user agent, screen, timezone, language, platform, cores
+    network_hash TEXT, -- IPv4 /24 or IPv6 /48
+    seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- RCON Integrations table (game server console access for whitelist automation, one per key/website)
+CREATE TABLE IF NOT EXISTS public.rcon_integrations (
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE PRIMARY KEY,
+    website_id UUID REFERENCES public.websites(id) ON DELETE SET NULL,
+    host TEXT NOT NULL,
+    port INTEGER NOT NULL DEFAULT 25575,
+    password_encrypted TEXT NOT NULL, -- AES-256-GCM, keyed by ENCRYPTION_KEY
+    on_verify JSONB NOT NULL DEFAULT '[]', -- command templates, e.g. "whitelist add {player}"
+    on_revoke JSONB NOT NULL DEFAULT '[]',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RCON Deliveries table (log of commands sent for player events)
+CREATE TABLE IF NOT EXISTS public.rcon_deliveries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    event TEXT NOT NULL CHECK (event IN ('verify', 'revoke')),
+    player_uuid UUID NOT NULL,
+    player_name TEXT NOT NULL,
+    commands JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    responses JSONB, -- server replies, one per command
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Gate Links table (short links that reveal or redirect to a target once the visitor passes a challenge)
+CREATE TABLE IF NOT EXISTS public.gate_links (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    site_key TEXT NOT NULL, -- key the gate page's widget runs with
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'redirect' CHECK (mode IN ('redirect', 'reveal')),
+    target TEXT NOT NULL, -- URL to redirect to, or text to reveal
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_uses INTEGER, -- NULL for unlimited
+    uses INTEGER NOT NULL DEFAULT 0,
+    views INTEGER NOT NULL DEFAULT 0,
+    disabled BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Gate Link Events table (page views, unlocks and failed attempts per link)
+CREATE TABLE IF NOT EXISTS public.gate_link_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    link_id UUID REFERENCES public.gate_links(id) ON DELETE CASCADE NOT NULL,
+    event TEXT NOT NULL CHECK (event IN ('view', 'unlock', 'failure')),
+    country_code TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_users_email ON public.users(email);
+CREATE INDEX IF NOT EXISTS idx_users_github_id ON public.users(github_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON public.api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_value ON public.api_keys(key_value);
+CREATE INDEX IF NOT EXISTS idx_api_keys_secret_key ON public.api_keys(secret_key);
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON public.api_keys(is_active);
+CREATE INDEX IF NOT EXISTS idx_websites_user_id ON public.websites(user_id);
+CREATE INDEX IF NOT EXISTS idx_websites_domain ON public.websites(domain);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_api_key ON public.verification_logs(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_created_at ON public.verification_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_result ON public.verification_logs(result);
+CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON public.security_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON public.security_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_api_key ON public.security_events(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_summary_user_date ON public.analytics_summary(user_id, date);
+CREATE INDEX IF NOT EXISTS idx_consumed_tokens_expires_at ON public.consumed_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON public.rate_limit_counters(reset_at);
+CREATE INDEX IF NOT EXISTS idx_ip_rules_api_key ON public.ip_rules(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_player_sessions_api_key ON public.player_sessions(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_player_sessions_code ON public.player_sessions(code);
+CREATE INDEX IF NOT EXISTS idx_verified_players_name ON public.verified_players(api_key_id, lower(player_name));
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_player ON public.player_fingerprints(api_key_id, player_uuid);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_browser ON public.player_fingerprints(api_key_id, browser_hash);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_device ON public.player_fingerprints(api_key_id, device_hash);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_network ON public.player_fingerprints(api_key_id, network_hash);
+CREATE INDEX IF NOT EXISTS idx_rcon_deliveries_api_key ON public.rcon_deliveries(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_gate_links_api_key ON public.gate_links(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_gate_link_events_link ON public.gate_link_events(link_id, created_at);
+
+-- Function for automatic timestamp updates
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Triggers for automatic timestamp updates
+DROP TRIGGER IF EXISTS update_users_updated_at ON public.users;
+CREATE TRIGGER update_users_updated_at 
+    BEFORE UPDATE ON public.users 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON public.api_keys;
+CREATE TRIGGER update_api_keys_updated_at 
+    BEFORE UPDATE ON public.api_keys 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_websites_updated_at ON public.websites;
+CREATE TRIGGER update_websites_updated_at 
+    BEFORE UPDATE ON public.websites 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to generate API keys
+CREATE OR REPLACE FUNCTION generate_api_key()
+RETURNS TEXT AS $$
+BEGIN
+    RETURN 'da_live_' || encode(gen_random_bytes(24), 'base64');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to generate secret keys
+CREATE OR REPLACE FUNCTION generate_secret_key()
+RETURNS TEXT AS $$
+BEGIN
+    RETURN 'da_secret_' || encode(gen_random_bytes(24), 'base64');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Functions to count rate-limited requests atomically (see lib/rate-limit-store.js)
+CREATE OR REPLACE FUNCTION increment_rate_limit(p_key TEXT, p_window_ms INTEGER)
+RETURNS TABLE (hits INTEGER, reset_at TIMESTAMP WITH TIME ZONE) AS $$
+#variable_conflict use_column
+BEGIN
+    RETURN QUERY
+    INSERT INTO public.rate_limit_counters AS c (key, hits, reset_at)
+    VALUES (p_key, 1, NOW() + p_window_ms * INTERVAL '1 millisecond')
+    ON CONFLICT (key) DO UPDATE SET
+        hits = CASE WHEN c.reset_at <= NOW() THEN 1 ELSE c.hits + 1 END,
+        reset_at = CASE WHEN c.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE c.reset_at END
+    RETURNING c.hits, c.reset_at;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION decrement_rate_limit(p_key TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE public.rate_limit_counters SET hits = GREATEST(hits - 1, 0) WHERE key = p_key;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to update website stats
+CREATE OR REPLACE FUNCTION update_website_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE public.websites 
+        SET 
+            verification_count = verification_count + 1,
+            blocked_attempts = CASE 
+                WHEN NEW.result IN ('blocked', 'failed') THEN blocked_attempts + 1 
+                ELSE blocked_attempts 
+            END,
+            success_rate = (
+                SELECT ROUND(
+                    (COUNT(*) FILTER (WHERE result = 'success')::DECIMAL / COUNT(*)) * 100, 2
+                )
+                FROM public.verification_logs 
+                WHERE website_id = NEW.website_id
+            )
+        WHERE id = NEW.website_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger to update website stats
+DROP TRIGGER IF EXISTS update_website_stats_trigger ON public.verification_logs;
+CREATE TRIGGER update_website_stats_trigger
+    AFTER INSERT ON public.verification_logs
+    FOR EACH ROW EXECUTE FUNCTION update_website_stats();
+
+-- Function to clean up old verification logs (keep only 90 days)
+CREATE OR REPLACE FUNCTION cleanup_old_logs()
+RETURNS void AS $$
+BEGIN
+    DELETE FROM public.verification_logs 
+    WHERE created_at < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to handle new user registration from GitHub OAuth
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.users (id, email, full_name, avatar_url, github_username, github_id)
+    VALUES (
+        NEW.id,
+        NEW.email,
+        NEW.raw_user_meta_data->>'full_name',
+        NEW.raw_user_meta_data->>'avatar_url',
+        NEW.raw_user_meta_data->>'user_name',
+        (NEW.raw_user_meta_data->>'provider_id')::INTEGER
+    )
+    ON CONFLICT (id) DO UPDATE SET
+        email = EXCLUDED.email,
+        full_name = EXCLUDED.full_name,
+        avatar_url = EXCLUDED.avatar_url,
+        github_username = EXCLUDED.github_username,
+        github_id = EXCLUDED.github_id,
+        updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Trigger for new user registration
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+    AFTER INSERT ON auth.users
+    FOR EACH ROW EXECUTE FUNCTION public.handle_new_user();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.websites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.verification_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.security_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.analytics_summary ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.consumed_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rate_limit_counters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ip_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.player_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.verified_players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rcon_integrations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.player_fingerprints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rcon_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gate_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gate_link_events ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for users table
+DROP POLICY IF EXISTS "Users can view own profile" ON public.users;
+CREATE POLICY "Users can view own profile" ON public.users 
+    FOR SELECT USING (auth.uid() = id);
+
+DROP POLICY IF EXISTS "Users can update own profile" ON public.users;
+CREATE POLICY "Users can update own profile" ON public.users 
+    FOR UPDATE USING (auth.uid() = id);
+
+-- RLS Policies for api_keys table
+DROP POLICY IF EXISTS "Users can view own API keys" ON public.api_keys;
+CREATE POLICY "Users can view own API keys" ON public.api_keys 
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own API keys" ON public.api_keys;
+CREATE POLICY "Users can create own API keys" ON public.api_keys 
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own API keys" ON public.api_keys;
+CREATE POLICY "Users can update own API keys" ON public.api_keys 
+    FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own API keys" ON public.api_keys;
+CREATE POLICY "Users can delete own API keys" ON public.api_keys 
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for websites table
+DROP POLICY IF EXISTS "Users can view own websites" ON public.websites;
+CREATE POLICY "Users can view own websites" ON public.websites 
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own websites" ON public.websites;
+CREATE POLICY "Users can create own websites" ON public.websites 
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own websites" ON public.websites;
+CREATE POLICY "Users can update own websites" ON public.websites 
+    FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own websites" ON public.websites;
+CREATE POLICY "Users can delete own websites" ON public.websites 
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for verification_logs table
+DROP POLICY IF EXISTS "Users can view own verification logs" ON public.verification_logs;
+CREATE POLICY "Users can view own verification logs" ON public.verification_logs 
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys 
+            WHERE api_keys.id = verification_logs.api_key_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for security_events table
+DROP POLICY IF EXISTS "Users can view own security events" ON public.security_events;
+CREATE POLICY "Users can view own security events" ON public.security_events 
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- RLS Policies for ip_rules table
+DROP POLICY IF EXISTS "Users can manage own IP rules" ON public.ip_rules;
+CREATE POLICY "Users can manage own IP rules" ON public.ip_rules 
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys 
+            WHERE api_keys.id = ip_rules.api_key_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for player_sessions table
+DROP POLICY IF EXISTS "Users can view own player sessions" ON public.player_sessions;
+CREATE POLICY "Users can view own player sessions" ON public.player_sessions 
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys 
+            WHERE api_keys.id = player_sessions.api_key_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for verified_players table
+DROP POLICY IF EXISTS "Users can view own verified players" ON public.verified_players;
+CREATE POLICY "Users can view own verified players" ON public.verified_players 
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys 
+            WHERE api_keys.id = verified_players.api_key_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for rcon_deliveries table
+-- (rcon_integrations holds encrypted passwords and player_fingerprints hashed network
+-- data; both are left to the service role)
+DROP POLICY IF EXISTS "Users can view own RCON deliveries" ON public.rcon_deliveries;
+CREATE POLICY "Users can view own RCON deliveries" ON public.rcon_deliveries 
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys 
+            WHERE api_keys.id = rcon_deliveries.api_key_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for gate_links and gate_link_events tables
+DROP POLICY IF EXISTS "Users can view own gate links" ON public.gate_links;
+CREATE POLICY "Users can view own gate links" ON public.gate_links 
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys 
+            WHERE api_keys.id = gate_links.api_key_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can view own gate link events" ON public.gate_link_events;
+CREATE POLICY "Users can view own gate link events" ON public.gate_link_events 
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.gate_links 
+            JOIN public.api_keys ON api_keys.id = gate_links.api_key_id 
+            WHERE gate_links.id = gate_link_events.link_id 
+            AND api_keys.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for analytics_summary table
+DROP POLICY IF EXISTS "Users can view own analytics" ON public.analytics_summary;
+CREATE POLICY "Users can view own analytics" ON public.analytics_summary 
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Grant necessary permissions
+GRANT USAGE ON SCHEMA public TO anon, authenticated;
+GRANT ALL ON ALL TABLES IN SCHEMA public TO authenticated;
+GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO authenticated;
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO authenticated;
+
+-- Rate limit counters are only updated by the server (service role)
+REVOKE EXECUTE ON FUNCTION increment_rate_limit(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION decrement_rate_limit(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON public.rate_limit_counters FROM anon, authenticated;
+
+-- Grant limited permissions to anonymous users (for API verification)
+GRANT SELECT (id, user_id, key_value, environment, domain, is_active) ON public.api_keys TO anon;
+GRANT INSERT ON public.verification_logs TO anon;
+
+COMMENT ON TABLE public.users IS 'User profiles and preferences';
+COMMENT ON TABLE public.api_keys IS 'API keys for reCAPTCHA service access';
+COMMENT ON TABLE public.websites IS 'Websites protected by the reCAPTCHA service';
+COMMENT ON TABLE public.verification_logs IS 'Log of all verification attempts';
+COMMENT ON TABLE public.security_events IS 'Security-related events and alerts';
+COMMENT ON TABLE public.analytics_summary IS 'Daily analytics summary for dashboard';
+COMMENT ON TABLE public.consumed_tokens IS 'Redeemed single-use tokens, kept until they expire';
+COMMENT ON TABLE public.rate_limit_counters IS 'Fixed-window rate limit counters shared across instances';
+COMMENT ON TABLE public.ip_rules IS 'Per-key IP/CIDR ranges that are always allowed or always blocked';
+COMMENT ON TABLE public.player_sessions IS 'One-time Minecraft player verification sessions opened by server plugins';
+COMMENT ON TABLE public.verified_players IS 'Minecraft players who passed verification, with expiry and revocation';
+COMMENT ON TABLE public.player_fingerprints IS 'Hashed browser, device and network fingerprints of player verifications';
+COMMENT ON TABLE public.rcon_integrations IS 'RCON connection and whitelist command templates per key';
+COMMENT ON TABLE public.rcon_deliveries IS 'RCON commands sent for player verifications and revocations';
+COMMENT ON TABLE public.gate_links IS 'Challenge-protected short links to invites, server addresses and other targets';
+COMMENT ON TABLE public.gate_link_events IS 'Views, unlocks and failed attempts of gate links';
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+
+DROP TABLE IF EXISTS public.gate_link_events;
+DROP TABLE IF EXISTS public.gate_links;
+DROP TABLE IF EXISTS public.rcon_deliveries;
+DROP TABLE IF EXISTS public.rcon_integrations;
+DROP TABLE IF EXISTS public.player_fingerprints;
+DROP TABLE IF EXISTS public.verified_players;
+DROP TABLE IF EXISTS public.player_sessions;
+DROP TABLE IF EXISTS public.ip_rules;
+DROP TABLE IF EXISTS public.rate_limit_counters;
+DROP TABLE IF EXISTS public.consumed_tokens;
+DROP TABLE IF EXISTS public.analytics_summary;
+DROP TABLE IF EXISTS public.security_events;
+DROP TABLE IF EXISTS public.verification_logs;
+DROP TABLE IF EXISTS public.websites;
+DROP TABLE IF EXISTS public.api_keys;
+DROP TABLE IF EXISTS public.users;
+
+DROP FUNCTION IF EXISTS public.handle_new_user();
+DROP FUNCTION IF EXISTS cleanup_old_logs();
+DROP FUNCTION IF EXISTS update_website_stats();
+DROP FUNCTION IF EXISTS decrement_rate_limit(TEXT);
+DROP FUNCTION IF EXISTS increment_rate_limit(TEXT, INTEGER);
+DROP FUNCTION IF EXISTS generate_secret_key();
+DROP FUNCTION IF EXISTS generate_api_key();
+DROP FUNCTION IF EXISTS update_updated_at_column();
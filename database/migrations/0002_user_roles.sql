@@ -0,0 +1,13 @@
+-- Dashboard roles; the setup wizard makes the first account an admin
+
+-- migrate:up
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON public.users(role);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS public.idx_users_role;
+
+ALTER TABLE public.users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,80 @@
+-- Verification rollups: totals per user, key and website for each UTC day
+-- and hour, written by lib/analytics-rollups.js. Nothing wrote to the old
+-- one-row-per-user-and-day analytics_summary, so it is replaced rather than
+-- converted.
+
+-- migrate:up
+
+DROP TABLE IF EXISTS public.analytics_summary;
+
+CREATE TABLE public.analytics_summary (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    scope TEXT NOT NULL CHECK (scope IN ('user', 'api_key', 'website')),
+    scope_id UUID NOT NULL, -- the user, API key or website the row counts
+    granularity TEXT NOT NULL CHECK (granularity IN ('day', 'hour')),
+    period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    total_verifications INTEGER NOT NULL DEFAULT 0,
+    successful_verifications INTEGER NOT NULL DEFAULT 0,
+    blocked_attempts INTEGER NOT NULL DEFAULT 0,
+    unique_visitors INTEGER NOT NULL DEFAULT 0, -- distinct IP addresses in the period
+    average_response_time DECIMAL(8,3),
+    timed_verifications INTEGER NOT NULL DEFAULT 0, -- verifications behind average_response_time
+    countries JSONB NOT NULL DEFAULT '{}'::jsonb, -- { country_code: verifications }
+    country_rules JSONB NOT NULL DEFAULT '{}'::jsonb, -- { 'action:country': verifications }
+    actions JSONB NOT NULL DEFAULT '{}'::jsonb, -- { action: { total, allowed, challenged, blocked, score_sum, scored } }
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(scope, scope_id, granularity, period_start)
+);
+
+CREATE INDEX idx_analytics_summary_user ON public.analytics_summary(user_id);
+
+ALTER TABLE public.analytics_summary ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own analytics" ON public.analytics_summary
+    FOR SELECT USING (auth.uid() = user_id);
+
+GRANT SELECT ON public.analytics_summary TO authenticated;
+
+-- Days already rolled up; later days are read from verification_logs
+CREATE TABLE public.analytics_rollups (
+    date DATE PRIMARY KEY,
+    verifications INTEGER NOT NULL DEFAULT 0,
+    rolled_up_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Only the server (service role) reads and writes it
+ALTER TABLE public.analytics_rollups ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.analytics_summary IS 'Verification totals per user, API key and website for each day and hour';
+COMMENT ON TABLE public.analytics_rollups IS 'Days rolled up into analytics_summary';
+
+-- migrate:down
+
+DROP TABLE IF EXISTS public.analytics_rollups;
+DROP TABLE IF EXISTS public.analytics_summary;
+
+CREATE TABLE public.analytics_summary (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    date DATE NOT NULL,
+    total_verifications INTEGER DEFAULT 0,
+    successful_verifications INTEGER DEFAULT 0,
+    blocked_attempts INTEGER DEFAULT 0,
+    unique_visitors INTEGER DEFAULT 0,
+    average_response_time DECIMAL(8,3),
+    top_countries JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, date)
+);
+
+CREATE INDEX idx_analytics_summary_user_date ON public.analytics_summary(user_id, date);
+
+ALTER TABLE public.analytics_summary ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own analytics" ON public.analytics_summary
+    FOR SELECT USING (auth.uid() = user_id);
+
+GRANT ALL ON public.analytics_summary TO authenticated;
+
+COMMENT ON TABLE public.analytics_summary IS 'Daily analytics summary for dashboard';
@@ -0,0 +1,10 @@
+-- Easiest proof of work each key hands out; the client picks the
+-- difficulty, so easier requests are raised to this
+
+-- migrate:up
+
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS pow_min_bits INTEGER NOT NULL DEFAULT 16 CHECK (pow_min_bits BETWEEN 8 AND 24);
+
+-- migrate:down
+
+ALTER TABLE public.api_keys DROP COLUMN IF EXISTS pow_min_bits;
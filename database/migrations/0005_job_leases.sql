@@ -0,0 +1,20 @@
+-- Leases on background jobs that only one server may run at a time, such
+-- as the analytics rollups in lib/analytics-rollups.js. A server holds a
+-- job while its lease runs and renews it each time it runs the job.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS public.job_leases (
+    name TEXT PRIMARY KEY,
+    holder TEXT NOT NULL, -- the server process holding the lease
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Only the server (service role) reads and writes it
+ALTER TABLE public.job_leases ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.job_leases IS 'Which server runs each background job';
+
+-- migrate:down
+
+DROP TABLE IF EXISTS public.job_leases;
@@ -0,0 +1,243 @@
+-- Baseline SQLite schema, the SQLite counterpart of ../0001_baseline.sql:
+-- ids are UUID strings, timestamps ISO 8601 strings, JSON columns TEXT and
+-- booleans 0/1. Databases created from the old sqlite-schema.sql already
+-- have these tables, hence IF NOT EXISTS.
+
+-- migrate:up
+
+-- Users table (dashboard accounts, signed in with GitHub)
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT,
+    full_name TEXT,
+    avatar_url TEXT,
+    github_username TEXT,
+    github_id INTEGER UNIQUE,
+    company TEXT,
+    website TEXT,
+    bio TEXT,
+    location TEXT,
+    public_repos INTEGER DEFAULT 0,
+    followers INTEGER DEFAULT 0,
+    following INTEGER DEFAULT 0,
+    github_created_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- API Keys table
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    key_value TEXT UNIQUE NOT NULL, -- public site key (da_live_...)
+    secret_key TEXT UNIQUE NOT NULL, -- private secret key (da_secret_...)
+    environment TEXT NOT NULL CHECK (environment IN ('production', 'development', 'testing')),
+    domain TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    last_used_at TEXT,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    rate_limit INTEGER DEFAULT 1000,
+    ip_rate_limit INTEGER DEFAULT 60,
+    challenge_threshold REAL DEFAULT 0.5,
+    block_threshold REAL DEFAULT 0.2,
+    country_policy TEXT DEFAULT '{}',
+    action_thresholds TEXT DEFAULT '{}',
+    player_ttl_days INTEGER DEFAULT 30,
+    alt_window_days INTEGER DEFAULT 30,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Websites table (the domains each key is registered for)
+CREATE TABLE IF NOT EXISTS websites (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    domain TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE(user_id, domain)
+);
+
+-- Verification Logs table
+CREATE TABLE IF NOT EXISTS verification_logs (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    website_id TEXT REFERENCES websites(id) ON DELETE CASCADE,
+    ip_address TEXT,
+    user_agent TEXT,
+    result TEXT NOT NULL CHECK (result IN ('success', 'failed', 'blocked', 'suspicious')),
+    verification_time REAL,
+    challenge_type TEXT DEFAULT 'checkbox',
+    country_code TEXT,
+    city TEXT,
+    is_bot INTEGER DEFAULT 0,
+    confidence_score REAL,
+    reasons TEXT DEFAULT '[]',
+    country_rule TEXT,
+    action TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Security Events table
+CREATE TABLE IF NOT EXISTS security_events (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    api_key_id TEXT REFERENCES api_keys(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    description TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    metadata TEXT,
+    severity TEXT DEFAULT 'info' CHECK (severity IN ('info', 'warning', 'error', 'critical')),
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- IP Rules table (per-key IP/CIDR allowlist and denylist)
+CREATE TABLE IF NOT EXISTS ip_rules (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    cidr TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('allow', 'deny')),
+    note TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE(api_key_id, cidr)
+);
+
+-- Player Sessions table (one-time Minecraft player verification links)
+CREATE TABLE IF NOT EXISTS player_sessions (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    player_uuid TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    site_key TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified')),
+    score REAL,
+    callback_url TEXT,
+    callback_status TEXT CHECK (callback_status IN ('pending', 'delivered', 'failed')),
+    alt_suspect INTEGER NOT NULL DEFAULT 0,
+    expires_at TEXT NOT NULL,
+    verified_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Verified Players table (registry of Minecraft players who passed verification)
+CREATE TABLE IF NOT EXISTS verified_players (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    website_id TEXT REFERENCES websites(id) ON DELETE SET NULL,
+    player_uuid TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    score REAL,
+    session_id TEXT,
+    verified_at TEXT NOT NULL,
+    expires_at TEXT,
+    revoked INTEGER NOT NULL DEFAULT 0,
+    revoked_at TEXT,
+    revoked_reason TEXT,
+    alt_suspect INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(api_key_id, player_uuid)
+);
+
+-- Player Fingerprints table (keyed hashes for alt-account detection)
+CREATE TABLE IF NOT EXISTS player_fingerprints (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    player_uuid TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    browser_hash TEXT,
+    device_hash TEXT,
+    network_hash TEXT,
+    seen_at TEXT NOT NULL
+);
+
+-- RCON Integrations table (one per key)
+CREATE TABLE IF NOT EXISTS rcon_integrations (
+    api_key_id TEXT PRIMARY KEY REFERENCES api_keys(id) ON DELETE CASCADE,
+    website_id TEXT REFERENCES websites(id) ON DELETE SET NULL,
+    host TEXT NOT NULL,
+    port INTEGER NOT NULL DEFAULT 25575,
+    password_encrypted TEXT NOT NULL,
+    on_verify TEXT NOT NULL DEFAULT '[]',
+    on_revoke TEXT NOT NULL DEFAULT '[]',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- RCON Deliveries table (log of commands sent for player events)
+CREATE TABLE IF NOT EXISTS rcon_deliveries (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    event TEXT NOT NULL CHECK (event IN ('verify', 'revoke')),
+    player_uuid TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    commands TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    responses TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    delivered_at TEXT
+);
+
+-- Gate Links table (challenge-protected short links)
+CREATE TABLE IF NOT EXISTS gate_links (
+    id TEXT PRIMARY KEY,
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    site_key TEXT NOT NULL,
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'redirect' CHECK (mode IN ('redirect', 'reveal')),
+    target TEXT NOT NULL,
+    expires_at TEXT,
+    max_uses INTEGER,
+    uses INTEGER NOT NULL DEFAULT 0,
+    views INTEGER NOT NULL DEFAULT 0,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Gate Link Events table (page views, unlocks and failed attempts per link)
+CREATE TABLE IF NOT EXISTS gate_link_events (
+    id TEXT PRIMARY KEY,
+    link_id TEXT NOT NULL REFERENCES gate_links(id) ON DELETE CASCADE,
+    event TEXT NOT NULL CHECK (event IN ('view', 'unlock', 'failure')),
+    country_code TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_websites_api_key ON websites(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_api_key ON verification_logs(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_api_key ON security_events(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ip_rules_api_key ON ip_rules(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_player_sessions_code ON player_sessions(code);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_player ON player_fingerprints(api_key_id, player_uuid);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_browser ON player_fingerprints(api_key_id, browser_hash);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_device ON player_fingerprints(api_key_id, device_hash);
+CREATE INDEX IF NOT EXISTS idx_player_fingerprints_network ON player_fingerprints(api_key_id, network_hash);
+CREATE INDEX IF NOT EXISTS idx_rcon_deliveries_api_key ON rcon_deliveries(api_key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_gate_links_api_key ON gate_links(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_gate_link_events_link ON gate_link_events(link_id, created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS gate_link_events;
+DROP TABLE IF EXISTS gate_links;
+DROP TABLE IF EXISTS rcon_deliveries;
+DROP TABLE IF EXISTS rcon_integrations;
+DROP TABLE IF EXISTS player_fingerprints;
+DROP TABLE IF EXISTS verified_players;
+DROP TABLE IF EXISTS player_sessions;
+DROP TABLE IF EXISTS ip_rules;
+DROP TABLE IF EXISTS security_events;
+DROP TABLE IF EXISTS verification_logs;
+DROP TABLE IF EXISTS websites;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS users;
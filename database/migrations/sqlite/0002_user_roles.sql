@@ -0,0 +1,9 @@
+-- Dashboard roles; the setup wizard makes the first account an admin
+
+-- migrate:up
+
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'));
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN role;
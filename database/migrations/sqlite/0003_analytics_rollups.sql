@@ -0,0 +1,40 @@
+-- Verification rollups: totals per user, key and website for each UTC day
+-- and hour, written by lib/analytics-rollups.js
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS analytics_summary (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope TEXT NOT NULL CHECK (scope IN ('user', 'api_key', 'website')),
+    scope_id TEXT NOT NULL,
+    granularity TEXT NOT NULL CHECK (granularity IN ('day', 'hour')),
+    period_start TEXT NOT NULL,
+    total_verifications INTEGER NOT NULL DEFAULT 0,
+    successful_verifications INTEGER NOT NULL DEFAULT 0,
+    blocked_attempts INTEGER NOT NULL DEFAULT 0,
+    unique_visitors INTEGER NOT NULL DEFAULT 0,
+    average_response_time REAL,
+    timed_verifications INTEGER NOT NULL DEFAULT 0,
+    countries TEXT NOT NULL DEFAULT '{}',
+    country_rules TEXT NOT NULL DEFAULT '{}',
+    actions TEXT NOT NULL DEFAULT '{}',
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE(scope, scope_id, granularity, period_start)
+);
+
+-- Days already rolled up; later days are read from verification_logs
+CREATE TABLE IF NOT EXISTS analytics_rollups (
+    date TEXT PRIMARY KEY,
+    verifications INTEGER NOT NULL DEFAULT 0,
+    rolled_up_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_summary_user ON analytics_summary(user_id);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_created_at ON verification_logs(created_at);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_verification_logs_created_at;
+DROP TABLE IF EXISTS analytics_rollups;
+DROP TABLE IF EXISTS analytics_summary;
@@ -0,0 +1,14 @@
+-- Leases on background jobs that only one server may run at a time, such
+-- as the analytics rollups in lib/analytics-rollups.js
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS job_leases (
+    name TEXT PRIMARY KEY,
+    holder TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS job_leases;
@@ -0,0 +1,150 @@
+/**
+ * Named actions
+ * Pages label each verification with what the user is doing ("login",
+ * "register", "vote"). The name is bound into the challenge and response
+ * tokens, and keys can set their own score thresholds per action.
+ */
+
+const ACTION_PATTERN = /^[A-Za-z0-9_/]{1,64}$/;
+const MAX_ACTION_THRESHOLDS = 50;
+
+function isValidAction(action) {
+    return typeof action === 'string' && ACTION_PATTERN.test(action);
+}
+
+function parseThreshold(value) {
+    const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+    return Number.isFinite(number) && number >= 0 && number <= 1 ? number : null;
+}
+
+// Accept { login: { challenge, block } } or text with one
+// "action challenge block" line per action
+function toEntries(input) {
+    if (typeof input === 'string') {
+        return input.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [action, challenge, block] = line.split(/[\s,]+/);
+                return [action, { challenge, block }];
+            });
+    }
+
+    if (input && typeof input === 'object' && !Array.isArray(input)) {
+        return Object.entries(input);
+    }
+
+    return null;
+}
+
+// Validate per-action thresholds from a request body. Returns
+// { thresholds } or { error }.
+function parseActionThresholds(input) {
+    const entries = toEntries(input);
+    if (!entries) {
+        return { error: 'action_thresholds must map action names to { challenge, block }' };
+    }
+    if (entries.length > MAX_ACTION_THRESHOLDS) {
+        return { error: `At most ${MAX_ACTION_THRESHOLDS} actions can have their own thresholds` };
+    }
+
+    const thresholds = {};
+    for (const [action, values] of entries) {
+        if (!isValidAction(action)) {
+            return { error: `"${action}" is not a valid action name (letters, digits, _ and /, up to 64)` };
+        }
+
+        const challenge = parseThreshold(values && values.challenge);
+        const block = parseThreshold(values && values.block);
+        if (challenge === null || block === null) {
+            return { error: `Thresholds for ${action} must be numbers between 0 and 1` };
+        }
+        if (block > challenge) {
+            return { error: `The block threshold for ${action} cannot be higher than its challenge threshold` };
+        }
+
+        thresholds[action] = { challenge, block };
+    }
+
+    return { thresholds };
+}
+
+// The key's stored per-action thresholds (a JSON column, or text from some
+// drivers); an empty map when none are set or they cannot be read
+function resolveActionThresholds(apiKey = {}) {
+    let stored = apiKey.action_thresholds;
+    if (typeof stored === 'string') {
+        try {
+            stored = JSON.parse(stored);
+        } catch (e) {
+            stored = null;
+        }
+    }
+
+    const { thresholds } = stored ? parseActionThresholds(stored) : {};
+    return thresholds || {};
+}
+
+// Add one verification log ({ action, result, confidence_score }) to
+// per-action tallies keyed by action (see tallyActions)
+function tallyAction(tallies, log) {
+    if (!log.action) return tallies;
+
+    const tally = tallies[log.action] ||
+        { total: 0, allowed: 0, challenged: 0, blocked: 0, score_sum: 0, scored: 0 };
+    tally.total++;
+    if (log.result === 'success') tally.allowed++;
+    else if (log.result === 'blocked') tally.blocked++;
+    else tally.challenged++;
+
+    const score = Number(log.confidence_score);
+    if (log.confidence_score !== null && log.confidence_score !== undefined && Number.isFinite(score)) {
+        tally.score_sum += score;
+        tally.scored++;
+    }
+    tallies[log.action] = tally;
+    return tallies;
+}
+
+// Per-action counts and score sums from verification logs ({ action,
+// result, confidence_score } rows), keyed by action. Tallies of different
+// periods add up, which is how analytics_summary stores them.
+function tallyActions(logs) {
+    return logs.reduce(tallyAction, {});
+}
+
+// Per-action totals over any number of tallies, busiest action first
+function summarizeActions(tallyList) {
+    const byAction = new Map();
+
+    for (const tallies of tallyList) {
+        for (const [action, tally] of Object.entries(tallies || {})) {
+            const summary = byAction.get(action) ||
+                { action, total: 0, allowed: 0, challenged: 0, blocked: 0, scoreSum: 0, scored: 0 };
+            summary.total += tally.total;
+            summary.allowed += tally.allowed;
+            summary.challenged += tally.challenged;
+            summary.blocked += tally.blocked;
+            summary.scoreSum += Number(tally.score_sum);
+            summary.scored += tally.scored;
+            byAction.set(action, summary);
+        }
+    }
+
+    return [...byAction.values()]
+        .map(({ scoreSum, scored, ...summary }) => ({
+            ...summary,
+            average_score: scored > 0 ? Math.round(scoreSum / scored * 100) / 100 : null
+        }))
+        .sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+    ACTION_PATTERN,
+    isValidAction,
+    parseActionThresholds,
+    resolveActionThresholds,
+    tallyAction,
+    tallyActions,
+    summarizeActions
+};
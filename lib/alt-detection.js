@@ -0,0 +1,134 @@
+/**
+ * Alt-account detection
+ * Keeps hashed browser, device and network fingerprints of verified
+ * Minecraft players and links accounts of the same key that share them
+ * within a time window
+ */
+
+const net = require('net');
+const { normalizeIp, parseCidr } = require('./ip');
+const { hashIdentifier } = require('./secret-box');
+
+// Days apart two verifications can be and still link their accounts
+const DEFAULT_ALT_WINDOW_DAYS = 30;
+const MAX_ALT_WINDOW_DAYS = 365;
+
+// A home or office connection usually keeps its IPv4 /24 or IPv6 /48
+// across reconnects, so those ranges count as one network
+const NETWORK_PREFIXES = { 4: 24, 6: 48 };
+
+// Sharing only a network is common (families, schools, carrier NAT), so a
+// player needs this many other accounts on it before being flagged
+const NETWORK_ALT_THRESHOLD = 2;
+
+// What linked accounts can share, strongest first: the hosted page's
+// browser id, the device's attributes, and the IP range
+const SIGNALS = ['browser', 'device', 'network'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function boundedText(value, max) {
+    return typeof value === 'string' && value.length > 0 && value.length <= max ? value : null;
+}
+
+// Device details reported by the hosted page; anything missing or malformed
+// is dropped
+function parseDeviceSignals(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+
+    return {
+        id: typeof raw.id === 'string' && /^[A-Za-z0-9_-]{16,64}$/.test(raw.id) ? raw.id : null,
+        screen: typeof raw.screen === 'string' && /^\d{1,5}x\d{1,5}x\d{1,2}$/.test(raw.screen) ? raw.screen : null,
+        timezone: boundedText(raw.timezone, 64),
+        language: boundedText(raw.language, 35),
+        platform: boundedText(raw.platform, 32),
+        cores: Number.isInteger(raw.cores) && raw.cores > 0 && raw.cores <= 1024 ? raw.cores : null
+    };
+}
+
+// The IP range an address belongs to, e.g. "203.0.113.0/24"
+function networkRange(ip) {
+    const address = normalizeIp(ip);
+    if (!address) return null;
+
+    const range = parseCidr(`${address}/${NETWORK_PREFIXES[net.isIP(address)]}`);
+    return range ? range.text : null;
+}
+
+// Hashes of what identifies a verification's browser, device and network.
+// They are scoped to the key, so the same player on two keys cannot be
+// matched across them. Raw values are never stored.
+function fingerprintPlayer({ apiKeyId, ip, userAgent, device = {} }) {
+    const hash = (signal, value) => value ? hashIdentifier(`${apiKeyId}:${signal}:${value}`) : null;
+    const attributes = [userAgent, device.screen, device.timezone, device.language, device.platform, device.cores];
+
+    return {
+        browser_hash: hash('browser', device.id),
+        // A user agent alone is shared by too many players to mean anything
+        device_hash: device.screen ? hash('device', JSON.stringify(attributes)) : null,
+        network_hash: hash('network', networkRange(ip))
+    };
+}
+
+// Every hash in a set of fingerprint rows
+function fingerprintHashes(fingerprints) {
+    return [...new Set(fingerprints
+        .flatMap(fingerprint => SIGNALS.map(signal => fingerprint[`${signal}_hash`]))
+        .filter(Boolean))];
+}
+
+// Other accounts whose fingerprints share a hash with one of the player's,
+// seen within `windowDays` of it. Returns [{ uuid, name, signals,
+// last_seen }], most recently seen first.
+function linkAccounts(playerUuid, own, candidates, windowDays = DEFAULT_ALT_WINDOW_DAYS) {
+    const links = new Map();
+
+    for (const other of candidates) {
+        if (other.player_uuid === playerUuid) continue;
+
+        for (const mine of own) {
+            if (Math.abs(new Date(mine.seen_at) - new Date(other.seen_at)) > windowDays * DAY) continue;
+
+            const shared = SIGNALS.filter(signal =>
+                mine[`${signal}_hash`] && mine[`${signal}_hash`] === other[`${signal}_hash`]);
+            if (shared.length === 0) continue;
+
+            const link = links.get(other.player_uuid) ||
+                { uuid: other.player_uuid, name: other.player_name, signals: new Set(), last_seen: other.seen_at };
+            shared.forEach(signal => link.signals.add(signal));
+            if (new Date(other.seen_at) > new Date(link.last_seen)) {
+                link.name = other.player_name;
+                link.last_seen = other.seen_at;
+            }
+            links.set(other.player_uuid, link);
+        }
+    }
+
+    return [...links.values()]
+        .map(link => ({ ...link, signals: SIGNALS.filter(signal => link.signals.has(signal)) }))
+        .sort((a, b) => new Date(b.last_seen) - new Date(a.last_seen));
+}
+
+// A shared browser or device is enough; a shared network needs company
+function isAltSuspect(links) {
+    return links.some(link => link.signals.some(signal => signal !== 'network')) ||
+        links.length >= NETWORK_ALT_THRESHOLD;
+}
+
+function resolveAltWindowDays(apiKey = {}) {
+    const days = Number(apiKey.alt_window_days);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_ALT_WINDOW_DAYS ? days : DEFAULT_ALT_WINDOW_DAYS;
+}
+
+module.exports = {
+    DEFAULT_ALT_WINDOW_DAYS,
+    MAX_ALT_WINDOW_DAYS,
+    SIGNALS,
+    parseDeviceSignals,
+    networkRange,
+    fingerprintPlayer,
+    fingerprintHashes,
+    linkAccounts,
+    isAltSuspect,
+    resolveAltWindowDays
+};
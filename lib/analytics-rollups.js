@@ -0,0 +1,224 @@
+/**
+ * Analytics rollups
+ * Rolls verification logs up into analytics_summary: one row per user and
+ * API key for every UTC day and hour with traffic. A day is rolled
+ * up once it is over, and analytics_rollups records which days are done.
+ * Statistics read those days from the summaries and only the others
+ * (normally just today) from the raw logs. Rows are upserted, so rolling a
+ * day up again is safe; the latest finished day is rolled up again on every
+ * run, which counts logs that arrived after it was first rolled up.
+ */
+
+const crypto = require('crypto');
+const {
+    DAY,
+    MAX_STATS_DAYS,
+    periodDates,
+    periodStart,
+    newPeriod,
+    addToPeriod,
+    periodRollup,
+    rollupVerifications,
+    summarizeRollups
+} = require('./verification-stats');
+
+// Scopes summarized, with the log column naming each one's row. Logs carry
+// no website, and a key's websites are replaced whenever its domains
+// change, so there are no per-website rows; a website's traffic is its
+// key's.
+const SCOPES = [
+    ['user', 'user_id'],
+    ['api_key', 'api_key_id']
+];
+
+const GRANULARITIES = ['day', 'hour'];
+
+// Logs read per query while rolling up a day
+const BATCH_SIZE = 1000;
+
+// How often the server looks for finished days to roll up
+const ROLLUP_INTERVAL = 60 * 60 * 1000;
+
+// Most days the server rolls up per run, newest first, so a first start
+// over a year of logs catches up over several runs
+const DAYS_PER_RUN = 31;
+
+// Only the server holding this lease runs the rollups. It is renewed on
+// every run, so another server takes over once two runs are missed.
+const LEASE = 'analytics_rollups';
+const LEASE_TIME = 2 * ROLLUP_INTERVAL;
+
+// Verifications that started just before midnight get this long to be
+// logged before their day is rolled up
+const SETTLE_TIME = 10 * 60 * 1000;
+
+// Raw logs of a scope over its last `days` days
+const RAW_LOGS = {
+    user: (storage, userId, days) => storage.getUserAnalytics(userId, days),
+    api_key: (storage, apiKeyId, days) => storage.getKeyAnalytics(apiKeyId, days)
+};
+
+const toDate = time => new Date(time).toISOString().slice(0, 10);
+const dayStart = date => `${date}T00:00:00.000Z`;
+const nextDate = date => toDate(Date.parse(dayStart(date)) + DAY);
+
+// Count a log that carries the user_id of its key into the running totals
+// of each scope row and period it belongs to
+function addLog(groups, log) {
+    for (const [scope, column] of SCOPES) {
+        if (!log[column]) continue;
+
+        const key = `${scope}:${log[column]}`;
+        if (!groups.has(key)) {
+            groups.set(key, { user_id: log.user_id, scope, scope_id: log[column], periods: new Map() });
+        }
+
+        const { periods } = groups.get(key);
+        for (const granularity of GRANULARITIES) {
+            const start = periodStart(log.created_at, granularity);
+            const period = `${granularity}|${start}`;
+            if (!periods.has(period)) {
+                periods.set(period, newPeriod());
+            }
+            addToPeriod(periods.get(period), log);
+        }
+    }
+}
+
+// analytics_summary rows for the totals addLog gathered
+function groupRows(groups) {
+    const rows = [];
+    for (const { periods, ...group } of groups.values()) {
+        for (const [period, totals] of periods) {
+            const [granularity, start] = period.split('|');
+            rows.push({ ...group, granularity, ...periodRollup(start, totals) });
+        }
+    }
+    return rows;
+}
+
+// analytics_summary rows for logs that each carry the user_id of their key
+function summaryRows(logs) {
+    const groups = new Map();
+    for (const log of logs) {
+        addLog(groups, log);
+    }
+    return groupRows(groups);
+}
+
+// Roll up one UTC day (YYYY-MM-DD), reading its logs BATCH_SIZE at a time;
+// resolves to its number of verifications
+async function rollupDay(storage, date) {
+    const groups = new Map();
+    let verifications = 0;
+
+    for (let after = null; ;) {
+        const logs = await storage.getVerificationLogsBetween(dayStart(date), dayStart(nextDate(date)), BATCH_SIZE, after);
+        for (const log of logs) {
+            addLog(groups, log);
+        }
+        verifications += logs.length;
+
+        if (logs.length < BATCH_SIZE) break;
+        after = logs[logs.length - 1];
+    }
+
+    const rows = groupRows(groups);
+    if (rows.length > 0) {
+        await storage.saveAnalyticsSummaries(rows);
+    }
+    await storage.markRolledUp(date, verifications);
+    return verifications;
+}
+
+// Finished days within the last MAX_STATS_DAYS that are not rolled up yet,
+// and the latest finished day either way, oldest first
+async function pendingDates(storage, now = Date.now()) {
+    const finished = periodDates(MAX_STATS_DAYS + 1, now - SETTLE_TIME).slice(0, -1);
+    const latest = finished[finished.length - 1];
+    const done = new Set(await storage.getRolledUpDates(finished[0], latest));
+    return finished.filter(date => !done.has(date) || date === latest);
+}
+
+// Roll up the given dates, or the pending days (the newest `limit` of them
+// when given). onDay({ date, verifications }) reports each one. Resolves to
+// the dates rolled up.
+async function rollupAnalytics(storage, { dates = null, limit = null, onDay = () => {} } = {}) {
+    let rolling = dates || await pendingDates(storage);
+    if (!dates && limit !== null) {
+        rolling = rolling.slice(-limit);
+    }
+
+    for (const date of rolling) {
+        onDay({ date, verifications: await rollupDay(storage, date) });
+    }
+    return rolling;
+}
+
+// Roll up pending days now and every ROLLUP_INTERVAL while the process
+// runs, DAYS_PER_RUN at a time, as long as this server holds the lease
+function scheduleAnalyticsRollups(storage) {
+    const holder = crypto.randomUUID();
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            if (!await storage.acquireLease(LEASE, holder, LEASE_TIME)) return;
+
+            // Every run rolls up the latest finished day again; only
+            // report new days
+            const rolled = await rollupAnalytics(storage, { limit: DAYS_PER_RUN });
+            if (rolled.length > 1) {
+                console.log(`📊 Rolled up analytics for ${rolled.length} day(s)`);
+            }
+        } catch (error) {
+            console.warn('⚠️  Analytics rollup failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    return setInterval(run, ROLLUP_INTERVAL).unref();
+}
+
+// Statistics (see summarizeRollups) for a user or API key over the last
+// `days` days. lastActivity is the newest raw log, or the start of the
+// newest rolled-up day with traffic when there is none.
+async function getVerificationStats(storage, scope, scopeId, days, now = Date.now()) {
+    const dates = periodDates(days, now);
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+
+    const rolledUp = new Set(await storage.getRolledUpDates(first, last));
+    const rawDates = new Set(dates.filter(date => !rolledUp.has(date)));
+
+    const summaries = rolledUp.size > 0
+        ? (await storage.getAnalyticsSummaries(scope, scopeId, 'day', dayStart(first), dayStart(nextDate(last))))
+            .filter(summary => rolledUp.has(toDate(summary.period_start)))
+        : [];
+
+    // Raw logs from the oldest day that is not rolled up
+    const oldestRaw = dates.findIndex(date => rawDates.has(date));
+    const logs = oldestRaw === -1
+        ? []
+        : (await RAW_LOGS[scope](storage, scopeId, dates.length - oldestRaw))
+            .filter(log => rawDates.has(toDate(log.created_at)));
+
+    const active = summaries.filter(summary => summary.total_verifications > 0).pop();
+    const newestLog = logs.reduce((newest, log) => !newest || log.created_at > newest ? log.created_at : newest, null);
+
+    return {
+        ...summarizeRollups([...summaries, ...rollupVerifications(logs, 'day')], days, now),
+        lastActivity: newestLog || (active ? active.period_start : null)
+    };
+}
+
+module.exports = {
+    summaryRows,
+    rollupAnalytics,
+    scheduleAnalyticsRollups,
+    getVerificationStats
+};
@@ -0,0 +1,175 @@
+/**
+ * Signed challenge tokens
+ * HMAC-SHA256 signed, API-key-bound tokens with rotating signing secrets
+ */
+
+const crypto = require('crypto');
+
+// Token error codes returned to API clients
+const TOKEN_ERRORS = {
+    MALFORMED: 'token-malformed',
+    FORGED: 'token-forged',
+    TAMPERED: 'token-tampered',
+    KEY_MISMATCH: 'token-key-mismatch',
+    EXPIRED: 'token-expired',
+    USED: 'token-already-used'
+};
+
+class TokenError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'TokenError';
+        this.code = code;
+    }
+}
+
+// Load signing secrets.
+// CHALLENGE_SIGNING_KEYS is a comma-separated list of "kid:secret" pairs.
+// The first entry signs new tokens; every entry is accepted when verifying,
+// so a secret can be rotated by prepending a new pair and dropping the old
+// one once its tokens have expired.
+function loadSigningKeys() {
+    const keys = new Map();
+    const configured = process.env.CHALLENGE_SIGNING_KEYS;
+
+    if (configured) {
+        configured.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0 || separator === entry.length - 1) {
+                throw new Error(`Invalid CHALLENGE_SIGNING_KEYS entry: "${entry}" (expected kid:secret)`);
+            }
+            keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+        });
+    } else if (process.env.CHALLENGE_SIGNING_SECRET) {
+        keys.set('default', process.env.CHALLENGE_SIGNING_SECRET);
+    } else {
+        console.warn('⚠️  CHALLENGE_SIGNING_KEYS not set, using a random per-process signing secret');
+        keys.set('ephemeral', crypto.randomBytes(32).toString('hex'));
+    }
+
+    return {
+        activeKid: keys.keys().next().value,
+        secrets: keys
+    };
+}
+
+const signingKeys = loadSigningKeys();
+
+function hmac(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Create a signed token: "<kid>.<payload>.<signature>"
+function issueToken(claims, ttlSeconds) {
+    const now = Date.now();
+    const payload = {
+        jti: crypto.randomUUID(),
+        iat: now,
+        exp: now + ttlSeconds * 1000,
+        ...claims
+    };
+
+    const kid = signingKeys.activeKid;
+    const body = `${kid}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+    return {
+        token: `${body}.${hmac(signingKeys.secrets.get(kid), body)}`,
+        claims: payload
+    };
+}
+
+// Seal a secret value (such as a puzzle answer) so it can travel inside a
+// token without the client being able to read or recompute it
+function sealValue(value) {
+    const kid = signingKeys.activeKid;
+    return `${kid}:${hmac(signingKeys.secrets.get(kid), `seal:${value}`)}`;
+}
+
+function matchesSealedValue(value, sealed) {
+    if (typeof sealed !== 'string') return false;
+
+    const separator = sealed.lastIndexOf(':');
+    const secret = signingKeys.secrets.get(sealed.slice(0, separator));
+    if (separator <= 0 || !secret) return false;
+
+    return safeEqual(sealed.slice(separator + 1), hmac(secret, `seal:${value}`));
+}
+
+// Derive bytes only this server can compute from a public value, such as the
+// digits of an audio challenge from its nonce. Pass the kid returned the
+// first time to get the same bytes back after the signing key has rotated.
+function deriveSecret(value, kid = signingKeys.activeKid) {
+    const secret = signingKeys.secrets.get(kid);
+    if (!secret) return null;
+
+    return {
+        kid,
+        bytes: crypto.createHmac('sha256', secret).update(`derive:${value}`).digest()
+    };
+}
+
+// Verify a token's signature, key binding and expiry and return its claims
+function verifyToken(token, { keyId, typ } = {}) {
+    if (typeof token !== 'string') {
+        throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Token is malformed');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+        throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Token is malformed');
+    }
+
+    const [kid, encodedPayload, signature] = parts;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    } catch (e) {
+        throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Token is malformed');
+    }
+
+    if (!claims || typeof claims !== 'object') {
+        throw new TokenError(TOKEN_ERRORS.MALFORMED, 'Token is malformed');
+    }
+
+    // A token signed with a key we never issued is a forgery; a token whose
+    // signature no longer matches one of our keys has been altered.
+    const secret = signingKeys.secrets.get(kid);
+    if (!secret) {
+        throw new TokenError(TOKEN_ERRORS.FORGED, 'Token was not issued by this server');
+    }
+
+    if (!safeEqual(signature, hmac(secret, `${kid}.${encodedPayload}`))) {
+        throw new TokenError(TOKEN_ERRORS.TAMPERED, 'Token has been altered');
+    }
+
+    if (typ && claims.typ !== typ) {
+        throw new TokenError(TOKEN_ERRORS.MALFORMED, `Expected a ${typ} token`);
+    }
+
+    if (keyId !== undefined && claims.key !== keyId) {
+        throw new TokenError(TOKEN_ERRORS.KEY_MISMATCH, 'Token was issued for a different API key');
+    }
+
+    if (typeof claims.exp !== 'number' || Date.now() > claims.exp) {
+        throw new TokenError(TOKEN_ERRORS.EXPIRED, 'Token has expired');
+    }
+
+    return claims;
+}
+
+module.exports = {
+    TOKEN_ERRORS,
+    TokenError,
+    issueToken,
+    verifyToken,
+    sealValue,
+    matchesSealedValue,
+    deriveSecret
+};
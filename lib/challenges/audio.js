@@ -0,0 +1,163 @@
+/**
+ * Audio challenge ("type the digits you hear")
+ * An accessible alternative to the image grid. The digits are derived from
+ * the token's nonce with a server secret, so the recording can be rendered
+ * on demand by the challenge-asset endpoint without the answer ever being
+ * stored or sent to the browser.
+ */
+
+const crypto = require('crypto');
+const { deriveSecret } = require('../challenge-token');
+const { SAMPLE_RATE, synthesizeDigit } = require('../speech');
+const { encodeWav } = require('../wav');
+
+// Number of digits spoken for each difficulty level
+const DIGIT_COUNTS = {
+    easy: 4,
+    low: 4,
+    medium: 6,
+    hard: 8,
+    high: 8
+};
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// The digits of a challenge, or null once its signing key has been retired
+function digitsFor({ nonce, kid, length }) {
+    const derived = deriveSecret(`audio:${nonce}`, kid);
+    if (!derived) return null;
+
+    // Skip bytes above 249 so every digit is equally likely
+    const digits = [];
+    for (const byte of derived.bytes) {
+        if (byte < 250) digits.push(byte % 10);
+        if (digits.length === length) break;
+    }
+    return digits.join('');
+}
+
+// Deterministic random numbers, so fetching a recording again gives the
+// same audio instead of fresh noise to average out
+function seededRandom(seed) {
+    let state = seed.readUInt32LE(0);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function mix(target, samples, offset, gain) {
+    for (let i = 0; i < samples.length && offset + i < target.length; i++) {
+        target[offset + i] += samples[i] * gain;
+    }
+}
+
+// Speak the digits with random pitch, pacing and loudness over background
+// noise and quiet, reversed (unintelligible) speech
+function render(digits, random) {
+    const seconds = value => Math.round(value * SAMPLE_RATE);
+    const pitch = 95 + random() * 60;
+
+    const words = [...digits].map(digit => synthesizeDigit(digit, {
+        random,
+        pitch: pitch * (0.95 + random() * 0.1),
+        rate: 0.9 + random() * 0.25
+    }));
+
+    const gaps = words.map(() => seconds(0.3 + random() * 0.35));
+    const lead = seconds(0.5);
+    const length = lead + words.reduce((sum, word, i) => sum + word.length + gaps[i], 0) + seconds(0.3);
+    const samples = new Float32Array(length);
+
+    let offset = lead;
+    words.forEach((word, i) => {
+        mix(samples, word, offset, 0.7 + random() * 0.3);
+        offset += word.length + gaps[i];
+    });
+
+    // Babble: a few random words played backwards at low volume
+    const babbleCount = 2 + Math.floor(random() * 3);
+    for (let i = 0; i < babbleCount; i++) {
+        const word = synthesizeDigit(Math.floor(random() * 10), { random, pitch: pitch * (0.7 + random() * 0.6) });
+        word.reverse();
+        mix(samples, word, Math.floor(random() * Math.max(1, length - word.length)), 0.12 + random() * 0.08);
+    }
+
+    // Background hiss, low-passed so it sounds like a noisy room
+    const noiseLevel = 0.03 + random() * 0.02;
+    let lowpassed = 0;
+    for (let i = 0; i < length; i++) {
+        const white = random() * 2 - 1;
+        lowpassed += (white - lowpassed) * 0.2;
+        samples[i] += (lowpassed * 2 + white * 0.3) * noiseLevel;
+    }
+
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    for (let i = 0; i < length; i++) {
+        samples[i] *= 0.9 / peak;
+    }
+
+    return samples;
+}
+
+function create({ difficulty }) {
+    const length = DIGIT_COUNTS[difficulty];
+    if (!length) {
+        throw new RangeError(`Unsupported difficulty for audio: ${difficulty}`);
+    }
+
+    const nonce = crypto.randomBytes(12).toString('base64url');
+    const { kid } = deriveSecret(`audio:${nonce}`);
+
+    return {
+        claims: {
+            audio: { nonce, kid, length }
+        },
+        data: {
+            prompt: `Type the ${length} digits you hear`,
+            digits: length
+        }
+    };
+}
+
+function verify(claims, response) {
+    const answer = String(response ?? '').replace(/[\s-]/g, '');
+
+    if (!/^\d{1,16}$/.test(answer)) {
+        return { solved: false, error: 'audio-missing-answer' };
+    }
+
+    const digits = digitsFor(claims.audio);
+    return digits && safeEqual(answer, digits)
+        ? { solved: true }
+        : { solved: false, error: 'audio-incorrect-answer' };
+}
+
+// The recording for a challenge, as a WAV file
+function asset(claims) {
+    const digits = digitsFor(claims.audio);
+    if (!digits) return null;
+
+    const seed = deriveSecret(`audio-noise:${claims.audio.nonce}`, claims.audio.kid).bytes;
+
+    return {
+        contentType: 'audio/wav',
+        body: encodeWav(render(digits, seededRandom(seed)), SAMPLE_RATE)
+    };
+}
+
+module.exports = {
+    create,
+    verify,
+    asset
+};
@@ -0,0 +1,234 @@
+/**
+ * Image grid challenge ("select every creeper")
+ * Tiles are rendered server-side as noisy pixel-art PNGs. The correct
+ * selection only ever leaves the server sealed inside the challenge token.
+ */
+
+const crypto = require('crypto');
+const { encodeRGB } = require('../png');
+const { sealValue, matchesSealedValue } = require('../challenge-token');
+
+// 8x8 sprites, one character per pixel, colors from each sprite's palette
+const SPRITES = {
+    creeper: {
+        label: 'creeper',
+        palette: { G: [93, 184, 74], g: [127, 208, 106], B: [27, 27, 27] },
+        pixels: [
+            'GgGGgGGg',
+            'GGgGGGgG',
+            'GBBggBBG',
+            'GBBGGBBg',
+            'gGGBBGGG',
+            'GgBBBBgG',
+            'GgBggBGg',
+            'GGBGGBGG'
+        ]
+    },
+    zombie: {
+        label: 'zombie',
+        palette: { T: [78, 143, 106], t: [62, 116, 86], E: [42, 63, 143], d: [46, 77, 58] },
+        pixels: [
+            'TTtTTTTT',
+            'TTTTTtTT',
+            'TtTTTTtT',
+            'TEETTEET',
+            'TTTddTTT',
+            'TtTTTTTT',
+            'TTddddTT',
+            'TTTTTTtT'
+        ]
+    },
+    pig: {
+        label: 'pig',
+        palette: { P: [240, 165, 162], W: [250, 250, 250], K: [20, 20, 20], S: [227, 138, 138], N: [139, 79, 79] },
+        pixels: [
+            'PPPPPPPP',
+            'PPPPPPPP',
+            'WKPPPPKW',
+            'PPPPPPPP',
+            'PPSSSSPP',
+            'PPNSSNPP',
+            'PPSSSSPP',
+            'PPPPPPPP'
+        ]
+    },
+    skeleton: {
+        label: 'skeleton',
+        palette: { L: [200, 200, 200], l: [172, 172, 172], K: [58, 58, 58] },
+        pixels: [
+            'LLlLLLLL',
+            'LLLLLlLL',
+            'LKKLLKKL',
+            'LLLLLLLL',
+            'LLLKKLLL',
+            'LlLLLLlL',
+            'LKLKLKLL',
+            'LLLLLLLL'
+        ]
+    },
+    grass: {
+        label: 'grass block',
+        palette: { G: [93, 160, 58], g: [120, 186, 80], D: [139, 90, 43], d: [110, 70, 34] },
+        pixels: [
+            'GGgGGGgG',
+            'gGGGgGGG',
+            'GdGGdGgd',
+            'DDdDDDdD',
+            'DdDDDdDD',
+            'DDDdDDDd',
+            'dDDDDdDD',
+            'DDdDDDDD'
+        ]
+    },
+    stone: {
+        label: 'stone',
+        palette: { S: [138, 138, 138], s: [111, 111, 111] },
+        pixels: [
+            'SsSSSsSS',
+            'SSSsSSSS',
+            'sSSSSSsS',
+            'SSsSSSSS',
+            'SSSSsSSs',
+            'sSSSSSSS',
+            'SSSsSSsS',
+            'SsSSSSSS'
+        ]
+    }
+};
+
+// Mobs that can be asked for; every sprite can appear as a distractor
+const TARGETS = ['creeper', 'zombie', 'pig', 'skeleton'];
+
+const GRID_SIZES = {
+    easy: 3,
+    low: 3,
+    medium: 3,
+    hard: 4,
+    high: 4
+};
+
+const TILE_SIZE = 48;
+const SPRITE_SCALE = 5;
+
+function randomInt(max) {
+    return crypto.randomInt(max);
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(255, value));
+}
+
+// Render one sprite with a random offset, mirror, brightness and per-pixel noise
+function renderTile(sprite) {
+    const pixels = Buffer.alloc(TILE_SIZE * TILE_SIZE * 3);
+    const spriteSize = 8 * SPRITE_SCALE;
+    const offsetX = randomInt(TILE_SIZE - spriteSize + 1);
+    const offsetY = randomInt(TILE_SIZE - spriteSize + 1);
+    const mirror = randomInt(2) === 1;
+    const brightness = 0.85 + randomInt(31) / 100;
+
+    for (let y = 0; y < TILE_SIZE; y++) {
+        for (let x = 0; x < TILE_SIZE; x++) {
+            const sx = Math.floor((x - offsetX) / SPRITE_SCALE);
+            const sy = Math.floor((y - offsetY) / SPRITE_SCALE);
+            const inside = sx >= 0 && sx < 8 && sy >= 0 && sy < 8;
+
+            let color;
+            if (inside && randomInt(100) >= 4) {
+                const symbol = sprite.pixels[sy][mirror ? 7 - sx : sx];
+                color = sprite.palette[symbol];
+            } else {
+                // Background and speckles: random dark noise
+                const shade = 20 + randomInt(60);
+                color = [shade + randomInt(20), shade + randomInt(20), shade + randomInt(20)];
+            }
+
+            const jitter = randomInt(25) - 12;
+            const index = (y * TILE_SIZE + x) * 3;
+            pixels[index] = clamp(Math.round(color[0] * brightness) + jitter);
+            pixels[index + 1] = clamp(Math.round(color[1] * brightness) + jitter);
+            pixels[index + 2] = clamp(Math.round(color[2] * brightness) + jitter);
+        }
+    }
+
+    return 'data:image/png;base64,' + encodeRGB(TILE_SIZE, TILE_SIZE, pixels).toString('base64');
+}
+
+// Canonical form of a selection: sorted, de-duplicated tile indexes
+function normalizeSelection(selection, tileCount) {
+    const values = Array.isArray(selection) ? selection : String(selection).split(',');
+    const indexes = new Set();
+
+    for (const value of values) {
+        const index = Number(value);
+        if (!Number.isInteger(index) || index < 0 || index >= tileCount) {
+            return null;
+        }
+        indexes.add(index);
+    }
+
+    return [...indexes].sort((a, b) => a - b).join(',');
+}
+
+function create({ difficulty }) {
+    const columns = GRID_SIZES[difficulty];
+    if (!columns) {
+        throw new RangeError(`Unsupported difficulty for image_grid: ${difficulty}`);
+    }
+
+    const tileCount = columns * columns;
+    const target = TARGETS[randomInt(TARGETS.length)];
+    const distractors = Object.keys(SPRITES).filter(name => name !== target);
+
+    // Between 2 and columns + 1 target tiles
+    const targetCount = 2 + randomInt(columns);
+    const positions = new Set();
+    while (positions.size < targetCount) {
+        positions.add(randomInt(tileCount));
+    }
+
+    const tiles = [];
+    for (let i = 0; i < tileCount; i++) {
+        const name = positions.has(i) ? target : distractors[randomInt(distractors.length)];
+        tiles.push(renderTile(SPRITES[name]));
+    }
+
+    const nonce = crypto.randomBytes(12).toString('base64url');
+    const answer = [...positions].sort((a, b) => a - b).join(',');
+
+    return {
+        claims: {
+            grid: {
+                tiles: tileCount,
+                nonce,
+                answer: sealValue(`${nonce}:${answer}`)
+            }
+        },
+        data: {
+            prompt: `Select every ${SPRITES[target].label}`,
+            columns,
+            tiles
+        }
+    };
+}
+
+function verify(claims, response) {
+    const { tiles, nonce, answer } = claims.grid;
+    const selection = response === undefined || response === null || response === ''
+        ? null
+        : normalizeSelection(response, tiles);
+
+    if (selection === null) {
+        return { solved: false, error: 'grid-missing-selection' };
+    }
+
+    return matchesSealedValue(`${nonce}:${selection}`, answer)
+        ? { solved: true }
+        : { solved: false, error: 'grid-incorrect-selection' };
+}
+
+module.exports = {
+    SPRITES,
+    create,
+    verify
+};
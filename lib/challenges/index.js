@@ -0,0 +1,86 @@
+/**
+ * Challenge types
+ * Each type creates the data a widget needs and checks the submitted solution
+ */
+
+const pow = require('./pow');
+const imageGrid = require('./image-grid');
+const math = require('./math');
+const audio = require('./audio');
+
+// Challenges without a puzzle: the decision rests entirely on risk scoring
+const passive = {
+    create: () => ({ claims: {}, data: {} }),
+    verify: () => ({ solved: true })
+};
+
+const CHALLENGE_TYPES = {
+    checkbox: passive,
+    invisible: passive,
+    pow,
+    image_grid: imageGrid,
+    math,
+    audio
+};
+
+// Types a person has to answer; solving one settles a 'challenge' verdict.
+// math is not one of them: its question reaches the browser as plain text,
+// so a script answers it as easily as a person.
+const INTERACTIVE_TYPES = ['image_grid', 'audio'];
+
+class ChallengeTypeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChallengeTypeError';
+    }
+}
+
+function isSupported(type) {
+    return Object.prototype.hasOwnProperty.call(CHALLENGE_TYPES, type);
+}
+
+// Build a new challenge: claims go into the signed token, data goes to the client
+function createChallenge(type, options = {}) {
+    if (!isSupported(type)) {
+        throw new ChallengeTypeError(`Unsupported challenge type: ${type}`);
+    }
+
+    try {
+        return CHALLENGE_TYPES[type].create(options);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            throw new ChallengeTypeError(error.message);
+        }
+        throw error;
+    }
+}
+
+function isInteractive(type) {
+    return INTERACTIVE_TYPES.includes(type);
+}
+
+// Check the solution submitted for a verified challenge token
+function checkSolution(claims, response) {
+    if (!isSupported(claims.type)) {
+        return { solved: false, error: 'invalid-challenge-type' };
+    }
+    return CHALLENGE_TYPES[claims.type].verify(claims, response);
+}
+
+// Media a challenge is presented with (such as the audio challenge's
+// recording), or null for types that have none
+function createAsset(claims) {
+    if (!isSupported(claims.type) || typeof CHALLENGE_TYPES[claims.type].asset !== 'function') {
+        return null;
+    }
+    return CHALLENGE_TYPES[claims.type].asset(claims);
+}
+
+module.exports = {
+    CHALLENGE_TYPES,
+    ChallengeTypeError,
+    createChallenge,
+    checkSolution,
+    createAsset,
+    isInteractive
+};
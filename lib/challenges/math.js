@@ -0,0 +1,57 @@
+/**
+ * Arithmetic question challenge ("What is 3 + 4?")
+ * Used by the DefendaCaptcha widget. The answer stays sealed in the token.
+ */
+
+const crypto = require('crypto');
+const { sealValue, matchesSealedValue } = require('../challenge-token');
+
+// Operand ranges for each difficulty level
+const OPERAND_RANGES = {
+    easy: 10,
+    low: 10,
+    medium: 20,
+    hard: 50,
+    high: 50
+};
+
+function create({ difficulty }) {
+    const range = OPERAND_RANGES[difficulty];
+    if (!range) {
+        throw new RangeError(`Unsupported difficulty for math: ${difficulty}`);
+    }
+
+    const a = crypto.randomInt(1, range + 1);
+    const b = crypto.randomInt(1, range + 1);
+    const nonce = crypto.randomBytes(12).toString('base64url');
+
+    return {
+        claims: {
+            math: {
+                nonce,
+                answer: sealValue(`${nonce}:${a + b}`)
+            }
+        },
+        data: {
+            question: `What is ${a} + ${b}?`
+        }
+    };
+}
+
+function verify(claims, response) {
+    const answer = typeof response === 'number' ? String(response) : String(response || '').trim();
+
+    if (!/^\d{1,4}$/.test(answer)) {
+        return { solved: false, error: 'math-missing-answer' };
+    }
+
+    const { nonce, answer: sealed } = claims.math;
+    return matchesSealedValue(`${nonce}:${parseInt(answer, 10)}`, sealed)
+        ? { solved: true }
+        : { solved: false, error: 'math-incorrect-answer' };
+}
+
+module.exports = {
+    create,
+    verify
+};
@@ -0,0 +1,93 @@
+/**
+ * Proof-of-work challenge
+ * The client must find a nonce so that SHA-256(salt + nonce) starts with
+ * a given number of zero bits. Solving takes ~2^bits hashes, checking one.
+ */
+
+const crypto = require('crypto');
+
+// Required leading zero bits for each difficulty level
+const DIFFICULTY_BITS = {
+    easy: 12,
+    low: 12,
+    medium: 16,
+    hard: 20,
+    high: 20
+};
+
+const MIN_BITS = 8;
+const MAX_BITS = 24;
+
+// Fewest bits a key accepts unless its pow_min_bits says otherwise; easier
+// requests are raised to it, since the client picks the difficulty
+const DEFAULT_MIN_BITS = DIFFICULTY_BITS.medium;
+
+function resolveBits(difficulty) {
+    if (typeof difficulty === 'number' || /^\d+$/.test(String(difficulty))) {
+        const bits = parseInt(difficulty, 10);
+        return bits >= MIN_BITS && bits <= MAX_BITS ? bits : null;
+    }
+    return DIFFICULTY_BITS[difficulty] || null;
+}
+
+// The key's pow_min_bits, or DEFAULT_MIN_BITS when unset or out of range
+function resolveMinBits(apiKey = {}) {
+    const bits = Number(apiKey.pow_min_bits);
+    return Number.isInteger(bits) && bits >= MIN_BITS && bits <= MAX_BITS ? bits : DEFAULT_MIN_BITS;
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+function create({ difficulty, minBits = MIN_BITS }) {
+    const requested = resolveBits(difficulty);
+    if (requested === null) {
+        throw new RangeError(`Unsupported difficulty for pow: ${difficulty}`);
+    }
+    const bits = Math.max(requested, minBits);
+
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    return {
+        // Bound into the signed challenge token
+        claims: { pow: { salt, bits } },
+        // Sent to the widget
+        data: { algorithm: 'SHA-256', salt, bits }
+    };
+}
+
+function verify(claims, response) {
+    const nonce = typeof response === 'object' && response !== null ? response.nonce : response;
+
+    if (typeof nonce !== 'string' || !/^\d{1,12}$/.test(nonce)) {
+        return { solved: false, error: 'pow-missing-solution' };
+    }
+
+    const { salt, bits } = claims.pow;
+    const digest = crypto.createHash('sha256').update(salt + nonce).digest();
+
+    return leadingZeroBits(digest) >= bits
+        ? { solved: true }
+        : { solved: false, error: 'pow-invalid-solution' };
+}
+
+module.exports = {
+    DIFFICULTY_BITS,
+    MIN_BITS,
+    MAX_BITS,
+    DEFAULT_MIN_BITS,
+    resolveMinBits,
+    leadingZeroBits,
+    create,
+    verify
+};
@@ -0,0 +1,103 @@
+/**
+ * Country policy
+ * Per-key lists of countries (ISO 3166-1 alpha-2 codes from geoip-lite) that
+ * are always allowed, must solve an interactive challenge or are blocked,
+ * plus the action for every country not listed
+ */
+
+const geoip = require('geoip-lite');
+const { isPublicIp } = require('./ip');
+
+const COUNTRY_ACTIONS = ['allow', 'challenge', 'block'];
+
+const DEFAULT_COUNTRY_POLICY = {
+    default: 'allow',
+    allow: [],
+    challenge: [],
+    block: []
+};
+
+// Split a list given as an array or as text separated by commas or spaces
+function parseCountryList(value) {
+    if (value === undefined || value === null) return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    return [...new Set(list.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+}
+
+// Validate a policy from a request body. Returns { policy } or { error }.
+function parseCountryPolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'country_policy must be an object with default, allow, challenge and block' };
+    }
+
+    const policy = { default: input.default ?? DEFAULT_COUNTRY_POLICY.default };
+    if (!COUNTRY_ACTIONS.includes(policy.default)) {
+        return { error: 'country_policy.default must be "allow", "challenge" or "block"' };
+    }
+
+    const seen = new Map();
+    for (const action of COUNTRY_ACTIONS) {
+        policy[action] = parseCountryList(input[action]);
+
+        for (const code of policy[action]) {
+            if (!/^[A-Z]{2}$/.test(code)) {
+                return { error: `"${code}" is not a two-letter country code` };
+            }
+            if (seen.has(code)) {
+                return { error: `${code} is listed as both ${seen.get(code)} and ${action}` };
+            }
+            seen.set(code, action);
+        }
+    }
+
+    return { policy };
+}
+
+// The key's stored policy (a JSON column, or text from some drivers),
+// falling back to allowing every country
+function resolveCountryPolicy(apiKey = {}) {
+    let stored = apiKey.country_policy;
+    if (typeof stored === 'string') {
+        try {
+            stored = JSON.parse(stored);
+        } catch (e) {
+            stored = null;
+        }
+    }
+
+    const { policy } = stored ? parseCountryPolicy(stored) : {};
+    return policy || DEFAULT_COUNTRY_POLICY;
+}
+
+// The rule that applies to a request from `ip` in `country`: { action,
+// country } where country is the listed code, or "*" for a default other
+// than "allow". Public addresses the geo database doesn't know (often VPN
+// and hosting ranges) get the default, so they cannot slip past an
+// allowlist; private ones (such as local development traffic) match no rule.
+function matchCountryRule(policy, country, ip = null) {
+    if (!country && !isPublicIp(ip)) return null;
+
+    for (const action of COUNTRY_ACTIONS) {
+        if (country && policy[action].includes(country)) {
+            return { action, country };
+        }
+    }
+
+    return policy.default === 'allow' ? null : { action: policy.default, country: '*' };
+}
+
+// Country code of an IP address, or null when geoip-lite doesn't know it
+function countryOf(ip) {
+    const geo = ip ? geoip.lookup(ip) : null;
+    return geo ? geo.country : null;
+}
+
+module.exports = {
+    COUNTRY_ACTIONS,
+    DEFAULT_COUNTRY_POLICY,
+    parseCountryPolicy,
+    resolveCountryPolicy,
+    matchCountryRule,
+    countryOf
+};
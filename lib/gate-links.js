@@ -0,0 +1,184 @@
+/**
+ * Gate links
+ * Short links on this app that put a challenge in front of something
+ * scrapers should not see, such as a Discord invite or a server address.
+ * The target is only revealed (or redirected to) once the visitor passes.
+ */
+
+const crypto = require('crypto');
+
+// Action the gate page binds its challenge to
+const GATE_ACTION = 'gate_link';
+
+// 'redirect' sends the visitor to a URL, 'reveal' shows text such as a
+// server address for them to copy
+const GATE_MODES = ['redirect', 'reveal'];
+
+const SLUG_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SLUG_LENGTH = 8;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TARGET_LENGTH = 500;
+const MAX_USES = 1000000;
+const MAX_LINKS_PER_KEY = 100;
+
+// Days of per-link analytics returned by default
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+function generateSlug() {
+    const bytes = crypto.randomBytes(SLUG_LENGTH);
+    return [...bytes].map(byte => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join('');
+}
+
+function isValidSlug(value) {
+    return typeof value === 'string' && new RegExp(`^[${SLUG_ALPHABET}]{${SLUG_LENGTH}}$`).test(value);
+}
+
+function isValidRedirect(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Validate a new link (or, with `existing`, changes to one) from a request
+// body. Returns { link } with the fields to store, or { error }.
+function parseGateLinkRequest(body = {}, existing = null) {
+    const link = {};
+    const has = field => body[field] !== undefined || !existing;
+
+    if (has('name')) {
+        const name = String(body.name ?? '').trim();
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+        }
+        link.name = name;
+    }
+
+    if (has('mode')) {
+        const mode = body.mode ?? 'redirect';
+        if (!GATE_MODES.includes(mode)) {
+            return { error: `mode must be one of ${GATE_MODES.join(', ')}` };
+        }
+        link.mode = mode;
+    }
+
+    if (has('target')) {
+        const target = String(body.target ?? '').trim();
+        if (!target || target.length > MAX_TARGET_LENGTH) {
+            return { error: `target must be 1-${MAX_TARGET_LENGTH} characters` };
+        }
+        link.target = target;
+    }
+
+    const mode = link.mode || existing.mode;
+    const target = link.target || existing.target;
+    if (mode === 'redirect' && !isValidRedirect(target)) {
+        return { error: 'Redirect links need an http or https target URL' };
+    }
+
+    if (has('expires_at')) {
+        const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+        if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= Date.now())) {
+            return { error: 'expires_at must be a date in the future' };
+        }
+        link.expires_at = expiresAt ? expiresAt.toISOString() : null;
+    }
+
+    if (has('max_uses')) {
+        const maxUses = body.max_uses === null || body.max_uses === undefined || body.max_uses === ''
+            ? null
+            : Number(body.max_uses);
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES)) {
+            return { error: `max_uses must be a whole number between 1 and ${MAX_USES}, or empty for no limit` };
+        }
+        link.max_uses = maxUses;
+    }
+
+    if (body.disabled !== undefined) {
+        if (typeof body.disabled !== 'boolean') {
+            return { error: 'disabled must be true or false' };
+        }
+        link.disabled = body.disabled;
+    }
+
+    return { link };
+}
+
+// 'active', or why the link no longer opens
+function gateLinkStatus(link, now = Date.now()) {
+    if (link.disabled) return 'disabled';
+    if (link.expires_at && new Date(link.expires_at).getTime() <= now) return 'expired';
+    if (link.max_uses !== null && link.max_uses !== undefined && link.uses >= link.max_uses) return 'exhausted';
+    return 'active';
+}
+
+// The link as its owner sees it
+function describeGateLink(link, baseUrl) {
+    return {
+        id: link.id,
+        slug: link.slug,
+        url: `${baseUrl}/g/${link.slug}`,
+        name: link.name,
+        mode: link.mode,
+        target: link.target,
+        status: gateLinkStatus(link),
+        expires_at: link.expires_at || null,
+        max_uses: link.max_uses ?? null,
+        uses: link.uses || 0,
+        views: link.views || 0,
+        created_at: link.created_at
+    };
+}
+
+// Per-link analytics from its events ({ event: view|unlock|failure,
+// country_code, created_at }), over the last `days` days
+function summarizeGateEvents(events, days = DEFAULT_ANALYTICS_DAYS, now = Date.now()) {
+    const totals = { views: 0, unlocks: 0, failures: 0 };
+    const daily = new Map();
+    const countries = {};
+
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(now - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        daily.set(date, { date, views: 0, unlocks: 0, failures: 0 });
+    }
+
+    const counters = { view: 'views', unlock: 'unlocks', failure: 'failures' };
+    for (const event of events) {
+        const counter = counters[event.event];
+        const day = daily.get(new Date(event.created_at).toISOString().slice(0, 10));
+        if (!counter || !day) continue;
+
+        totals[counter]++;
+        day[counter]++;
+        if (event.event === 'unlock' && event.country_code) {
+            countries[event.country_code] = (countries[event.country_code] || 0) + 1;
+        }
+    }
+
+    return {
+        ...totals,
+        // Share of page views that went on to unlock the link
+        conversion_rate: totals.views > 0 ? Math.round(totals.unlocks / totals.views * 1000) / 10 : 0,
+        daily: [...daily.values()],
+        top_countries: Object.entries(countries)
+            .map(([country, unlocks]) => ({ country, unlocks }))
+            .sort((a, b) => b.unlocks - a.unlocks)
+            .slice(0, 10)
+    };
+}
+
+module.exports = {
+    GATE_ACTION,
+    GATE_MODES,
+    MAX_LINKS_PER_KEY,
+    DEFAULT_ANALYTICS_DAYS,
+    generateSlug,
+    isValidSlug,
+    parseGateLinkRequest,
+    gateLinkStatus,
+    describeGateLink,
+    summarizeGateEvents
+};
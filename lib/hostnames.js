@@ -0,0 +1,86 @@
+/**
+ * Allowed hostnames
+ * Matches the page a widget runs on against the domains configured for its
+ * API key. "example.com" matches only that host, "*.example.com" matches any
+ * subdomain of it.
+ */
+
+// Hosts every development key may be used from
+const LOCAL_HOSTNAMES = ['localhost', '*.localhost', '127.0.0.1', '[::1]'];
+
+// Split the api_keys.domain column into patterns. Entries may be separated
+// by commas, spaces or new lines and may be pasted as full URLs.
+function parseDomainList(value) {
+    if (!value) return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    return [...new Set(list.map(normalizePattern).filter(Boolean))];
+}
+
+function normalizePattern(entry) {
+    let pattern = String(entry).trim().toLowerCase();
+    if (!pattern) return null;
+
+    pattern = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+    pattern = pattern.split(/[/?#]/)[0];
+
+    // Drop a port, after the brackets of an IPv6 literal
+    pattern = pattern.replace(/^(\[[^\]]*\]|[^:]*):\d+$/, '$1');
+
+    return pattern.replace(/\.$/, '') || null;
+}
+
+function isValidPattern(pattern) {
+    if (pattern === '[::1]' || /^\d{1,3}(\.\d{1,3}){3}$/.test(pattern)) return true;
+
+    const host = pattern.startsWith('*.') ? pattern.slice(2) : pattern;
+    return /^(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))*$/.test(host);
+}
+
+function matchesPattern(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1));
+    }
+    return hostname === pattern;
+}
+
+// Hostname of the page that sent the request, from Origin or else Referer
+function requestHostname(req) {
+    for (const header of ['origin', 'referer']) {
+        const value = req.headers[header];
+        if (!value || value === 'null') continue;
+
+        try {
+            return new URL(value).hostname.toLowerCase();
+        } catch (e) {
+            // Try the next header
+        }
+    }
+    return null;
+}
+
+// Patterns a key accepts: its configured domains, plus localhost for
+// development keys
+function allowedPatterns(apiKey) {
+    const patterns = parseDomainList(apiKey.domain);
+    if (apiKey.environment === 'development') {
+        patterns.push(...LOCAL_HOSTNAMES);
+    }
+    return patterns;
+}
+
+// Keys without any configured domain are not restricted
+function isHostnameAllowed(apiKey, hostname) {
+    if (parseDomainList(apiKey.domain).length === 0) return true;
+    if (!hostname) return false;
+
+    return allowedPatterns(apiKey).some(pattern => matchesPattern(hostname, pattern));
+}
+
+module.exports = {
+    LOCAL_HOSTNAMES,
+    parseDomainList,
+    isValidPattern,
+    requestHostname,
+    isHostnameAllowed
+};
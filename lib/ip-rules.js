@@ -0,0 +1,61 @@
+/**
+ * IP allow/deny rules
+ * Per-key lists of IPv4/IPv6 addresses and CIDR ranges that are always
+ * allowed or always blocked, checked before risk scoring
+ */
+
+const { parseCidr, cidrContains } = require('./ip');
+
+const RULE_ACTIONS = ['allow', 'deny'];
+const MAX_RULES_PER_KEY = 500;
+const MAX_NOTE_LENGTH = 200;
+
+// Validate a rule from a request body. Returns { rule } or { error }.
+function parseIpRule({ cidr, action, note } = {}) {
+    const range = parseCidr(cidr);
+    if (!range) {
+        return { error: 'cidr must be an IPv4/IPv6 address or CIDR range, e.g. 203.0.113.0/24 or 2001:db8::/32' };
+    }
+
+    if (!RULE_ACTIONS.includes(action)) {
+        return { error: 'action must be "allow" or "deny"' };
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        return { error: 'note must be a string' };
+    }
+
+    return {
+        rule: {
+            cidr: range.text,
+            action,
+            note: note ? note.trim().slice(0, MAX_NOTE_LENGTH) : null
+        }
+    };
+}
+
+// The most specific rule containing the IP; deny wins between equally
+// specific rules
+function matchIpRule(rules, ip) {
+    let match = null;
+    let matchPrefix = -1;
+
+    for (const rule of rules || []) {
+        const range = parseCidr(rule.cidr);
+        if (!range || !cidrContains(range, ip)) continue;
+
+        if (range.prefix > matchPrefix || (range.prefix === matchPrefix && rule.action === 'deny')) {
+            match = rule;
+            matchPrefix = range.prefix;
+        }
+    }
+
+    return match;
+}
+
+module.exports = {
+    RULE_ACTIONS,
+    MAX_RULES_PER_KEY,
+    parseIpRule,
+    matchIpRule
+};
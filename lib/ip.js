@@ -0,0 +1,202 @@
+/**
+ * IP address helpers
+ * Parsing and CIDR matching for IPv4 and IPv6 without external dependencies
+ */
+
+const net = require('net');
+
+// Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+function normalizeIp(ip) {
+    if (typeof ip !== 'string') return null;
+
+    const trimmed = ip.trim();
+    const mapped = trimmed.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const address = mapped ? mapped[1] : trimmed;
+
+    return net.isIP(address) ? address : null;
+}
+
+// Address as a BigInt plus its bit width
+function ipToBigInt(ip) {
+    const address = normalizeIp(ip);
+    if (!address) return null;
+
+    if (net.isIPv4(address)) {
+        const value = address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+        return { value, bits: 32 };
+    }
+
+    // Expand "::" and any trailing dotted IPv4 part into eight hextets
+    let [head, tail = null] = address.split('::');
+    const toHextets = (part) => {
+        if (!part) return [];
+        const groups = part.split(':');
+        const last = groups[groups.length - 1];
+        if (last.includes('.')) {
+            const [a, b, c, d] = last.split('.').map(Number);
+            groups.splice(-1, 1, ((a << 8) | b).toString(16), ((c << 8) | d).toString(16));
+        }
+        return groups;
+    };
+
+    const headGroups = toHextets(head);
+    const tailGroups = toHextets(tail);
+    const missing = tail === null ? 0 : 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+
+    const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { value, bits: 128 };
+}
+
+// Format a BigInt address back to text, compressing the longest IPv6 zero run
+function bigIntToIp(value, bits) {
+    if (bits === 32) {
+        return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 255n)).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+
+    let best = { start: -1, length: 0 };
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== '0') { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === '0') j++;
+        if (j - i > best.length) best = { start: i, length: j - i };
+        i = j;
+    }
+
+    if (best.length < 2) return groups.join(':');
+
+    const head = groups.slice(0, best.start).join(':');
+    const tail = groups.slice(best.start + best.length).join(':');
+    return `${head}::${tail}`;
+}
+
+// Parse "10.0.0.0/8", "2001:db8::/32" or a bare address (a single-host range)
+function parseCidr(cidr) {
+    if (typeof cidr !== 'string') return null;
+
+    const [address, prefixText] = cidr.trim().split('/');
+    const parsed = ipToBigInt(address);
+    if (!parsed) return null;
+
+    if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+
+    const prefix = prefixText === undefined ? parsed.bits : Number(prefixText);
+    if (prefix > parsed.bits) return null;
+
+    const shift = BigInt(parsed.bits - prefix);
+    return {
+        bits: parsed.bits,
+        prefix,
+        network: (parsed.value >> shift) << shift,
+        shift,
+        // Canonical form with host bits cleared, e.g. "10.1.2.3/8" -> "10.0.0.0/8"
+        text: `${bigIntToIp((parsed.value >> shift) << shift, parsed.bits)}/${prefix}`
+    };
+}
+
+function isValidCidr(cidr) {
+    return parseCidr(cidr) !== null;
+}
+
+function cidrContains(range, ip) {
+    const parsedRange = typeof range === 'string' ? parseCidr(range) : range;
+    const parsedIp = ipToBigInt(ip);
+    if (!parsedRange || !parsedIp || parsedRange.bits !== parsedIp.bits) return false;
+
+    return ((parsedIp.value >> parsedRange.shift) << parsedRange.shift) === parsedRange.network;
+}
+
+// Pre-parse a list of ranges once; returns the first range containing an IP
+function createMatcher(ranges) {
+    const parsed = ranges.map(parseCidr).filter(Boolean);
+
+    return (ip) => parsed.find(range => cidrContains(range, ip)) || null;
+}
+
+// Loopback, private, link-local and unique-local addresses
+const PRIVATE_RANGES = createMatcher([
+    '127.0.0.0/8',
+    '10.0.0.0/8',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '169.254.0.0/16',
+    '::1/128',
+    'fc00::/7',
+    'fe80::/10'
+]);
+
+function isPrivateIp(ip) {
+    return PRIVATE_RANGES(ip) !== null;
+}
+
+// Everything that is not a public unicast address: the private ranges above
+// plus carrier-grade NAT, documentation, benchmarking, multicast, reserved,
+// IPv4-mapped, NAT64 and 6to4 addresses
+const RESERVED_RANGES = createMatcher([
+    '0.0.0.0/8',
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '127.0.0.0/8',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.0.0.0/24',
+    '192.0.2.0/24',
+    '192.168.0.0/16',
+    '198.18.0.0/15',
+    '198.51.100.0/24',
+    '203.0.113.0/24',
+    '224.0.0.0/3',
+    '::/127',
+    '::ffff:0:0/96',
+    '64:ff9b::/96',
+    '100::/64',
+    '2001:db8::/32',
+    '2002::/16',
+    'fc00::/7',
+    'fe80::/10',
+    'ff00::/8'
+]);
+
+function isPublicIp(ip) {
+    return normalizeIp(ip) !== null && RESERVED_RANGES(ip) === null;
+}
+
+// Express names for the proxy ranges it knows
+const PROXY_RANGE_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+// Express "trust proxy" setting from TRUST_PROXY: unset or "false" trusts no
+// proxy (req.ip is the connecting address), a number trusts that many hops
+// in front of the app, and a comma-separated list trusts proxies at those
+// addresses, ranges or Express range names. Trusting every hop ("true")
+// would let any client pick its IP with an X-Forwarded-For header.
+function trustProxySetting(value) {
+    const setting = String(value === undefined || value === null ? '' : value).trim();
+    if (setting === '' || setting === 'false') return false;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    if (setting === 'true') {
+        throw new Error('TRUST_PROXY=true lets clients choose their own IP; set the number of proxies in front of the app instead');
+    }
+
+    const ranges = setting.split(',').map(range => range.trim()).filter(Boolean);
+    const invalid = ranges.find(range => !PROXY_RANGE_NAMES.includes(range) && !isValidCidr(range));
+    if (invalid) {
+        throw new Error(`TRUST_PROXY: ${invalid} is not a hop count, address, CIDR range or ${PROXY_RANGE_NAMES.join('/')}`);
+    }
+    return ranges;
+}
+
+module.exports = {
+    normalizeIp,
+    parseCidr,
+    isValidCidr,
+    cidrContains,
+    createMatcher,
+    isPrivateIp,
+    isPublicIp,
+    trustProxySetting
+};
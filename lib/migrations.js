@@ -0,0 +1,290 @@
+/**
+ * Database migrations
+ * Numbered SQL files in database/migrations ("0001_baseline.sql"), each with
+ * a "-- migrate:up" section and an optional "-- migrate:down" section.
+ * Applied migrations are recorded in schema_migrations; each one runs in
+ * its own transaction together with that record, so a failing migration
+ * leaves nothing behind. Files are sent to Postgres whole, which keeps
+ * $$-quoted function bodies intact. SQLite databases have their own files
+ * in database/migrations/sqlite, applied the same way when they are opened.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const SQLITE_MIGRATIONS_DIR = path.join(MIGRATIONS_DIR, 'sqlite');
+
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Held while migrating so two servers starting at once don't both apply
+// the same migration (any constant works, it only has to be shared)
+const LOCK_ID = 727274;
+
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+// Split a migration file into its up and down SQL
+function parseMigration(file, text) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+        throw new MigrationError(`${file}: migration files are named like 0001_add_table.sql`);
+    }
+
+    const upAt = text.search(UP_MARKER);
+    if (upAt === -1) {
+        throw new MigrationError(`${file}: missing "-- migrate:up"`);
+    }
+    const downAt = text.search(DOWN_MARKER);
+    if (downAt !== -1 && downAt < upAt) {
+        throw new MigrationError(`${file}: "-- migrate:down" must come after "-- migrate:up"`);
+    }
+
+    const up = text.slice(upAt, downAt === -1 ? undefined : downAt).replace(UP_MARKER, '').trim();
+    const down = downAt === -1 ? '' : text.slice(downAt).replace(DOWN_MARKER, '').trim();
+
+    return {
+        version: match[1],
+        name: match[2],
+        file,
+        up,
+        down,
+        checksum: crypto.createHash('sha256').update(text).digest('hex')
+    };
+}
+
+// Every migration file, oldest first
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.sql'))
+        .sort()
+        .map(file => parseMigration(file, fs.readFileSync(path.join(dir, file), 'utf8')));
+
+    const seen = new Set();
+    for (const migration of migrations) {
+        if (seen.has(migration.version)) {
+            throw new MigrationError(`Two migrations are numbered ${migration.version}`);
+        }
+        seen.add(migration.version);
+    }
+    return migrations;
+}
+
+// Write an empty migration numbered after the latest one, for Postgres and
+// its SQLite twin; returns both paths
+function createMigration(name, dir = MIGRATIONS_DIR, sqliteDir = path.join(dir, 'sqlite')) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new MigrationError('Give the migration a name, e.g. add_player_notes');
+    }
+
+    // Numbered past both directories, so neither ends up with two of a number
+    const latest = Math.max(0, ...[dir, sqliteDir].map(from => Number(loadMigrations(from).pop()?.version || 0)));
+    const file = `${String(latest + 1).padStart(4, '0')}_${slug}.sql`;
+
+    return [dir, sqliteDir].map(to => {
+        fs.mkdirSync(to, { recursive: true });
+        fs.writeFileSync(path.join(to, file), '-- migrate:up\n\n\n-- migrate:down\n\n');
+        return path.join(to, file);
+    });
+}
+
+// The table is in the API-exposed public schema, so RLS without policies
+// keeps it to the service role
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS public.schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+        ALTER TABLE public.schema_migrations ENABLE ROW LEVEL SECURITY;
+    `);
+}
+
+async function appliedMigrations(client) {
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM public.schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+// Every migration with when it was applied (null while pending). `changed`
+// marks applied files edited since, `missing` applied ones no longer on disk.
+async function getMigrationStatus(client, { dir = MIGRATIONS_DIR } = {}) {
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+    const migrations = loadMigrations(dir);
+
+    const status = migrations.map(migration => {
+        const record = applied.get(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            applied_at: record ? record.applied_at : null,
+            changed: Boolean(record && record.checksum !== migration.checksum),
+            missing: false
+        };
+    });
+
+    const onDisk = new Set(migrations.map(migration => migration.version));
+    for (const record of applied.values()) {
+        if (!onDisk.has(record.version)) {
+            status.push({ version: record.version, name: record.name, applied_at: record.applied_at, changed: false, missing: true });
+        }
+    }
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function withLock(client, run) {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    try {
+        return await run();
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+}
+
+async function inTransaction(client, run) {
+    await client.query('BEGIN');
+    try {
+        await run();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// Apply pending migrations in order, up to and including `to` when given.
+// onProgress({ version, name, index, total, status: running|applied })
+// reports each one. Resolves to the migrations applied.
+async function migrateUp(client, { dir = MIGRATIONS_DIR, to = null, onProgress = () => {} } = {}) {
+    const migrations = loadMigrations(dir);
+    await ensureMigrationsTable(client);
+
+    return withLock(client, async () => {
+        const applied = await appliedMigrations(client);
+        const pending = migrations.filter(migration =>
+            !applied.has(migration.version) && (to === null || Number(migration.version) <= Number(to)));
+
+        for (const [index, migration] of pending.entries()) {
+            const progress = { version: migration.version, name: migration.name, index, total: pending.length };
+            onProgress({ ...progress, status: 'running' });
+
+            try {
+                await inTransaction(client, async () => {
+                    await client.query(migration.up);
+                    await client.query(
+                        'INSERT INTO public.schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                        [migration.version, migration.name, migration.checksum]
+                    );
+                });
+            } catch (error) {
+                throw new MigrationError(`${migration.file} failed: ${error.message}`);
+            }
+
+            onProgress({ ...progress, status: 'applied' });
+        }
+
+        return pending;
+    });
+}
+
+// Revert the latest `steps` applied migrations, newest first. Resolves to
+// the migrations reverted.
+async function migrateDown(client, { dir = MIGRATIONS_DIR, steps = 1, onProgress = () => {} } = {}) {
+    const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+    await ensureMigrationsTable(client);
+
+    return withLock(client, async () => {
+        const applied = [...(await appliedMigrations(client)).keys()].reverse().slice(0, steps);
+        const reverting = applied.map(version => {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new MigrationError(`Migration ${version} is applied but its file is missing`);
+            }
+            if (!migration.down) {
+                throw new MigrationError(`${migration.file} has no "-- migrate:down" section`);
+            }
+            return migration;
+        });
+
+        for (const [index, migration] of reverting.entries()) {
+            const progress = { version: migration.version, name: migration.name, index, total: reverting.length };
+            onProgress({ ...progress, status: 'running' });
+
+            try {
+                await inTransaction(client, async () => {
+                    await client.query(migration.down);
+                    await client.query('DELETE FROM public.schema_migrations WHERE version = $1', [migration.version]);
+                });
+            } catch (error) {
+                throw new MigrationError(`${migration.file} failed to revert: ${error.message}`);
+            }
+
+            onProgress({ ...progress, status: 'reverted' });
+        }
+
+        return reverting;
+    });
+}
+
+// Apply pending migrations to a better-sqlite3 database; returns the
+// migrations applied. Synchronous, so the SQLite backend is migrated before
+// its first query.
+function migrateSqlite(db, { dir = SQLITE_MIGRATIONS_DIR } = {}) {
+    const migrations = loadMigrations(dir);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )
+    `);
+
+    const isApplied = db.prepare('SELECT 1 FROM schema_migrations WHERE version = ?');
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)');
+    const applied = [];
+
+    for (const migration of migrations) {
+        // IMMEDIATE takes the write lock first, so of two processes opening
+        // the file at once only one applies each migration
+        const apply = db.transaction(() => {
+            if (isApplied.get(migration.version)) return false;
+            db.exec(migration.up);
+            record.run(migration.version, migration.name, migration.checksum);
+            return true;
+        });
+
+        try {
+            if (apply.immediate()) applied.push(migration);
+        } catch (error) {
+            throw new MigrationError(`sqlite/${migration.file} failed: ${error.message}`);
+        }
+    }
+    return applied;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    SQLITE_MIGRATIONS_DIR,
+    MigrationError,
+    parseMigration,
+    loadMigrations,
+    createMigration,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    migrateSqlite
+};
@@ -0,0 +1,66 @@
+/**
+ * Outbound hosts
+ * Callback URLs and RCON hosts are chosen by API users. Connecting wherever
+ * they point would let them reach this server's own network, such as a
+ * cloud metadata service, so hosts are resolved first and refused unless
+ * every address they resolve to is public. The connection then goes to the
+ * address that was checked, not to whatever a second lookup returns.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { isPublicIp } = require('./ip');
+
+class HostNotAllowedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HostNotAllowedError';
+    }
+}
+
+// Every address a hostname or IP literal (IPv6 with or without brackets)
+// resolves to
+async function resolveHost(host) {
+    const name = String(host).replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(name)) return [name];
+
+    try {
+        return (await dns.lookup(name, { all: true })).map(({ address }) => address);
+    } catch (error) {
+        throw new HostNotAllowedError(`${host} could not be resolved`);
+    }
+}
+
+// The addresses of a host that only resolves to public ones; rejects with
+// HostNotAllowedError otherwise
+async function resolvePublicHost(host) {
+    const addresses = await resolveHost(host);
+    if (!addresses.every(isPublicIp)) {
+        throw new HostNotAllowedError(`${host} is a private or reserved address`);
+    }
+    return addresses;
+}
+
+// A dns.lookup() stand-in for http.request() and net.connect() that always
+// answers with `address`, so a host cannot resolve to a public address for
+// the check and to a private one for the connection
+function pinnedLookup(address) {
+    const family = net.isIP(address);
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        if (options && options.all) {
+            callback(null, [{ address, family }]);
+        } else {
+            callback(null, address, family);
+        }
+    };
+}
+
+module.exports = {
+    HostNotAllowedError,
+    resolvePublicHost,
+    pinnedLookup
+};
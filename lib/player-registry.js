@@ -0,0 +1,115 @@
+/**
+ * Verified players registry
+ * Minecraft players who passed verification, per API key (one key per
+ * website), so proxies and plugins can ask "is this UUID verified?" without
+ * sending the player through the hosted page again
+ */
+
+const { normalizePlayerUuid } = require('./player-sessions');
+
+// Days a verification stays valid unless the key sets its own period
+const DEFAULT_PLAYER_TTL_DAYS = 30;
+const MAX_PLAYER_TTL_DAYS = 3650;
+
+const MAX_BULK_LOOKUP = 1000;
+const PLAYER_STATUSES = ['verified', 'expired', 'revoked'];
+
+// When a verification made now stops counting, or null if it never does
+function playerExpiry(apiKey = {}, from = Date.now()) {
+    const days = apiKey.player_ttl_days ?? DEFAULT_PLAYER_TTL_DAYS;
+    if (!days) return null;
+
+    return new Date(from + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function playerStatus(entry, now = Date.now()) {
+    if (entry.revoked) return 'revoked';
+    if (entry.expires_at && new Date(entry.expires_at).getTime() <= now) return 'expired';
+    return 'verified';
+}
+
+// A registry entry as the API returns it
+function describePlayer(entry) {
+    const status = playerStatus(entry);
+
+    return {
+        uuid: entry.player_uuid,
+        name: entry.player_name,
+        verified: status === 'verified',
+        status,
+        score: entry.score ?? null,
+        verified_at: entry.verified_at,
+        expires_at: entry.expires_at || null,
+        revoked_at: entry.revoked_at || null,
+        revoked_reason: entry.revoked_reason || null,
+        alt_suspect: Boolean(entry.alt_suspect)
+    };
+}
+
+// Players nobody has verified yet get a stub so bulk lookups answer every UUID
+function describeUnknownPlayer(uuid) {
+    return { uuid, verified: false, status: 'unknown' };
+}
+
+// Validate the UUID list of a bulk lookup. Returns { uuids } or { error }.
+function parseUuidList(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'uuids must be a non-empty array of player UUIDs' };
+    }
+    if (input.length > MAX_BULK_LOOKUP) {
+        return { error: `At most ${MAX_BULK_LOOKUP} UUIDs can be looked up at once` };
+    }
+
+    const uuids = [];
+    for (const value of input) {
+        const uuid = normalizePlayerUuid(value);
+        if (!uuid) {
+            return { error: `"${value}" is not a Minecraft player UUID` };
+        }
+        uuids.push(uuid);
+    }
+
+    return { uuids: [...new Set(uuids)] };
+}
+
+// A search matches part of a player name, or a whole UUID. Returns
+// { name, uuid } or null for an empty or unusable search.
+function parseSearch(value) {
+    const search = String(value ?? '').trim();
+    if (!/^[A-Za-z0-9_-]{1,36}$/.test(search)) return null;
+
+    return { name: search.toLowerCase(), uuid: normalizePlayerUuid(search) };
+}
+
+function matchesSearch(entry, search) {
+    return entry.player_name.toLowerCase().includes(search.name) || entry.player_uuid === search.uuid;
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    // Quote fields that would break the row, and neutralize spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(entries) {
+    const columns = ['uuid', 'name', 'status', 'score', 'verified_at', 'expires_at', 'revoked_at', 'revoked_reason', 'alt_suspect'];
+    const rows = entries.map(describePlayer).map(player => columns.map(column => csvField(player[column])).join(','));
+
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    DEFAULT_PLAYER_TTL_DAYS,
+    MAX_PLAYER_TTL_DAYS,
+    MAX_BULK_LOOKUP,
+    PLAYER_STATUSES,
+    playerExpiry,
+    playerStatus,
+    describePlayer,
+    describeUnknownPlayer,
+    parseUuidList,
+    parseSearch,
+    matchesSearch,
+    toCsv
+};
@@ -0,0 +1,200 @@
+/**
+ * Player verification sessions
+ * A Minecraft server plugin opens a one-time session for a player and sends
+ * them a link (or a short code) to a hosted page on this app. The player
+ * passes the challenge there, and the server polls the session or receives
+ * a signed callback.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { HostNotAllowedError, resolvePublicHost, pinnedLookup } = require('./outbound-hosts');
+
+// Seconds a session stays open when the plugin does not ask for another TTL
+const DEFAULT_SESSION_TTL = 600;
+const MIN_SESSION_TTL = 60;
+const MAX_SESSION_TTL = 3600;
+
+// Action the hosted page binds its challenge to, so response tokens from a
+// key's other forms cannot complete a session
+const PLAYER_ACTION = 'minecraft_player';
+
+// Short codes avoid letters and digits that are easy to confuse in chat
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const CALLBACK_TIMEOUT = 5000;
+
+function generateSessionId() {
+    return crypto.randomBytes(16).toString('base64url');
+}
+
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// Player UUIDs with or without dashes, in the dashed lower-case form
+function normalizePlayerUuid(value) {
+    const hex = String(value ?? '').trim().toLowerCase().replace(/-/g, '');
+    if (!/^[0-9a-f]{32}$/.test(hex)) return null;
+
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Java Edition names, optionally with the single-character prefix proxies
+// such as Floodgate give Bedrock players
+function isValidPlayerName(name) {
+    return typeof name === 'string' && /^[.*]?[A-Za-z0-9_]{3,16}$/.test(name);
+}
+
+function isValidCallbackUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Error message when a callback URL's host is not on the public internet,
+// or null. Checked again before every delivery, since DNS can change.
+async function checkCallbackHost(callbackUrl) {
+    try {
+        await resolvePublicHost(new URL(callbackUrl).hostname);
+        return null;
+    } catch (error) {
+        if (error instanceof HostNotAllowedError) {
+            return `callback_url must point to a public host: ${error.message}`;
+        }
+        throw error;
+    }
+}
+
+// POST `body` to `url`, connecting only to `address` (see pinnedLookup).
+// Resolves to the response status; redirects are not followed.
+function postPinned(url, address, headers, body) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: pinnedLookup(address),
+            timeout: CALLBACK_TIMEOUT
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        request.on('timeout', () => request.destroy(new Error('Callback timed out')));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Validate a new session from a request body. Returns { session } with the
+// fields to store, or { error }.
+function parseSessionRequest(body = {}) {
+    const uuid = normalizePlayerUuid(body.uuid);
+    if (!uuid) {
+        return { error: 'uuid must be a Minecraft player UUID' };
+    }
+
+    if (!isValidPlayerName(body.name)) {
+        return { error: 'name must be a Minecraft player name (3-16 letters, digits or _)' };
+    }
+
+    const callbackUrl = body.callback_url || null;
+    if (callbackUrl !== null && !isValidCallbackUrl(callbackUrl)) {
+        return { error: 'callback_url must be an http or https URL' };
+    }
+
+    const ttl = body.ttl === undefined ? DEFAULT_SESSION_TTL : Number(body.ttl);
+    if (!Number.isInteger(ttl) || ttl < MIN_SESSION_TTL || ttl > MAX_SESSION_TTL) {
+        return { error: `ttl must be a whole number of seconds between ${MIN_SESSION_TTL} and ${MAX_SESSION_TTL}` };
+    }
+
+    return {
+        session: {
+            player_uuid: uuid,
+            player_name: body.name,
+            callback_url: callbackUrl,
+            expires_at: new Date(Date.now() + ttl * 1000).toISOString()
+        }
+    };
+}
+
+// Pending sessions past their expiry read as expired
+function sessionStatus(session, now = Date.now()) {
+    if (session.status === 'pending' && new Date(session.expires_at).getTime() <= now) {
+        return 'expired';
+    }
+    return session.status;
+}
+
+// The session as the plugin sees it
+function describeSession(session, baseUrl) {
+    return {
+        id: session.id,
+        code: session.code,
+        url: `${baseUrl}/v/${session.id}`,
+        status: sessionStatus(session),
+        player: {
+            uuid: session.player_uuid,
+            name: session.player_name
+        },
+        score: session.score ?? null,
+        alt_suspect: Boolean(session.alt_suspect),
+        expires_at: session.expires_at,
+        verified_at: session.verified_at || null,
+        callback: session.callback_url
+            ? { url: session.callback_url, status: session.callback_status || 'pending' }
+            : null
+    };
+}
+
+// POST the verified session to the plugin's callback URL. The body is
+// signed with the key's secret so the plugin can tell it came from us:
+// X-DefendAMinecraft-Signature: sha256=HMAC-SHA256(secret, body).
+// The request goes to the address that passed the host check, and
+// redirects are not followed, so neither can lead somewhere private.
+// Returns 'delivered' or 'failed'.
+async function deliverCallback(session, secretKey, payload) {
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', secretKey).update(body).digest('hex');
+
+    let address;
+    try {
+        [address] = await resolvePublicHost(new URL(session.callback_url).hostname);
+    } catch (error) {
+        console.error(`Player session callback to ${session.callback_url} refused:`, error.message);
+        return 'failed';
+    }
+
+    try {
+        const status = await postPinned(session.callback_url, address, {
+            'Content-Type': 'application/json',
+            'X-DefendAMinecraft-Signature': `sha256=${signature}`
+        }, body);
+        return status >= 200 && status < 300 ? 'delivered' : 'failed';
+    } catch (error) {
+        console.error(`Player session callback to ${session.callback_url} failed:`, error.message);
+        return 'failed';
+    }
+}
+
+module.exports = {
+    DEFAULT_SESSION_TTL,
+    PLAYER_ACTION,
+    generateSessionId,
+    generateCode,
+    normalizePlayerUuid,
+    parseSessionRequest,
+    checkCallbackHost,
+    sessionStatus,
+    describeSession,
+    deliverCallback
+};
@@ -0,0 +1,128 @@
+/**
+ * Rate limit stores
+ * Hit counters for express-rate-limit. The memory store is per instance;
+ * the Supabase store keeps counters in the database so limits hold across
+ * every instance (e.g. on Vercel).
+ */
+
+// Fixed-window counters held in this process
+class MemoryRateLimitStore {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.localKeys = true;
+        this.windowMs = 60 * 1000;
+        this.hits = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const now = Date.now();
+        this.sweep(now);
+
+        let entry = this.hits.get(key);
+        if (!entry || entry.resetTime.getTime() <= now) {
+            entry = { totalHits: 0, resetTime: new Date(now + this.windowMs) };
+            this.hits.set(key, entry);
+        }
+
+        entry.totalHits++;
+        return { totalHits: entry.totalHits, resetTime: entry.resetTime };
+    }
+
+    async decrement(key) {
+        const entry = this.hits.get(key);
+        if (entry && entry.totalHits > 0) {
+            entry.totalHits--;
+        }
+    }
+
+    async resetKey(key) {
+        this.hits.delete(key);
+    }
+
+    async resetAll() {
+        this.hits.clear();
+    }
+
+    sweep(now) {
+        if (now - this.lastSweep < this.windowMs) return;
+
+        for (const [key, entry] of this.hits.entries()) {
+            if (entry.resetTime.getTime() <= now) {
+                this.hits.delete(key);
+            }
+        }
+        this.lastSweep = now;
+    }
+}
+
+// Counters in the rate_limit_counters table, updated atomically by the
+// increment_rate_limit() database function
+class SupabaseRateLimitStore {
+    constructor(client, prefix = '') {
+        this.client = client;
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const { data, error } = await this.client.rpc('increment_rate_limit', {
+            p_key: this.prefix + key,
+            p_window_ms: this.windowMs
+        });
+
+        if (error) throw error;
+
+        const row = Array.isArray(data) ? data[0] : data;
+        return {
+            totalHits: row.hits,
+            resetTime: new Date(row.reset_at)
+        };
+    }
+
+    async decrement(key) {
+        const { error } = await this.client.rpc('decrement_rate_limit', {
+            p_key: this.prefix + key
+        });
+
+        if (error) throw error;
+    }
+
+    async resetKey(key) {
+        const { error } = await this.client
+            .from('rate_limit_counters')
+            .delete()
+            .eq('key', this.prefix + key);
+
+        if (error) throw error;
+    }
+}
+
+// Pick a store based on RATE_LIMIT_STORE ("memory" or "supabase")
+function createRateLimitStore(prefix, type = process.env.RATE_LIMIT_STORE || 'memory') {
+    switch (type) {
+        case 'memory':
+            return new MemoryRateLimitStore(prefix);
+        case 'supabase': {
+            const { supabaseAdmin } = require('../config/supabase');
+            return new SupabaseRateLimitStore(supabaseAdmin, prefix);
+        }
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    SupabaseRateLimitStore,
+    createRateLimitStore
+};
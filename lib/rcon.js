@@ -0,0 +1,430 @@
+/**
+ * RCON whitelist automation
+ * Runs a key's templated console commands (such as `whitelist add {player}`)
+ * on its Minecraft server over RCON when players are verified or revoked,
+ * retrying failed deliveries
+ */
+
+const net = require('net');
+const { HostNotAllowedError, resolvePublicHost } = require('./outbound-hosts');
+
+// Packet types of the Source RCON protocol Minecraft implements (login
+// replies reuse the command type)
+const PACKET_TYPES = {
+    RESPONSE: 0,
+    COMMAND: 2,
+    LOGIN_RESPONSE: 2,
+    LOGIN: 3
+};
+
+// Login replies carry this request id when the password is wrong
+const AUTH_FAILED_ID = -1;
+
+const DEFAULT_RCON_PORT = 25575;
+const RCON_TIMEOUT = 5000;
+
+// Retries wait inside the process that queued the delivery, and every
+// attempt with its retries is over well within this long. A delivery still
+// pending or retrying after that was cut off by a restart or redeploy.
+const DELIVERY_WINDOW = 10 * 60 * 1000;
+const INTERRUPTED_ERROR = 'Delivery was interrupted by a server restart; retry it to run the commands';
+
+// Minecraft drops packets with longer bodies
+const MAX_PACKET_BODY = 1446;
+
+const MAX_COMMANDS = 10;
+const MAX_COMMAND_LENGTH = 256;
+const MAX_PASSWORD_LENGTH = 256;
+
+// Placeholders a command template can use; both values are validated when
+// the player session is opened, so they cannot smuggle in other commands
+const PLACEHOLDERS = ['player', 'uuid'];
+
+// Events that run commands, and the setting holding each one's templates
+const RCON_EVENTS = {
+    verify: 'on_verify',
+    revoke: 'on_revoke'
+};
+
+// Seconds to wait before each automatic retry of a failed delivery
+const RETRY_DELAYS = [5, 30, 120];
+
+class RconError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RconError';
+    }
+}
+
+// Servers on loopback, private or otherwise reserved addresses are refused,
+// or any key could probe this app's own network. Operators running it next
+// to their Minecraft server opt in with RCON_ALLOW_PRIVATE_HOSTS=true.
+function allowsPrivateHosts() {
+    return process.env.RCON_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+// The address to connect to: a public address the host resolves to, so a
+// DNS change between the check and the connection cannot move it, or the
+// host as given when private hosts are allowed. Rejects with an RconError.
+async function resolveRconHost(host) {
+    if (allowsPrivateHosts()) return host;
+
+    try {
+        const [address] = await resolvePublicHost(host);
+        return address;
+    } catch (error) {
+        if (error instanceof HostNotAllowedError) {
+            throw new RconError(`RCON host must be a public address: ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+// Error message when a host cannot be used for RCON, or null
+async function checkRconHost(host) {
+    try {
+        await resolveRconHost(host);
+        return null;
+    } catch (error) {
+        if (error instanceof RconError) return error.message;
+        throw error;
+    }
+}
+
+// Packet layout: length, request id, type, body, two NUL bytes. All
+// integers are signed 32-bit little-endian; length counts what follows it.
+function encodePacket(id, type, body) {
+    const payload = Buffer.from(body, 'utf8');
+    const packet = Buffer.alloc(14 + payload.length);
+    packet.writeInt32LE(10 + payload.length, 0);
+    packet.writeInt32LE(id, 4);
+    packet.writeInt32LE(type, 8);
+    payload.copy(packet, 12);
+    return packet;
+}
+
+// Split the complete packets off the front of a buffer and return them
+// with the bytes left over
+function decodePackets(buffer) {
+    const packets = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 4) {
+        const length = buffer.readInt32LE(offset);
+        if (length < 10 || length > 4096 + 10) {
+            throw new RconError('Server sent a malformed RCON packet');
+        }
+        if (buffer.length - offset < 4 + length) break;
+
+        packets.push({
+            id: buffer.readInt32LE(offset + 4),
+            type: buffer.readInt32LE(offset + 8),
+            body: buffer.toString('utf8', offset + 12, offset + 4 + length - 2)
+        });
+        offset += 4 + length;
+    }
+
+    return { packets, rest: buffer.subarray(offset) };
+}
+
+// One authenticated connection; requests are answered in order
+class RconConnection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.pending = null;
+        this.nextId = 1;
+
+        socket.on('data', data => {
+            try {
+                const { packets, rest } = decodePackets(Buffer.concat([this.buffer, data]));
+                this.buffer = rest;
+                packets.forEach(packet => this.settle(null, packet));
+            } catch (error) {
+                this.settle(error);
+                socket.destroy();
+            }
+        });
+        socket.on('timeout', () => {
+            this.settle(new RconError('RCON server did not answer in time'));
+            socket.destroy();
+        });
+        socket.on('error', () => this.settle(new RconError('RCON connection failed')));
+        socket.on('close', () => this.settle(new RconError('RCON server closed the connection')));
+    }
+
+    // Refused, unreachable and timed out connections fail alike, so the
+    // error does not tell which ports are open
+    static connect({ host, port, timeout = RCON_TIMEOUT }) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host, port });
+            socket.setTimeout(timeout);
+
+            const fail = () => {
+                socket.destroy();
+                reject(new RconError('Could not connect to the RCON server'));
+            };
+            socket.once('error', fail);
+            socket.once('timeout', fail);
+            socket.once('connect', () => {
+                socket.removeAllListeners('error');
+                socket.removeAllListeners('timeout');
+                resolve(new RconConnection(socket));
+            });
+        });
+    }
+
+    settle(error, packet) {
+        const pending = this.pending;
+        if (!pending) return;
+        if (packet && packet.id !== pending.id && packet.id !== AUTH_FAILED_ID) return;
+        // Some servers send an empty response packet ahead of the login reply
+        if (packet && pending.type === PACKET_TYPES.LOGIN && packet.type === PACKET_TYPES.RESPONSE) return;
+
+        this.pending = null;
+        if (error) pending.reject(error);
+        else pending.resolve(packet);
+    }
+
+    request(type, body) {
+        if (Buffer.byteLength(body) > MAX_PACKET_BODY) {
+            return Promise.reject(new RconError('RCON command is too long'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending = { id, type, resolve, reject };
+            this.socket.write(encodePacket(id, type, body));
+        });
+    }
+
+    async login(password) {
+        const reply = await this.request(PACKET_TYPES.LOGIN, password);
+        if (reply.id === AUTH_FAILED_ID) {
+            throw new RconError('RCON password was rejected');
+        }
+    }
+
+    async command(text) {
+        const reply = await this.request(PACKET_TYPES.COMMAND, text);
+        return reply.body;
+    }
+
+    close() {
+        this.pending = null;
+        this.socket.destroy();
+    }
+}
+
+// Log in and run each command in turn. Resolves to the server's replies;
+// rejects with an RconError on the first failure.
+async function sendRconCommands(server, commands, { timeout = RCON_TIMEOUT } = {}) {
+    if (!server.password) {
+        throw new RconError('The stored RCON password could not be read, save it again');
+    }
+
+    const host = await resolveRconHost(server.host);
+    const connection = await RconConnection.connect({ host, port: server.port, timeout });
+    try {
+        await connection.login(server.password);
+
+        const responses = [];
+        for (const command of commands) {
+            responses.push(await connection.command(command));
+        }
+        return responses;
+    } finally {
+        connection.close();
+    }
+}
+
+function isValidHost(host) {
+    return typeof host === 'string' &&
+        (net.isIP(host) !== 0 || /^(?=.{1,253}$)[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*$/.test(host));
+}
+
+// Command templates from an array or text with one command per line
+function parseCommands(input, name) {
+    const lines = typeof input === 'string' ? input.split('\n') : input;
+    if (!Array.isArray(lines)) {
+        return { error: `${name} must be a list of commands` };
+    }
+
+    const commands = lines.map(line => String(line ?? '').trim().replace(/^\//, '')).filter(Boolean);
+    if (commands.length > MAX_COMMANDS) {
+        return { error: `${name} can have at most ${MAX_COMMANDS} commands` };
+    }
+
+    for (const command of commands) {
+        if (command.length > MAX_COMMAND_LENGTH || /[\x00-\x1f]/.test(command)) {
+            return { error: `Commands must be single lines of at most ${MAX_COMMAND_LENGTH} characters` };
+        }
+
+        const unknown = (command.match(/\{[^}]*\}/g) || [])
+            .find(placeholder => !PLACEHOLDERS.includes(placeholder.slice(1, -1)));
+        if (unknown) {
+            return { error: `Unknown placeholder ${unknown} (use ${PLACEHOLDERS.map(p => `{${p}}`).join(' or ')})` };
+        }
+    }
+
+    return { commands };
+}
+
+// Validate RCON settings from a request body. The password is only
+// required the first time; leaving it out keeps the stored one. Returns
+// { integration } with the fields to store (password still in plain text)
+// or { error }.
+function parseRconConfig(body = {}, existing = null) {
+    if (!isValidHost(body.host)) {
+        return { error: 'host must be a hostname or IP address' };
+    }
+
+    const port = body.port === undefined || body.port === '' ? DEFAULT_RCON_PORT : Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return { error: 'port must be a whole number between 1 and 65535' };
+    }
+
+    const password = body.password || null;
+    if (password !== null && (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH)) {
+        return { error: `password must be at most ${MAX_PASSWORD_LENGTH} characters` };
+    }
+    if (password === null && !existing) {
+        return { error: 'password is required' };
+    }
+
+    const integration = {
+        host: body.host,
+        port,
+        password,
+        enabled: body.enabled !== false
+    };
+
+    for (const setting of Object.values(RCON_EVENTS)) {
+        const { commands, error } = parseCommands(body[setting] ?? [], setting);
+        if (error) return { error };
+        integration[setting] = commands;
+    }
+
+    return { integration };
+}
+
+// The commands an event runs for a player, placeholders filled in
+function renderCommands(integration, event, player) {
+    return (integration[RCON_EVENTS[event]] || []).map(template =>
+        template.replace(/\{(player|uuid)\}/g, (match, name) => name === 'player' ? player.name : player.uuid));
+}
+
+// Settings as the API returns them; the password never leaves the server
+function describeIntegration(integration) {
+    return {
+        host: integration.host,
+        port: integration.port,
+        enabled: integration.enabled,
+        on_verify: integration.on_verify || [],
+        on_revoke: integration.on_revoke || [],
+        has_password: Boolean(integration.password_encrypted),
+        updated_at: integration.updated_at || null
+    };
+}
+
+function describeDelivery(delivery) {
+    return {
+        id: delivery.id,
+        event: delivery.event,
+        player: { uuid: delivery.player_uuid, name: delivery.player_name },
+        commands: delivery.commands,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        last_error: delivery.last_error || null,
+        responses: delivery.responses || null,
+        created_at: delivery.created_at,
+        delivered_at: delivery.delivered_at || null
+    };
+}
+
+const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+// Send a delivery's commands, retrying after each of `retryDelays` (in
+// seconds) when an attempt fails. `loadServer()` is called before every
+// attempt, so a retry picks up settings fixed in the meantime. `save(updates)`
+// records every attempt in the delivery log; the status ends as 'delivered'
+// or 'failed', and reads 'retrying' while a retry is scheduled.
+async function deliverCommands(delivery, loadServer, save, { retryDelays = RETRY_DELAYS, timeout } = {}) {
+    let attempts = delivery.attempts || 0;
+
+    for (let retry = 0; ; retry++) {
+        attempts++;
+        try {
+            const server = await loadServer();
+            if (!server) {
+                throw new RconError('RCON is no longer configured for this key');
+            }
+
+            const responses = await sendRconCommands(server, delivery.commands, { timeout });
+            return save({
+                status: 'delivered',
+                attempts,
+                responses,
+                last_error: null,
+                delivered_at: new Date().toISOString()
+            });
+        } catch (error) {
+            const retrying = retry < retryDelays.length;
+            const saved = await save({
+                status: retrying ? 'retrying' : 'failed',
+                attempts,
+                last_error: error.message
+            });
+            if (!retrying) return saved;
+
+            await sleep(retryDelays[retry]);
+        }
+    }
+}
+
+// Fail deliveries left pending or retrying by an earlier process, so they
+// can be retried by hand instead of reading as in progress forever.
+// Resolves to the deliveries marked failed.
+function failInterruptedDeliveries(storage, now = Date.now()) {
+    return storage.failStaleRconDeliveries(new Date(now - DELIVERY_WINDOW).toISOString(), INTERRUPTED_ERROR);
+}
+
+// Look for interrupted deliveries now and every DELIVERY_WINDOW while the
+// process runs (deliveries queued just before a restart only go stale later)
+function scheduleInterruptedDeliveryCheck(storage) {
+    const run = async () => {
+        try {
+            const failed = await failInterruptedDeliveries(storage);
+            if (failed.length > 0) {
+                console.log(`🔌 Marked ${failed.length} interrupted RCON deliveries as failed`);
+            }
+        } catch (error) {
+            console.warn('⚠️  Interrupted RCON delivery check failed:', error.message);
+        }
+    };
+
+    run();
+    return setInterval(run, DELIVERY_WINDOW).unref();
+}
+
+module.exports = {
+    PACKET_TYPES,
+    AUTH_FAILED_ID,
+    DEFAULT_RCON_PORT,
+    RCON_EVENTS,
+    RETRY_DELAYS,
+    DELIVERY_WINDOW,
+    INTERRUPTED_ERROR,
+    RconError,
+    encodePacket,
+    decodePackets,
+    sendRconCommands,
+    checkRconHost,
+    parseRconConfig,
+    renderCommands,
+    describeIntegration,
+    describeDelivery,
+    deliverCommands,
+    failInterruptedDeliveries,
+    scheduleInterruptedDeliveryCheck
+};
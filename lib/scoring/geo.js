@@ -0,0 +1,20 @@
+/**
+ * Geo detector
+ * Adds risk for public addresses that cannot be located. Countries
+ * themselves are handled by each key's country policy, not by scoring.
+ */
+
+const { isPrivateIp } = require('../ip');
+
+function detect({ ip, geo }) {
+    if (geo && geo.country) return [];
+
+    // Local development traffic has no location
+    return ip && !isPrivateIp(ip) ? [{ code: 'geo_unknown', risk: 0.5 }] : [];
+}
+
+module.exports = {
+    name: 'geo',
+    weight: 0.3,
+    detect
+};
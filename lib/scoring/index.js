@@ -0,0 +1,160 @@
+/**
+ * Risk scoring engine
+ * Combines named, weighted detectors into a deterministic score from 0 (bot)
+ * to 1 (human) and an allow / challenge / block action
+ */
+
+const userAgent = require('./user-agent');
+const geo = require('./geo');
+const velocity = require('./velocity');
+const telemetry = require('./telemetry');
+const ipReputation = require('./ip-reputation');
+const { resolveActionThresholds } = require('../actions');
+
+const DEFAULT_DETECTORS = [userAgent, geo, velocity, telemetry, ipReputation];
+
+// Scores below `challenge` must solve an interactive challenge,
+// scores below `block` are rejected outright
+const DEFAULT_THRESHOLDS = {
+    challenge: 0.5,
+    block: 0.2
+};
+
+function clamp01(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0;
+    return Math.max(0, Math.min(1, number));
+}
+
+// Per-key thresholds from the api_keys row, falling back to the defaults.
+// A named action with thresholds of its own uses those instead.
+function resolveThresholds(apiKey = {}, action = null) {
+    const perAction = action ? resolveActionThresholds(apiKey)[action] : null;
+    if (perAction) return perAction;
+
+    const parse = (value, fallback) => {
+        const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+        return Number.isFinite(number) && number >= 0 && number <= 1 ? number : fallback;
+    };
+
+    const challenge = parse(apiKey.challenge_threshold, DEFAULT_THRESHOLDS.challenge);
+    const block = parse(apiKey.block_threshold, DEFAULT_THRESHOLDS.block);
+
+    return { challenge, block: Math.min(block, challenge) };
+}
+
+function actionForScore(score, thresholds = DEFAULT_THRESHOLDS) {
+    if (score < thresholds.block) return 'block';
+    if (score < thresholds.challenge) return 'challenge';
+    return 'allow';
+}
+
+// Detectors return a list of { code, risk } reasons; a bare number is
+// treated as a single reason named after the detector
+function normalizeReasons(detector, output) {
+    if (typeof output === 'number') {
+        return output > 0 ? [{ code: detector.name, risk: clamp01(output) }] : [];
+    }
+
+    return (Array.isArray(output) ? output : [])
+        .map(reason => ({ code: String(reason.code), risk: clamp01(reason.risk) }))
+        .filter(reason => reason.risk > 0);
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class ScoringEngine {
+    constructor(detectors = DEFAULT_DETECTORS) {
+        this.detectors = new Map();
+        detectors.forEach(detector => this.use(detector));
+    }
+
+    // Register a detector: { name, weight (0-1), detect(context) -> [{ code, risk (0-1) }] }
+    use(detector) {
+        if (!detector || typeof detector.name !== 'string' || typeof detector.detect !== 'function') {
+            throw new TypeError('A detector needs a name and a detect(context) function');
+        }
+
+        const weight = Number(detector.weight);
+        if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+            throw new RangeError(`Detector ${detector.name} needs a weight between 0 and 1`);
+        }
+
+        this.detectors.set(detector.name, { ...detector, weight });
+        return this;
+    }
+
+    remove(name) {
+        this.detectors.delete(name);
+        return this;
+    }
+
+    // Run every detector against the request context. A detector's risk is
+    // the sum of its reasons (capped at 1). Risks are combined so that each
+    // detector can push the total towards its own weight but never past 1:
+    // total = 1 - product(1 - weight * risk).
+    evaluate(context, thresholds = DEFAULT_THRESHOLDS) {
+        const results = [];
+        let remaining = 1;
+
+        for (const detector of this.detectors.values()) {
+            let reasons;
+            try {
+                reasons = normalizeReasons(detector, detector.detect(context));
+            } catch (error) {
+                console.error(`Detector ${detector.name} failed:`, error);
+                reasons = [];
+            }
+
+            const risk = Math.min(1, reasons.reduce((sum, reason) => sum + reason.risk, 0));
+            remaining *= 1 - detector.weight * risk;
+            results.push({ name: detector.name, weight: detector.weight, risk, reasons });
+        }
+
+        const score = round2(remaining);
+
+        return {
+            score,
+            action: actionForScore(score, thresholds),
+            detectors: results.map(({ name, weight, risk }) => ({ name, weight, risk })),
+            reasons: explain(results, 1 - score)
+        };
+    }
+}
+
+// Split the total score drop between the reasons that caused it, in
+// proportion to each one's weighted risk. Contributions are negative
+// (they lower the score) and add up to the score minus 1.
+function explain(results, drop) {
+    const weighted = [];
+    for (const result of results) {
+        // A detector's reasons share its (capped) risk
+        const sum = result.reasons.reduce((total, reason) => total + reason.risk, 0);
+        for (const reason of result.reasons) {
+            weighted.push({
+                code: reason.code,
+                detector: result.name,
+                amount: result.weight * result.risk * reason.risk / sum
+            });
+        }
+    }
+
+    const total = weighted.reduce((sum, reason) => sum + reason.amount, 0);
+    if (total === 0) return [];
+
+    return weighted
+        .map(({ code, detector, amount }) => ({
+            code,
+            detector,
+            contribution: -round2(drop * amount / total)
+        }))
+        .sort((a, b) => a.contribution - b.contribution);
+}
+
+module.exports = {
+    DEFAULT_DETECTORS,
+    DEFAULT_THRESHOLDS,
+    ScoringEngine,
+    resolveThresholds,
+    actionForScore
+};
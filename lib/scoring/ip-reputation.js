@@ -0,0 +1,53 @@
+/**
+ * IP reputation detector
+ * Flags addresses in hosting and cloud provider ranges, where real players
+ * rarely browse from. Extra ranges can be listed in IP_REPUTATION_RANGES
+ * (comma-separated CIDRs).
+ */
+
+const { createMatcher } = require('../ip');
+
+// Well-known hosting provider ranges (a starting set, not exhaustive)
+const DATACENTER_RANGES = [
+    // Amazon Web Services
+    '3.0.0.0/9', '13.32.0.0/12', '18.128.0.0/9', '34.192.0.0/10', '52.0.0.0/10', '54.64.0.0/11',
+    // Google Cloud
+    '34.64.0.0/10', '35.184.0.0/13', '35.192.0.0/12',
+    // Microsoft Azure
+    '13.64.0.0/11', '20.0.0.0/11', '40.64.0.0/10', '52.224.0.0/11',
+    // DigitalOcean
+    '104.131.0.0/16', '134.209.0.0/16', '138.68.0.0/16', '159.65.0.0/16', '161.35.0.0/16',
+    '164.90.0.0/16', '165.227.0.0/16', '167.99.0.0/16', '178.62.0.0/16', '188.166.0.0/16',
+    '2604:a880::/32',
+    // Hetzner
+    '5.9.0.0/16', '88.198.0.0/16', '95.216.0.0/16', '116.202.0.0/15', '135.181.0.0/16',
+    '138.201.0.0/16', '144.76.0.0/16', '148.251.0.0/16', '2a01:4f8::/29',
+    // OVH
+    '51.38.0.0/16', '51.68.0.0/16', '51.75.0.0/16', '51.77.0.0/16', '51.89.0.0/16',
+    '51.91.0.0/16', '54.36.0.0/16', '137.74.0.0/16', '145.239.0.0/16', '2001:41d0::/32',
+    // Linode / Akamai
+    '45.33.0.0/17', '45.56.64.0/18', '45.79.0.0/16', '139.162.0.0/16', '172.104.0.0/15',
+    '2600:3c00::/27',
+    // Vultr
+    '45.32.0.0/16', '45.63.0.0/17', '45.76.0.0/16', '45.77.0.0/16', '108.61.0.0/16',
+    '149.28.0.0/16', '2001:19f0::/32'
+];
+
+const extraRanges = (process.env.IP_REPUTATION_RANGES || '')
+    .split(',')
+    .map(range => range.trim())
+    .filter(Boolean);
+
+const findDatacenterRange = createMatcher([...DATACENTER_RANGES, ...extraRanges]);
+
+function detect({ ip }) {
+    return ip && findDatacenterRange(ip) ? [{ code: 'datacenter_ip', risk: 1 }] : [];
+}
+
+module.exports = {
+    name: 'ip_reputation',
+    weight: 0.6,
+    DATACENTER_RANGES,
+    findDatacenterRange,
+    detect
+};
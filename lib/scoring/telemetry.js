@@ -0,0 +1,16 @@
+/**
+ * Telemetry detector
+ * Scores the widget's interaction trace (see lib/telemetry.js)
+ */
+
+const { riskSignals } = require('../telemetry');
+
+function detect({ telemetry }) {
+    return riskSignals(telemetry || { present: false });
+}
+
+module.exports = {
+    name: 'telemetry',
+    weight: 0.8,
+    detect
+};
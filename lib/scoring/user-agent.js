@@ -0,0 +1,41 @@
+/**
+ * User-agent detector
+ * Flags missing, scripted or unrecognizable user agents
+ */
+
+// Substrings that only show up in automated clients
+const BOT_KEYWORDS = [
+    'bot', 'crawler', 'spider', 'scraper', 'headless', 'phantomjs', 'selenium',
+    'puppeteer', 'playwright', 'curl', 'wget', 'python-requests', 'python-urllib',
+    'go-http-client', 'java/', 'okhttp', 'axios', 'node-fetch', 'libwww-perl'
+];
+
+const MIN_LENGTH = 10;
+
+function detect({ userAgent, agent }) {
+    if (!userAgent || userAgent.length < MIN_LENGTH) {
+        return [{ code: 'ua_missing', risk: 1 }];
+    }
+
+    const lower = userAgent.toLowerCase();
+    if (BOT_KEYWORDS.some(keyword => lower.includes(keyword))) {
+        return [{ code: 'ua_bot_keyword', risk: 1 }];
+    }
+
+    const reasons = [];
+    if (!agent || agent.family === 'Other') {
+        reasons.push({ code: 'ua_unknown_browser', risk: 0.5 });
+    }
+    if (!agent || !agent.os.family || agent.os.family === 'Other') {
+        reasons.push({ code: 'ua_unknown_os', risk: 0.3 });
+    }
+
+    return reasons;
+}
+
+module.exports = {
+    name: 'user_agent',
+    weight: 0.9,
+    BOT_KEYWORDS,
+    detect
+};
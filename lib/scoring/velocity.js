@@ -0,0 +1,29 @@
+/**
+ * Velocity detector
+ * Flags clients verifying far more often than a person would
+ */
+
+// Verifications from one IP for one API key before risk starts to rise,
+// and the count at which it is certain
+const PER_MINUTE = { from: 5, to: 15 };
+const PER_HOUR = { from: 60, to: 200 };
+
+function ramp(count, { from, to }) {
+    if (count <= from) return 0;
+    return Math.min(1, (count - from) / (to - from));
+}
+
+function detect({ velocity }) {
+    if (!velocity) return [];
+
+    const risk = Math.max(ramp(velocity.minute, PER_MINUTE), ramp(velocity.hour, PER_HOUR));
+    return risk > 0 ? [{ code: 'velocity_exceeded', risk }] : [];
+}
+
+module.exports = {
+    name: 'velocity',
+    weight: 0.8,
+    PER_MINUTE,
+    PER_HOUR,
+    detect
+};
@@ -0,0 +1,63 @@
+/**
+ * Encrypted secrets
+ * AES-256-GCM encryption for credentials the server has to read back later,
+ * such as RCON passwords, and keyed hashes for identifiers it only has to
+ * match, such as player fingerprints. Both are keyed by ENCRYPTION_KEY.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+// ENCRYPTION_KEY can be any string; it is hashed to a 256-bit key. Without
+// it secrets only survive until the process restarts.
+function loadEncryptionKey() {
+    const configured = process.env.ENCRYPTION_KEY;
+    if (configured) {
+        return crypto.createHash('sha256').update(configured).digest();
+    }
+
+    console.warn('⚠️  ENCRYPTION_KEY not set, using a random per-process encryption key');
+    return crypto.randomBytes(32);
+}
+
+const encryptionKey = loadEncryptionKey();
+
+// "v1.<iv>.<auth tag>.<ciphertext>", base64url encoded
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+        .map(part => typeof part === 'string' ? part : part.toString('base64url'))
+        .join('.');
+}
+
+// The plaintext, or null when the value is malformed or was encrypted with
+// another key
+function decryptSecret(sealed) {
+    const [version, iv, tag, ciphertext] = String(sealed ?? '').split('.');
+    if (version !== VERSION || ciphertext === undefined) return null;
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (e) {
+        return null;
+    }
+}
+
+// HMAC-SHA256 (hex) of an identifier. Equal inputs give equal hashes, but
+// without the key low-entropy values such as IP ranges cannot be guessed
+// back from them.
+function hashIdentifier(value) {
+    return crypto.createHmac('sha256', encryptionKey).update(`identifier:${value}`).digest('hex');
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    hashIdentifier
+};
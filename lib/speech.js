@@ -0,0 +1,181 @@
+/**
+ * Spoken digits
+ * A small formant synthesizer (in the style of Klatt's cascade/parallel
+ * design) that speaks the digits 0-9 in English without any text-to-speech
+ * service or recorded samples
+ */
+
+const SAMPLE_RATE = 16000;
+const FRAME = 80; // samples per 5 ms frame
+const VOICE_GAIN = 20000;
+const FRICATION_GAIN = 0.05;
+
+// Formant targets in Hz. Vowels with `to` glide towards it (diphthongs),
+// `fricative` is the center and bandwidth of the frication noise, and
+// phonemes with `f: null` borrow the formants of the phoneme that follows.
+const PHONEMES = {
+    iy: { dur: 150, f: [310, 2020, 2960], av: 1 },
+    ih: { dur: 110, f: [400, 1800, 2570], av: 1 },
+    eh: { dur: 120, f: [530, 1680, 2500], av: 1 },
+    ah: { dur: 130, f: [620, 1220, 2550], av: 1 },
+    ax: { dur: 60, f: [500, 1400, 2400], av: 0.8 },
+    ao: { dur: 170, f: [600, 990, 2570], av: 1 },
+    uw: { dur: 180, f: [350, 1250, 2200], to: [320, 900, 2200], av: 1 },
+    ey: { dur: 180, f: [480, 1720, 2520], to: [330, 2200, 2880], av: 1 },
+    ay: { dur: 230, f: [700, 1220, 2600], to: [400, 1900, 2550], av: 1 },
+    ow: { dur: 200, f: [540, 1100, 2300], to: [450, 900, 2300], av: 1 },
+    r: { dur: 70, f: [460, 1260, 1600], av: 0.8 },
+    w: { dur: 70, f: [290, 610, 2150], av: 0.7 },
+    n: { dur: 80, f: [280, 1700, 2600], av: 0.5, nasal: true },
+    s: { dur: 140, f: [400, 1800, 2600], af: 1, fricative: [5500, 1500] },
+    z: { dur: 100, f: [300, 1800, 2600], av: 0.3, af: 0.7, fricative: [5000, 1500] },
+    f: { dur: 120, f: [340, 1100, 2080], af: 0.5, fricative: [4000, 3500] },
+    v: { dur: 70, f: [220, 1100, 2080], av: 0.4, af: 0.3, fricative: [4000, 3500] },
+    th: { dur: 110, f: [320, 1290, 2540], af: 0.4, fricative: [5000, 3500] },
+    // Stops: a silent closure, a short burst and breathy aspiration
+    cl: { dur: 55, f: null },
+    tb: { dur: 15, f: null, af: 1, fricative: [4000, 2000] },
+    kb: { dur: 20, f: null, af: 1, fricative: [1900, 800] },
+    hh: { dur: 50, f: null, asp: 0.5 }
+};
+
+const DIGITS = {
+    0: ['z', 'iy', 'r', 'ow'],
+    1: ['w', 'ah', 'n'],
+    2: ['cl', 'tb', 'hh', 'uw'],
+    3: ['th', 'r', 'iy'],
+    4: ['f', 'ao', 'r'],
+    5: ['f', 'ay', 'v'],
+    6: ['s', 'ih', 'cl', 'kb', 's'],
+    7: ['s', 'eh', 'v', 'ax', 'n'],
+    8: ['ey', 'cl', 'tb'],
+    9: ['n', 'ay', 'n']
+};
+
+// Two-pole resonator with unity gain at 0 Hz
+class Resonator {
+    constructor() {
+        this.y1 = 0;
+        this.y2 = 0;
+    }
+
+    run(x, frequency, bandwidth) {
+        const r = Math.exp(-Math.PI * bandwidth / SAMPLE_RATE);
+        const c = -r * r;
+        const b = 2 * r * Math.cos(2 * Math.PI * frequency / SAMPLE_RATE);
+        const y = (1 - b - c) * x + b * this.y1 + c * this.y2;
+        this.y2 = this.y1;
+        this.y1 = y;
+        return y;
+    }
+}
+
+// Resolve borrowed formants and split the word into 5 ms frames of targets
+function planFrames(phonemes, rate) {
+    const units = phonemes.map(name => ({ ...PHONEMES[name] }));
+    for (let i = units.length - 1; i >= 0; i--) {
+        if (units[i].f === null) {
+            units[i].f = units[i + 1] ? units[i + 1].f : PHONEMES.ax.f;
+        }
+    }
+
+    const frames = [];
+    let previous = units[0].f;
+
+    for (const unit of units) {
+        const count = Math.max(2, Math.round(unit.dur * rate / 5));
+        const start = unit.f;
+        const end = unit.to || unit.f;
+        const transition = Math.min(8, Math.floor(count * 0.4));
+
+        for (let i = 0; i < count; i++) {
+            // Glide through the phoneme, easing in from where the last one ended
+            const target = start.map((value, k) => value + (end[k] - value) * i / count);
+            const blend = transition > 0 && i < transition ? i / transition : 1;
+
+            frames.push({
+                f: target.map((value, k) => previous[k] + (value - previous[k]) * blend),
+                av: unit.av || 0,
+                af: unit.af || 0,
+                asp: unit.asp || 0,
+                fricative: unit.fricative || [4000, 3000],
+                nasal: Boolean(unit.nasal)
+            });
+        }
+
+        previous = end;
+    }
+
+    return frames;
+}
+
+// Speak one digit. `random` returns floats in [0, 1); `pitch` is the base
+// fundamental frequency and `rate` stretches durations.
+function synthesizeDigit(digit, { random, pitch = 120, rate = 1 }) {
+    const frames = planFrames(DIGITS[digit], rate);
+    const samples = new Float32Array(frames.length * FRAME);
+
+    const formants = [new Resonator(), new Resonator(), new Resonator(), new Resonator()];
+    const glottis = [new Resonator(), new Resonator()];
+    const frication = new Resonator();
+
+    let phase = 0;
+    let lastGlottal = 0;
+    let av = 0;
+    let af = 0;
+    let asp = 0;
+    const smoothing = 1 - Math.exp(-1 / (0.004 * SAMPLE_RATE));
+
+    for (let n = 0; n < samples.length; n++) {
+        const frame = frames[Math.floor(n / FRAME)];
+        const progress = n / samples.length;
+
+        // Slowly falling pitch with a little jitter
+        const f0 = pitch * (1.1 - 0.2 * progress) * (1 + (random() - 0.5) * 0.02);
+
+        av += (frame.av - av) * smoothing;
+        af += (frame.af - af) * smoothing;
+        asp += (frame.asp - asp) * smoothing;
+
+        // Impulse train shaped into glottal pulses, then lip radiation
+        phase += f0 / SAMPLE_RATE;
+        let pulse = 0;
+        if (phase >= 1) {
+            phase -= 1;
+            pulse = 1;
+        }
+        const glottal = glottis[1].run(glottis[0].run(pulse, 0, 100), 0, 100);
+        const radiated = glottal - lastGlottal;
+        lastGlottal = glottal;
+
+        const noise = random() * 2 - 1;
+
+        // Cascade branch: voicing and aspiration through the vocal tract
+        let voiced = radiated * VOICE_GAIN * av + noise * 0.005 * asp;
+        voiced = formants[0].run(voiced, frame.f[0], frame.nasal ? 150 : 60);
+        voiced = formants[1].run(voiced, frame.f[1], 90);
+        voiced = formants[2].run(voiced, frame.f[2], 150);
+        voiced = formants[3].run(voiced, 3500, 250);
+
+        // Parallel branch: frication noise
+        const [center, bandwidth] = frame.fricative;
+        const fricated = frication.run(noise * af, center, bandwidth) * FRICATION_GAIN;
+
+        samples[n] = voiced + fricated;
+    }
+
+    // Fade in and out over 10 ms so words do not click
+    const fade = Math.min(160, samples.length / 2);
+    for (let i = 0; i < fade; i++) {
+        samples[i] *= i / fade;
+        samples[samples.length - 1 - i] *= i / fade;
+    }
+
+    return samples;
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    DIGITS,
+    synthesizeDigit
+};
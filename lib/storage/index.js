@@ -0,0 +1,81 @@
+/**
+ * Storage
+ * One repository for users, API keys, websites, logs and the per-key
+ * feature data, with the backend picked by STORAGE:
+ * - memory: kept in this process, for local development and tests
+ * - supabase: the Supabase project's Postgres database
+ * - sqlite: an embedded database file at SQLITE_PATH
+ * Every backend implements the same async methods (see MemoryStorage).
+ */
+
+const crypto = require('crypto');
+const { MemoryStorage } = require('./memory');
+
+const DEFAULT_SQLITE_PATH = 'data/defendaminecraft.db';
+
+// Site key of the demo page, registered for every host
+const DEMO_SITE_KEY = 'da_live_demo123456789abcdef';
+
+// GitHub ids start at 1, so 0 never clashes with a real account
+const DEMO_USER = {
+    github_id: 0,
+    github_username: 'demo-user',
+    full_name: 'Demo User',
+    email: 'demo@defendaminecraft.online'
+};
+
+function createStorage(type = process.env.STORAGE || 'memory') {
+    switch (type) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'supabase': {
+            const { supabaseAdmin } = require('../../config/supabase');
+            const { SupabaseStorage } = require('./supabase');
+            return new SupabaseStorage(supabaseAdmin);
+        }
+        case 'sqlite': {
+            const { SqliteStorage } = require('./sqlite');
+            return new SqliteStorage(process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+        }
+        default:
+            throw new Error(`Unknown STORAGE: ${type}`);
+    }
+}
+
+// Local databases start with the demo page's key so it works out of the
+// box; on Supabase it is created by scripts/setup-database.js
+async function seedDemoKey(storage) {
+    if (await storage.findApiKey('key_value', DEMO_SITE_KEY)) return;
+
+    const user = await storage.saveUser(DEMO_USER);
+    await storage.createApiKey(user.id, {
+        name: 'Demo API Key',
+        key_value: DEMO_SITE_KEY,
+        secret_key: 'da_secret_' + crypto.randomBytes(24).toString('base64url'),
+        environment: 'development',
+        domain: null,
+        is_active: true,
+        usage_count: 0
+    });
+}
+
+let shared = null;
+
+// The storage every route shares, created on first use
+function getStorage() {
+    if (!shared) {
+        const type = process.env.STORAGE || 'memory';
+        shared = createStorage(type);
+        if (type !== 'supabase') {
+            seedDemoKey(shared).catch(error => console.warn('⚠️  Could not create the demo API key:', error.message));
+        }
+    }
+    return shared;
+}
+
+module.exports = {
+    DEMO_SITE_KEY,
+    createStorage,
+    getStorage,
+    seedDemoKey
+};
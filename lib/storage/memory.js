@@ -0,0 +1,468 @@
+/**
+ * In-memory storage
+ * Everything lives in this process and is gone when it restarts. Meant for
+ * local development and tests; logs keep only the most recent entries.
+ */
+
+const crypto = require('crypto');
+const { playerStatus, matchesSearch } = require('../player-registry');
+const { fingerprintHashes } = require('../alt-detection');
+
+// Most recent verification logs, security events and other logs kept
+const MAX_LOGS = 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const now = () => new Date().toISOString();
+const since = days => Date.now() - days * DAY;
+
+// Add to the front of a log, dropping the oldest entries past MAX_LOGS
+function prepend(log, entry) {
+    log.unshift(entry);
+    log.length = Math.min(log.length, MAX_LOGS);
+    return entry;
+}
+
+class MemoryStorage {
+    constructor() {
+        this.users = new Map();
+        this.apiKeys = new Map();
+        this.websites = new Map();
+        this.verificationLogs = [];
+        this.securityEvents = [];
+        this.ipRules = new Map();
+        this.playerSessions = new Map();
+        this.verifiedPlayers = new Map();
+        this.playerFingerprints = [];
+        this.gateLinks = new Map();
+        this.gateLinkEvents = new Map(); // link id -> its events, newest first
+        this.rconIntegrations = new Map();
+        this.rconDeliveries = [];
+        this.analyticsSummaries = new Map();
+        this.analyticsRollups = new Map();
+        this.leases = new Map();
+    }
+
+    // Users
+    // Create or update the user behind a GitHub account
+    async saveUser(profile) {
+        const existing = [...this.users.values()].find(user => user.github_id === profile.github_id);
+        const saved = {
+            id: crypto.randomUUID(),
+            created_at: now(),
+            ...existing,
+            ...profile,
+            updated_at: now()
+        };
+        this.users.set(saved.id, saved);
+        return saved;
+    }
+
+    async getUser(userId) {
+        return this.users.get(userId) || null;
+    }
+
+    async hasAdmin() {
+        return [...this.users.values()].some(user => user.role === 'admin');
+    }
+
+    // API keys
+    async createApiKey(userId, key) {
+        const created = {
+            id: crypto.randomUUID(),
+            ...key,
+            user_id: userId,
+            created_at: now()
+        };
+        this.apiKeys.set(created.id, created);
+        return created;
+    }
+
+    // The user's active keys, oldest first
+    async getUserApiKeys(userId) {
+        return [...this.apiKeys.values()].filter(key => key.user_id === userId && key.is_active);
+    }
+
+    // A key by id, key_value or secret_key, whether or not it is active
+    async findApiKey(field, value) {
+        return [...this.apiKeys.values()].find(key => key[field] === value) || null;
+    }
+
+    async validateApiKey(keyValue) {
+        const key = await this.findApiKey('key_value', keyValue);
+        return key && key.is_active ? key : null;
+    }
+
+    async validateSecretKey(secretKey) {
+        const key = await this.findApiKey('secret_key', secretKey);
+        return key && key.is_active ? key : null;
+    }
+
+    async getApiKey(keyId) {
+        const key = this.apiKeys.get(keyId);
+        return key && key.is_active ? key : null;
+    }
+
+    async updateApiKey(keyId, updates) {
+        const key = this.apiKeys.get(keyId);
+        if (!key) return null;
+        return Object.assign(key, updates, { updated_at: now() });
+    }
+
+    // Keys are deactivated rather than removed, so their logs stay
+    async deleteApiKey(userId, keyId) {
+        const key = this.apiKeys.get(keyId);
+        if (!key || key.user_id !== userId || !key.is_active) return false;
+        key.is_active = false;
+        key.updated_at = now();
+        return true;
+    }
+
+    // Websites
+    async getUserWebsites(userId) {
+        return [...this.websites.values()].filter(website => website.user_id === userId);
+    }
+
+    // Replace the key's websites with one per domain it is registered for.
+    // A domain another of the user's keys already has stays with that key.
+    async syncWebsites(apiKey, domains) {
+        const taken = new Set([...this.websites.values()]
+            .filter(website => website.user_id === apiKey.user_id && website.api_key_id !== apiKey.id)
+            .map(website => website.domain));
+
+        for (const [id, website] of this.websites.entries()) {
+            if (website.api_key_id === apiKey.id) this.websites.delete(id);
+        }
+
+        return domains.filter(domain => !taken.has(domain)).map(domain => {
+            const website = {
+                id: crypto.randomUUID(),
+                user_id: apiKey.user_id,
+                api_key_id: apiKey.id,
+                domain,
+                name: domain,
+                is_active: true,
+                created_at: now()
+            };
+            this.websites.set(website.id, website);
+            return website;
+        });
+    }
+
+    // Verification logs
+    async logVerification(logData) {
+        return prepend(this.verificationLogs, { id: crypto.randomUUID(), ...logData, created_at: now() });
+    }
+
+    async getRecentVerifications(apiKeyId, limit = 20) {
+        return this.verificationLogs.filter(log => log.api_key_id === apiKeyId).slice(0, limit);
+    }
+
+    // Every verification on the user's keys over the last `days` days
+    async getUserAnalytics(userId, days = 30) {
+        const keyIds = new Set([...this.apiKeys.values()].filter(key => key.user_id === userId).map(key => key.id));
+        return this.verificationLogs.filter(log => keyIds.has(log.api_key_id) && new Date(log.created_at) >= since(days));
+    }
+
+    // Every verification on one key over the last `days` days
+    async getKeyAnalytics(apiKeyId, days = 30) {
+        return this.verificationLogs.filter(log => log.api_key_id === apiKeyId && new Date(log.created_at) >= since(days));
+    }
+
+    // Up to `limit` verifications from `from` up to `to` (ISO timestamps),
+    // ordered by created_at and id and following the log `after` when given,
+    // each with the user_id of its key
+    async getVerificationLogsBetween(from, to, limit, after = null) {
+        return this.verificationLogs
+            .filter(log => log.created_at >= from && log.created_at < to)
+            .filter(log => !after || log.created_at > after.created_at ||
+                (log.created_at === after.created_at && log.id > after.id))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+            .map(log => ({ ...log, user_id: this.apiKeys.get(log.api_key_id)?.user_id || null }))
+            .filter(log => log.user_id)
+            .slice(0, limit);
+    }
+
+    // Analytics rollups
+    // Insert or replace summaries by scope, scope_id, granularity and period_start
+    async saveAnalyticsSummaries(rows) {
+        for (const row of rows) {
+            const key = [row.scope, row.scope_id, row.granularity, row.period_start].join('|');
+            const existing = this.analyticsSummaries.get(key);
+            this.analyticsSummaries.set(key, { id: existing?.id || crypto.randomUUID(), ...row, updated_at: now() });
+        }
+    }
+
+    // One scope's summaries with period_start from `from` up to `to`, oldest first
+    async getAnalyticsSummaries(scope, scopeId, granularity, from, to) {
+        return [...this.analyticsSummaries.values()]
+            .filter(row => row.scope === scope && row.scope_id === scopeId && row.granularity === granularity &&
+                row.period_start >= from && row.period_start < to)
+            .sort((a, b) => a.period_start.localeCompare(b.period_start));
+    }
+
+    async markRolledUp(date, verifications) {
+        this.analyticsRollups.set(date, { date, verifications, rolled_up_at: now() });
+    }
+
+    // Rolled-up dates from `from` to `to` (YYYY-MM-DD, both included)
+    async getRolledUpDates(from, to) {
+        return [...this.analyticsRollups.keys()].filter(date => date >= from && date <= to).sort();
+    }
+
+    // Job leases
+    // Take or renew the lease on job `name` for `holder` until `duration`
+    // milliseconds from now; false while another holder's lease runs
+    async acquireLease(name, holder, duration) {
+        const lease = this.leases.get(name);
+        if (lease && lease.holder !== holder && lease.expires_at > now()) {
+            return false;
+        }
+        this.leases.set(name, { name, holder, expires_at: new Date(Date.now() + duration).toISOString() });
+        return true;
+    }
+
+    // Security events
+    async logSecurityEvent(userId, eventData) {
+        return prepend(this.securityEvents, { id: crypto.randomUUID(), ...eventData, user_id: userId, created_at: now() });
+    }
+
+    async getSecurityEvents(apiKeyId, limit = 20) {
+        return this.securityEvents.filter(event => event.api_key_id === apiKeyId).slice(0, limit);
+    }
+
+    async countSecurityEvents(apiKeyId) {
+        const counts = {};
+        this.securityEvents
+            .filter(event => event.api_key_id === apiKeyId)
+            .forEach(event => {
+                counts[event.event_type] = (counts[event.event_type] || 0) + 1;
+            });
+        return counts;
+    }
+
+    // IP rules
+    async getIpRules(apiKeyId) {
+        return this.ipRules.get(apiKeyId) || [];
+    }
+
+    async addIpRule(apiKeyId, rule) {
+        const created = { id: crypto.randomUUID(), api_key_id: apiKeyId, ...rule, created_at: now() };
+        this.ipRules.set(apiKeyId, [...(this.ipRules.get(apiKeyId) || []), created]);
+        return created;
+    }
+
+    async deleteIpRule(apiKeyId, ruleId) {
+        const rules = this.ipRules.get(apiKeyId) || [];
+        this.ipRules.set(apiKeyId, rules.filter(rule => rule.id !== ruleId));
+        return rules.some(rule => rule.id === ruleId);
+    }
+
+    // Minecraft player verification sessions
+    async createPlayerSession(session) {
+        const created = { ...session, created_at: now() };
+        this.playerSessions.set(session.id, created);
+        return created;
+    }
+
+    async getPlayerSession(sessionId) {
+        return this.playerSessions.get(sessionId) || null;
+    }
+
+    // The open session a short code belongs to
+    async findPlayerSessionByCode(code) {
+        return [...this.playerSessions.values()].reverse().find(session =>
+            session.code === code && session.status === 'pending' && new Date(session.expires_at) > Date.now()) || null;
+    }
+
+    async updatePlayerSession(sessionId, updates) {
+        const session = this.playerSessions.get(sessionId);
+        if (!session) return null;
+        return Object.assign(session, updates);
+    }
+
+    // Verified players registry, one entry per player and key
+    playersOf(apiKeyId) {
+        if (!this.verifiedPlayers.has(apiKeyId)) {
+            this.verifiedPlayers.set(apiKeyId, new Map());
+        }
+        return this.verifiedPlayers.get(apiKeyId);
+    }
+
+    async saveVerifiedPlayer(apiKeyId, entry) {
+        const players = this.playersOf(apiKeyId);
+        const saved = { id: crypto.randomUUID(), ...players.get(entry.player_uuid), ...entry, api_key_id: apiKeyId };
+        players.set(entry.player_uuid, saved);
+        return saved;
+    }
+
+    async getVerifiedPlayers(apiKeyId, uuids) {
+        const players = this.playersOf(apiKeyId);
+        return uuids.map(uuid => players.get(uuid)).filter(Boolean);
+    }
+
+    // Newest first, filtered by a parsed search (see lib/player-registry)
+    // and status; no limit returns every match (for exports)
+    async searchVerifiedPlayers(apiKeyId, { search = null, status = null, altSuspect = false, limit = null, offset = 0 } = {}) {
+        const matches = [...this.playersOf(apiKeyId).values()]
+            .filter(entry => !search || matchesSearch(entry, search))
+            .filter(entry => !status || playerStatus(entry) === status)
+            .filter(entry => !altSuspect || entry.alt_suspect)
+            .sort((a, b) => new Date(b.verified_at) - new Date(a.verified_at));
+        return {
+            players: limit ? matches.slice(offset, offset + limit) : matches,
+            total: matches.length
+        };
+    }
+
+    async updateVerifiedPlayer(apiKeyId, uuid, updates) {
+        const entry = this.playersOf(apiKeyId).get(uuid);
+        if (!entry) return null;
+        return Object.assign(entry, updates);
+    }
+
+    async markAltSuspects(apiKeyId, uuids) {
+        const players = this.playersOf(apiKeyId);
+        uuids.forEach(uuid => {
+            if (players.has(uuid)) players.get(uuid).alt_suspect = true;
+        });
+    }
+
+    // Player fingerprints (hashes only, see lib/alt-detection)
+    async recordPlayerFingerprint(fingerprint) {
+        prepend(this.playerFingerprints, { id: crypto.randomUUID(), ...fingerprint });
+        return { success: true };
+    }
+
+    async getPlayerFingerprints(apiKeyId, uuid) {
+        return this.playerFingerprints.filter(fingerprint =>
+            fingerprint.api_key_id === apiKeyId && fingerprint.player_uuid === uuid);
+    }
+
+    // Fingerprints of the key sharing any of the given hashes
+    async findPlayerFingerprints(apiKeyId, hashes) {
+        const wanted = new Set(hashes);
+        return this.playerFingerprints.filter(fingerprint => fingerprint.api_key_id === apiKeyId &&
+            fingerprintHashes([fingerprint]).some(hash => wanted.has(hash)));
+    }
+
+    // Gate links
+    async createGateLink(link) {
+        const created = {
+            id: crypto.randomUUID(),
+            ...link,
+            uses: 0,
+            views: 0,
+            disabled: false,
+            created_at: now()
+        };
+        this.gateLinks.set(created.id, created);
+        return created;
+    }
+
+    async getGateLinks(apiKeyId) {
+        return [...this.gateLinks.values()].filter(link => link.api_key_id === apiKeyId).reverse();
+    }
+
+    async getGateLink(apiKeyId, linkId) {
+        const link = this.gateLinks.get(linkId);
+        return link && link.api_key_id === apiKeyId ? link : null;
+    }
+
+    async findGateLinkBySlug(slug) {
+        return [...this.gateLinks.values()].find(link => link.slug === slug) || null;
+    }
+
+    async updateGateLink(linkId, updates) {
+        const link = this.gateLinks.get(linkId);
+        if (!link) return null;
+        return Object.assign(link, updates);
+    }
+
+    async deleteGateLink(apiKeyId, linkId) {
+        const link = this.gateLinks.get(linkId);
+        if (!link || link.api_key_id !== apiKeyId) return false;
+        this.gateLinkEvents.delete(linkId);
+        return this.gateLinks.delete(linkId);
+    }
+
+    // Count one use unless the link has run out. Resolves to the updated
+    // link, or null when every use is taken.
+    async consumeGateLinkUse(linkId) {
+        const link = this.gateLinks.get(linkId);
+        if (!link || (link.max_uses !== null && link.uses >= link.max_uses)) return null;
+        link.uses++;
+        return link;
+    }
+
+    async recordGateLinkEvent(link, event, countryCode) {
+        const stored = this.gateLinks.get(link.id);
+        if (event === 'view' && stored) stored.views++;
+        // Each link keeps its own MAX_LOGS events, so a busy link cannot push
+        // out the others' history
+        if (!this.gateLinkEvents.has(link.id)) this.gateLinkEvents.set(link.id, []);
+        prepend(this.gateLinkEvents.get(link.id), {
+            id: crypto.randomUUID(),
+            link_id: link.id,
+            event,
+            country_code: countryCode,
+            created_at: now()
+        });
+        return { success: true };
+    }
+
+    async getGateLinkEvents(linkId, days = 30) {
+        return (this.gateLinkEvents.get(linkId) || []).filter(event => new Date(event.created_at) >= since(days));
+    }
+
+    // RCON whitelist automation
+    async getRconIntegration(apiKeyId) {
+        return this.rconIntegrations.get(apiKeyId) || null;
+    }
+
+    async saveRconIntegration(apiKeyId, integration) {
+        const saved = {
+            created_at: now(),
+            ...this.rconIntegrations.get(apiKeyId),
+            ...integration,
+            api_key_id: apiKeyId,
+            updated_at: now()
+        };
+        this.rconIntegrations.set(apiKeyId, saved);
+        return saved;
+    }
+
+    async deleteRconIntegration(apiKeyId) {
+        return this.rconIntegrations.delete(apiKeyId);
+    }
+
+    async createRconDelivery(delivery) {
+        return prepend(this.rconDeliveries, { id: crypto.randomUUID(), ...delivery, created_at: now() });
+    }
+
+    async updateRconDelivery(deliveryId, updates) {
+        const delivery = this.rconDeliveries.find(entry => entry.id === deliveryId);
+        if (!delivery) return null;
+        return Object.assign(delivery, updates);
+    }
+
+    // Mark deliveries still pending or retrying that were created before
+    // `before` (an ISO timestamp) as failed with `lastError`; resolves to them
+    async failStaleRconDeliveries(before, lastError) {
+        return this.rconDeliveries
+            .filter(delivery => ['pending', 'retrying'].includes(delivery.status) && delivery.created_at < before)
+            .map(delivery => Object.assign(delivery, { status: 'failed', last_error: lastError }));
+    }
+
+    async getRconDeliveries(apiKeyId, limit = 50) {
+        return this.rconDeliveries.filter(delivery => delivery.api_key_id === apiKeyId).slice(0, limit);
+    }
+
+    async getRconDelivery(apiKeyId, deliveryId) {
+        return this.rconDeliveries.find(delivery => delivery.api_key_id === apiKeyId && delivery.id === deliveryId) || null;
+    }
+}
+
+module.exports = {
+    MemoryStorage
+};
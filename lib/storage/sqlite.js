@@ -0,0 +1,544 @@
+/**
+ * SQLite storage
+ * Keeps everything in one embedded database file (better-sqlite3), for
+ * single-server installs without a Postgres database. The migrations in
+ * database/migrations/sqlite are applied when the file is opened.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { migrateSqlite } = require('../migrations');
+
+// Columns stored as JSON text and as 0/1; everything else is stored as is
+const JSON_COLUMNS = new Set([
+    'country_policy', 'action_thresholds', 'reasons', 'metadata', 'on_verify', 'on_revoke', 'commands', 'responses',
+    'countries', 'country_rules', 'actions'
+]);
+const BOOLEAN_COLUMNS = new Set(['is_active', 'is_bot', 'alt_suspect', 'revoked', 'enabled', 'disabled']);
+
+// Keys a key can be looked up by
+const API_KEY_FIELDS = ['id', 'key_value', 'secret_key'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const now = () => new Date().toISOString();
+const since = days => new Date(Date.now() - days * DAY).toISOString();
+
+function toColumn(name, value) {
+    if (value === undefined || value === null) return null;
+    if (JSON_COLUMNS.has(name)) return JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+function fromRow(row) {
+    if (!row) return null;
+
+    const record = {};
+    for (const [name, value] of Object.entries(row)) {
+        if (value !== null && JSON_COLUMNS.has(name)) record[name] = JSON.parse(value);
+        else if (value !== null && BOOLEAN_COLUMNS.has(name)) record[name] = value === 1;
+        else record[name] = value;
+    }
+    return record;
+}
+
+// Column names are interpolated into SQL, so only plain identifiers pass
+function columnsOf(record) {
+    const columns = Object.keys(record).filter(name => record[name] !== undefined);
+    const invalid = columns.find(name => !/^[a-z_]+$/.test(name));
+    if (invalid) {
+        throw new Error(`Invalid column name: ${invalid}`);
+    }
+    return columns;
+}
+
+class SqliteStorage {
+    constructor(file) {
+        const Database = require('better-sqlite3');
+
+        if (file !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        }
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        migrateSqlite(this.db);
+        this.statements = new Map();
+    }
+
+    // Prepared statements are cached by their SQL
+    statement(sql) {
+        if (!this.statements.has(sql)) {
+            this.statements.set(sql, this.db.prepare(sql));
+        }
+        return this.statements.get(sql);
+    }
+
+    get(sql, params = {}) {
+        return fromRow(this.statement(sql).get(params));
+    }
+
+    all(sql, params = {}) {
+        return this.statement(sql).all(params).map(fromRow);
+    }
+
+    run(sql, params = {}) {
+        return this.statement(sql).run(params);
+    }
+
+    insert(table, record) {
+        const columns = columnsOf(record);
+        const params = Object.fromEntries(columns.map(name => [name, toColumn(name, record[name])]));
+
+        return this.get(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(name => `@${name}`).join(', ')}) RETURNING *`,
+            params
+        );
+    }
+
+    // Update the rows matching every field of `where`; resolves to them
+    update(table, where, updates) {
+        const keys = columnsOf(where);
+        const condition = keys.map(name => `${name} = @where_${name}`).join(' AND ');
+        const params = Object.fromEntries(keys.map(name => [`where_${name}`, toColumn(name, where[name])]));
+
+        const columns = columnsOf(updates);
+        if (columns.length === 0) {
+            return this.all(`SELECT * FROM ${table} WHERE ${condition}`, params);
+        }
+
+        columns.forEach(name => {
+            params[name] = toColumn(name, updates[name]);
+        });
+        return this.all(`UPDATE ${table} SET ${columns.map(name => `${name} = @${name}`).join(', ')} WHERE ${condition} RETURNING *`, params);
+    }
+
+    websiteOf(apiKeyId) {
+        const website = this.get('SELECT id FROM websites WHERE api_key_id = @apiKeyId LIMIT 1', { apiKeyId });
+        return website ? website.id : null;
+    }
+
+    // Users
+    // Create or update the user behind a GitHub account
+    async saveUser(profile) {
+        const existing = this.get('SELECT id FROM users WHERE github_id = @github_id', { github_id: profile.github_id });
+        if (existing) {
+            return this.update('users', { id: existing.id }, { ...profile, updated_at: now() })[0];
+        }
+        return this.insert('users', { id: crypto.randomUUID(), ...profile });
+    }
+
+    async getUser(userId) {
+        return this.get('SELECT * FROM users WHERE id = @userId', { userId });
+    }
+
+    async hasAdmin() {
+        return Boolean(this.get('SELECT id FROM users WHERE role = @role LIMIT 1', { role: 'admin' }));
+    }
+
+    // API keys
+    async createApiKey(userId, key) {
+        return this.insert('api_keys', { id: crypto.randomUUID(), ...key, user_id: userId });
+    }
+
+    // The user's active keys, oldest first
+    async getUserApiKeys(userId) {
+        return this.all('SELECT * FROM api_keys WHERE user_id = @userId AND is_active = 1 ORDER BY created_at, rowid', { userId });
+    }
+
+    // A key by id, key_value or secret_key, whether or not it is active
+    async findApiKey(field, value) {
+        if (!API_KEY_FIELDS.includes(field)) {
+            throw new Error(`Cannot look up API keys by ${field}`);
+        }
+        return this.get(`SELECT * FROM api_keys WHERE ${field} = @value`, { value });
+    }
+
+    async validateApiKey(keyValue) {
+        const key = await this.findApiKey('key_value', keyValue);
+        return key && key.is_active ? key : null;
+    }
+
+    async validateSecretKey(secretKey) {
+        const key = await this.findApiKey('secret_key', secretKey);
+        return key && key.is_active ? key : null;
+    }
+
+    async getApiKey(keyId) {
+        const key = await this.findApiKey('id', keyId);
+        return key && key.is_active ? key : null;
+    }
+
+    async updateApiKey(keyId, updates) {
+        return this.update('api_keys', { id: keyId }, { ...updates, updated_at: now() })[0] || null;
+    }
+
+    // Keys are deactivated rather than removed, so their logs stay
+    async deleteApiKey(userId, keyId) {
+        return this.run('UPDATE api_keys SET is_active = 0, updated_at = @now WHERE id = @keyId AND user_id = @userId AND is_active = 1',
+            { keyId, userId, now: now() }).changes > 0;
+    }
+
+    // Websites
+    async getUserWebsites(userId) {
+        return this.all('SELECT * FROM websites WHERE user_id = @userId ORDER BY created_at, rowid', { userId });
+    }
+
+    // Replace the key's websites with one per domain it is registered for.
+    // A domain another of the user's keys already has stays with that key.
+    async syncWebsites(apiKey, domains) {
+        const sync = this.db.transaction(() => {
+            this.run('DELETE FROM websites WHERE api_key_id = @apiKeyId', { apiKeyId: apiKey.id });
+            for (const domain of domains) {
+                this.run('INSERT OR IGNORE INTO websites (id, user_id, api_key_id, domain, name) VALUES (@id, @userId, @apiKeyId, @domain, @domain)',
+                    { id: crypto.randomUUID(), userId: apiKey.user_id, apiKeyId: apiKey.id, domain });
+            }
+        });
+        sync();
+        return this.all('SELECT * FROM websites WHERE api_key_id = @apiKeyId ORDER BY rowid', { apiKeyId: apiKey.id });
+    }
+
+    // Verification logs
+    async logVerification(logData) {
+        return this.insert('verification_logs', { id: crypto.randomUUID(), ...logData });
+    }
+
+    async getRecentVerifications(apiKeyId, limit = 20) {
+        return this.all('SELECT * FROM verification_logs WHERE api_key_id = @apiKeyId ORDER BY created_at DESC, rowid DESC LIMIT @limit',
+            { apiKeyId, limit });
+    }
+
+    // Every verification on the user's keys over the last `days` days
+    async getUserAnalytics(userId, days = 30) {
+        return this.all(
+            'SELECT verification_logs.* FROM verification_logs JOIN api_keys ON api_keys.id = verification_logs.api_key_id ' +
+            'WHERE api_keys.user_id = @userId AND verification_logs.created_at >= @since ORDER BY verification_logs.created_at DESC',
+            { userId, since: since(days) }
+        );
+    }
+
+    // Every verification on one key over the last `days` days
+    async getKeyAnalytics(apiKeyId, days = 30) {
+        return this.all(
+            'SELECT * FROM verification_logs WHERE api_key_id = @apiKeyId AND created_at >= @since ORDER BY created_at DESC',
+            { apiKeyId, since: since(days) }
+        );
+    }
+
+    // Up to `limit` verifications from `from` up to `to` (ISO timestamps),
+    // ordered by created_at and id and following the log `after` when given,
+    // each with the user_id of its key
+    async getVerificationLogsBetween(from, to, limit, after = null) {
+        return this.all(
+            'SELECT verification_logs.*, api_keys.user_id FROM verification_logs JOIN api_keys ON api_keys.id = verification_logs.api_key_id ' +
+            'WHERE verification_logs.created_at >= @from AND verification_logs.created_at < @to ' +
+            'AND (@afterAt IS NULL OR verification_logs.created_at > @afterAt ' +
+            'OR (verification_logs.created_at = @afterAt AND verification_logs.id > @afterId)) ' +
+            'ORDER BY verification_logs.created_at, verification_logs.id LIMIT @limit',
+            { from, to, limit, afterAt: after ? after.created_at : null, afterId: after ? after.id : null }
+        );
+    }
+
+    // Analytics rollups
+    // Insert or replace summaries by scope, scope_id, granularity and period_start
+    async saveAnalyticsSummaries(rows) {
+        this.db.transaction(() => {
+            for (const row of rows) {
+                const record = { id: crypto.randomUUID(), ...row, updated_at: now() };
+                const columns = columnsOf(record);
+                const updated = columns.filter(name => !['id', 'scope', 'scope_id', 'granularity', 'period_start'].includes(name));
+
+                this.run(
+                    `INSERT INTO analytics_summary (${columns.join(', ')}) VALUES (${columns.map(name => `@${name}`).join(', ')}) ` +
+                    `ON CONFLICT (scope, scope_id, granularity, period_start) DO UPDATE SET ${updated.map(name => `${name} = excluded.${name}`).join(', ')}`,
+                    Object.fromEntries(columns.map(name => [name, toColumn(name, record[name])]))
+                );
+            }
+        })();
+    }
+
+    // One scope's summaries with period_start from `from` up to `to`, oldest first
+    async getAnalyticsSummaries(scope, scopeId, granularity, from, to) {
+        return this.all(
+            'SELECT * FROM analytics_summary WHERE scope = @scope AND scope_id = @scopeId AND granularity = @granularity ' +
+            'AND period_start >= @from AND period_start < @to ORDER BY period_start',
+            { scope, scopeId, granularity, from, to }
+        );
+    }
+
+    async markRolledUp(date, verifications) {
+        this.run(
+            'INSERT INTO analytics_rollups (date, verifications, rolled_up_at) VALUES (@date, @verifications, @now) ' +
+            'ON CONFLICT (date) DO UPDATE SET verifications = excluded.verifications, rolled_up_at = excluded.rolled_up_at',
+            { date, verifications, now: now() }
+        );
+    }
+
+    // Rolled-up dates from `from` to `to` (YYYY-MM-DD, both included)
+    async getRolledUpDates(from, to) {
+        return this.all('SELECT date FROM analytics_rollups WHERE date >= @from AND date <= @to ORDER BY date', { from, to })
+            .map(row => row.date);
+    }
+
+    // Job leases
+    // Take or renew the lease on job `name` for `holder` until `duration`
+    // milliseconds from now; false while another holder's lease runs
+    async acquireLease(name, holder, duration) {
+        const { changes } = this.run(
+            'INSERT INTO job_leases (name, holder, expires_at) VALUES (@name, @holder, @expiresAt) ' +
+            'ON CONFLICT (name) DO UPDATE SET holder = excluded.holder, expires_at = excluded.expires_at ' +
+            'WHERE job_leases.holder = excluded.holder OR job_leases.expires_at <= @now',
+            { name, holder, expiresAt: new Date(Date.now() + duration).toISOString(), now: now() }
+        );
+        return changes > 0;
+    }
+
+    // Security events
+    async logSecurityEvent(userId, eventData) {
+        return this.insert('security_events', { id: crypto.randomUUID(), ...eventData, user_id: userId });
+    }
+
+    async getSecurityEvents(apiKeyId, limit = 20) {
+        return this.all('SELECT * FROM security_events WHERE api_key_id = @apiKeyId ORDER BY created_at DESC, rowid DESC LIMIT @limit',
+            { apiKeyId, limit });
+    }
+
+    async countSecurityEvents(apiKeyId) {
+        const rows = this.all('SELECT event_type, COUNT(*) AS count FROM security_events WHERE api_key_id = @apiKeyId GROUP BY event_type',
+            { apiKeyId });
+        return Object.fromEntries(rows.map(row => [row.event_type, row.count]));
+    }
+
+    // IP rules
+    async getIpRules(apiKeyId) {
+        return this.all('SELECT * FROM ip_rules WHERE api_key_id = @apiKeyId ORDER BY created_at, rowid', { apiKeyId });
+    }
+
+    async addIpRule(apiKeyId, rule) {
+        return this.insert('ip_rules', { id: crypto.randomUUID(), ...rule, api_key_id: apiKeyId });
+    }
+
+    async deleteIpRule(apiKeyId, ruleId) {
+        return this.run('DELETE FROM ip_rules WHERE api_key_id = @apiKeyId AND id = @ruleId', { apiKeyId, ruleId }).changes > 0;
+    }
+
+    // Minecraft player verification sessions
+    async createPlayerSession(session) {
+        return this.insert('player_sessions', session);
+    }
+
+    async getPlayerSession(sessionId) {
+        return this.get('SELECT * FROM player_sessions WHERE id = @sessionId', { sessionId });
+    }
+
+    // The open session a short code belongs to
+    async findPlayerSessionByCode(code) {
+        return this.get(
+            "SELECT * FROM player_sessions WHERE code = @code AND status = 'pending' AND expires_at > @now " +
+            'ORDER BY created_at DESC, rowid DESC LIMIT 1',
+            { code, now: now() }
+        );
+    }
+
+    async updatePlayerSession(sessionId, updates) {
+        return this.update('player_sessions', { id: sessionId }, updates)[0] || null;
+    }
+
+    // Verified players registry
+    // One entry per player and key, linked to the key's website when it has one
+    async saveVerifiedPlayer(apiKeyId, entry) {
+        const record = { id: crypto.randomUUID(), ...entry, api_key_id: apiKeyId, website_id: this.websiteOf(apiKeyId) };
+        const columns = columnsOf(record);
+        const updated = columns.filter(name => !['id', 'api_key_id', 'player_uuid'].includes(name));
+
+        return this.get(
+            `INSERT INTO verified_players (${columns.join(', ')}) VALUES (${columns.map(name => `@${name}`).join(', ')}) ` +
+            `ON CONFLICT (api_key_id, player_uuid) DO UPDATE SET ${updated.map(name => `${name} = excluded.${name}`).join(', ')} ` +
+            'RETURNING *',
+            Object.fromEntries(columns.map(name => [name, toColumn(name, record[name])]))
+        );
+    }
+
+    async getVerifiedPlayers(apiKeyId, uuids) {
+        return this.all(
+            'SELECT * FROM verified_players WHERE api_key_id = @apiKeyId AND player_uuid IN (SELECT value FROM json_each(@uuids))',
+            { apiKeyId, uuids: JSON.stringify(uuids) }
+        );
+    }
+
+    // Newest first, filtered by a parsed search (see lib/player-registry)
+    // and status; no limit returns every match (for exports)
+    async searchVerifiedPlayers(apiKeyId, { search = null, status = null, altSuspect = false, limit = null, offset = 0 } = {}) {
+        const conditions = ['api_key_id = @apiKeyId'];
+        const params = { apiKeyId, now: now() };
+
+        if (search) {
+            conditions.push("(lower(player_name) LIKE @name ESCAPE '\\' OR player_uuid = @uuid)");
+            params.name = `%${search.name.replace(/[\\%_]/g, '\\$&')}%`;
+            params.uuid = search.uuid;
+        }
+        if (status === 'revoked') {
+            conditions.push('revoked = 1');
+        } else if (status === 'expired') {
+            conditions.push('revoked = 0 AND expires_at IS NOT NULL AND expires_at <= @now');
+        } else if (status === 'verified') {
+            conditions.push('revoked = 0 AND (expires_at IS NULL OR expires_at > @now)');
+        }
+        if (altSuspect) {
+            conditions.push('alt_suspect = 1');
+        }
+
+        const where = conditions.join(' AND ');
+        const { total } = this.get(`SELECT COUNT(*) AS total FROM verified_players WHERE ${where}`, params);
+        const page = limit ? ' LIMIT @limit OFFSET @offset' : '';
+
+        return {
+            players: this.all(`SELECT * FROM verified_players WHERE ${where} ORDER BY verified_at DESC${page}`,
+                limit ? { ...params, limit, offset } : params),
+            total
+        };
+    }
+
+    async updateVerifiedPlayer(apiKeyId, uuid, updates) {
+        return this.update('verified_players', { api_key_id: apiKeyId, player_uuid: uuid }, updates)[0] || null;
+    }
+
+    async markAltSuspects(apiKeyId, uuids) {
+        this.run(
+            'UPDATE verified_players SET alt_suspect = 1 WHERE api_key_id = @apiKeyId AND player_uuid IN (SELECT value FROM json_each(@uuids))',
+            { apiKeyId, uuids: JSON.stringify(uuids) }
+        );
+    }
+
+    // Player fingerprints (hashes only, see lib/alt-detection)
+    async recordPlayerFingerprint(fingerprint) {
+        this.insert('player_fingerprints', { id: crypto.randomUUID(), ...fingerprint });
+        return { success: true };
+    }
+
+    async getPlayerFingerprints(apiKeyId, uuid) {
+        return this.all(
+            'SELECT * FROM player_fingerprints WHERE api_key_id = @apiKeyId AND player_uuid = @uuid ORDER BY seen_at DESC LIMIT 100',
+            { apiKeyId, uuid }
+        );
+    }
+
+    // Fingerprints of the key sharing any of the given hashes
+    async findPlayerFingerprints(apiKeyId, hashes) {
+        const wanted = '(SELECT value FROM json_each(@hashes))';
+        return this.all(
+            'SELECT * FROM player_fingerprints WHERE api_key_id = @apiKeyId ' +
+            `AND (browser_hash IN ${wanted} OR device_hash IN ${wanted} OR network_hash IN ${wanted}) ` +
+            'ORDER BY seen_at DESC LIMIT 1000',
+            { apiKeyId, hashes: JSON.stringify(hashes) }
+        );
+    }
+
+    // Gate links
+    async createGateLink(link) {
+        return this.insert('gate_links', { id: crypto.randomUUID(), ...link, uses: 0, views: 0, disabled: false });
+    }
+
+    async getGateLinks(apiKeyId) {
+        return this.all('SELECT * FROM gate_links WHERE api_key_id = @apiKeyId ORDER BY created_at DESC, rowid DESC', { apiKeyId });
+    }
+
+    async getGateLink(apiKeyId, linkId) {
+        return this.get('SELECT * FROM gate_links WHERE api_key_id = @apiKeyId AND id = @linkId', { apiKeyId, linkId });
+    }
+
+    async findGateLinkBySlug(slug) {
+        return this.get('SELECT * FROM gate_links WHERE slug = @slug', { slug });
+    }
+
+    async updateGateLink(linkId, updates) {
+        return this.update('gate_links', { id: linkId }, updates)[0] || null;
+    }
+
+    async deleteGateLink(apiKeyId, linkId) {
+        return this.run('DELETE FROM gate_links WHERE api_key_id = @apiKeyId AND id = @linkId', { apiKeyId, linkId }).changes > 0;
+    }
+
+    // Count one use unless the link has run out. Resolves to the updated
+    // link, or null when every use is taken.
+    async consumeGateLinkUse(linkId) {
+        return this.get(
+            'UPDATE gate_links SET uses = uses + 1 WHERE id = @linkId AND (max_uses IS NULL OR uses < max_uses) RETURNING *',
+            { linkId }
+        );
+    }
+
+    async recordGateLinkEvent(link, event, countryCode) {
+        this.insert('gate_link_events', { id: crypto.randomUUID(), link_id: link.id, event, country_code: countryCode });
+        if (event === 'view') {
+            this.run('UPDATE gate_links SET views = views + 1 WHERE id = @linkId', { linkId: link.id });
+        }
+        return { success: true };
+    }
+
+    async getGateLinkEvents(linkId, days = 30) {
+        return this.all(
+            'SELECT event, country_code, created_at FROM gate_link_events WHERE link_id = @linkId AND created_at >= @since',
+            { linkId, since: since(days) }
+        );
+    }
+
+    // RCON whitelist automation
+    async getRconIntegration(apiKeyId) {
+        return this.get('SELECT * FROM rcon_integrations WHERE api_key_id = @apiKeyId', { apiKeyId });
+    }
+
+    // One integration per key, linked to the key's website when it has one
+    async saveRconIntegration(apiKeyId, integration) {
+        const record = { ...integration, api_key_id: apiKeyId, website_id: this.websiteOf(apiKeyId), updated_at: now() };
+        const columns = columnsOf(record);
+        const updated = columns.filter(name => name !== 'api_key_id');
+
+        return this.get(
+            `INSERT INTO rcon_integrations (${columns.join(', ')}) VALUES (${columns.map(name => `@${name}`).join(', ')}) ` +
+            `ON CONFLICT (api_key_id) DO UPDATE SET ${updated.map(name => `${name} = excluded.${name}`).join(', ')} ` +
+            'RETURNING *',
+            Object.fromEntries(columns.map(name => [name, toColumn(name, record[name])]))
+        );
+    }
+
+    async deleteRconIntegration(apiKeyId) {
+        return this.run('DELETE FROM rcon_integrations WHERE api_key_id = @apiKeyId', { apiKeyId }).changes > 0;
+    }
+
+    async createRconDelivery(delivery) {
+        return this.insert('rcon_deliveries', { id: crypto.randomUUID(), ...delivery });
+    }
+
+    async updateRconDelivery(deliveryId, updates) {
+        return this.update('rcon_deliveries', { id: deliveryId }, updates)[0] || null;
+    }
+
+    // Mark deliveries still pending or retrying that were created before
+    // `before` (an ISO timestamp) as failed with `lastError`; resolves to them
+    async failStaleRconDeliveries(before, lastError) {
+        return this.all(
+            "UPDATE rcon_deliveries SET status = 'failed', last_error = @lastError " +
+            "WHERE status IN ('pending', 'retrying') AND created_at < @before RETURNING *",
+            { before, lastError }
+        );
+    }
+
+    async getRconDeliveries(apiKeyId, limit = 50) {
+        return this.all(
+            'SELECT * FROM rcon_deliveries WHERE api_key_id = @apiKeyId ORDER BY created_at DESC, rowid DESC LIMIT @limit',
+            { apiKeyId, limit }
+        );
+    }
+
+    async getRconDelivery(apiKeyId, deliveryId) {
+        return this.get('SELECT * FROM rcon_deliveries WHERE api_key_id = @apiKeyId AND id = @deliveryId', { apiKeyId, deliveryId });
+    }
+}
+
+module.exports = {
+    SqliteStorage
+};
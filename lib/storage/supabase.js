@@ -0,0 +1,824 @@
+/**
+ * Supabase storage
+ * Keeps everything in the Postgres database of a Supabase project (see
+ * database/migrations), through the service role client
+ */
+
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+// Rows fetched per request when reading whole result sets
+const PAGE_SIZE = 1000;
+
+class SupabaseStorage {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // Every row a query matches; PostgREST returns at most 1000 per request,
+    // so `build` is called once per page
+    async selectAll(build) {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+            if (error) throw error;
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) return rows;
+        }
+    }
+
+    // Users
+    // Create or update the user behind a GitHub account
+    async saveUser(profile) {
+        const { data, error } = await this.client
+            .from('users')
+            .upsert([{ ...profile, updated_at: new Date().toISOString() }], { onConflict: 'github_id' })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getUser(userId) {
+        const { data, error } = await this.client
+            .from('users')
+            .select('*')
+            .eq('id', userId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async hasAdmin() {
+        const { count, error } = await this.client
+            .from('users')
+            .select('id', { count: 'exact', head: true })
+            .eq('role', 'admin');
+        
+        if (error) throw error;
+        return count > 0;
+    }
+
+    // API keys
+    async createApiKey(userId, key) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .insert([{ ...key, user_id: userId }])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // The user's active keys, oldest first
+    async getUserApiKeys(userId) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('is_active', true)
+            .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // A key by id, key_value or secret_key, whether or not it is active
+    async findApiKey(field, value) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .select('*')
+            .eq(field, value)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async validateApiKey(keyValue) {
+        const key = await this.findApiKey('key_value', keyValue);
+        return key && key.is_active ? key : null;
+    }
+
+    async validateSecretKey(secretKey) {
+        const key = await this.findApiKey('secret_key', secretKey);
+        return key && key.is_active ? key : null;
+    }
+
+    async getApiKey(keyId) {
+        const key = await this.findApiKey('id', keyId);
+        return key && key.is_active ? key : null;
+    }
+
+    async updateApiKey(keyId, updates) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', keyId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Keys are deactivated rather than removed, so their logs stay
+    async deleteApiKey(userId, keyId) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .update({ is_active: false, updated_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('id', keyId)
+            .eq('is_active', true)
+            .select('id');
+        
+        if (error) throw error;
+        return data.length > 0;
+    }
+
+    // Websites
+    async getUserWebsites(userId) {
+        const { data, error } = await this.client
+            .from('websites')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Replace the key's websites with one per domain it is registered for.
+    // A domain another of the user's keys already has stays with that key.
+    async syncWebsites(apiKey, domains) {
+        const { error } = await this.client
+            .from('websites')
+            .delete()
+            .eq('api_key_id', apiKey.id);
+        
+        if (error) throw error;
+
+        const websites = [];
+        for (const domain of domains) {
+            const { data, error: insertError } = await this.client
+                .from('websites')
+                .insert([{ user_id: apiKey.user_id, api_key_id: apiKey.id, domain, name: domain }])
+                .select()
+                .single();
+            
+            if (insertError && insertError.code !== UNIQUE_VIOLATION) throw insertError;
+            if (data) websites.push(data);
+        }
+        return websites;
+    }
+
+    // Verification logs
+    async logVerification(logData) {
+        const { data, error } = await this.client
+            .from('verification_logs')
+            .insert([logData])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getRecentVerifications(apiKeyId, limit = 20) {
+        const { data, error } = await this.client
+            .from('verification_logs')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Every verification on the user's keys over the last `days` days
+    async getUserAnalytics(userId, days = 30) {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        const logs = await this.selectAll(() => this.client
+            .from('verification_logs')
+            .select('*, api_keys!inner(user_id)')
+            .eq('api_keys.user_id', userId)
+            .gte('created_at', startDate.toISOString())
+            .order('created_at', { ascending: false }));
+        return logs.map(({ api_keys, ...log }) => log);
+    }
+
+    // Every verification on one key over the last `days` days
+    async getKeyAnalytics(apiKeyId, days = 30) {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        return this.selectAll(() => this.client
+            .from('verification_logs')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .gte('created_at', startDate.toISOString())
+            .order('created_at', { ascending: false }));
+    }
+
+    // Up to `limit` (at most PAGE_SIZE) verifications from `from` up to `to`
+    // (ISO timestamps), ordered by created_at and id and following the log
+    // `after` when given, each with the user_id of its key
+    async getVerificationLogsBetween(from, to, limit, after = null) {
+        let query = this.client
+            .from('verification_logs')
+            .select('*, api_keys!inner(user_id)')
+            .gte('created_at', from)
+            .lt('created_at', to);
+
+        if (after) {
+            query = query.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+        }
+
+        const { data, error } = await query
+            .order('created_at')
+            .order('id')
+            .limit(limit);
+
+        if (error) throw error;
+        return data.map(({ api_keys, ...log }) => ({ ...log, user_id: api_keys.user_id }));
+    }
+
+    // Analytics rollups
+    // Insert or replace summaries by scope, scope_id, granularity and period_start
+    async saveAnalyticsSummaries(rows) {
+        const updatedAt = new Date().toISOString();
+
+        for (let from = 0; from < rows.length; from += PAGE_SIZE) {
+            const { error } = await this.client
+                .from('analytics_summary')
+                .upsert(rows.slice(from, from + PAGE_SIZE).map(row => ({ ...row, updated_at: updatedAt })),
+                    { onConflict: 'scope,scope_id,granularity,period_start' });
+
+            if (error) throw error;
+        }
+    }
+
+    // One scope's summaries with period_start from `from` up to `to`, oldest first
+    async getAnalyticsSummaries(scope, scopeId, granularity, from, to) {
+        return this.selectAll(() => this.client
+            .from('analytics_summary')
+            .select('*')
+            .eq('scope', scope)
+            .eq('scope_id', scopeId)
+            .eq('granularity', granularity)
+            .gte('period_start', from)
+            .lt('period_start', to)
+            .order('period_start'));
+    }
+
+    async markRolledUp(date, verifications) {
+        const { error } = await this.client
+            .from('analytics_rollups')
+            .upsert([{ date, verifications, rolled_up_at: new Date().toISOString() }], { onConflict: 'date' });
+
+        if (error) throw error;
+    }
+
+    // Rolled-up dates from `from` to `to` (YYYY-MM-DD, both included)
+    async getRolledUpDates(from, to) {
+        const rows = await this.selectAll(() => this.client
+            .from('analytics_rollups')
+            .select('date')
+            .gte('date', from)
+            .lte('date', to)
+            .order('date'));
+        return rows.map(row => row.date);
+    }
+
+    // Job leases
+    // Take or renew the lease on job `name` for `holder` until `duration`
+    // milliseconds from now; false while another holder's lease runs
+    async acquireLease(name, holder, duration) {
+        const now = new Date().toISOString();
+        const expiresAt = new Date(Date.now() + duration).toISOString();
+
+        const { error: insertError } = await this.client
+            .from('job_leases')
+            .upsert([{ name, holder, expires_at: expiresAt }], { onConflict: 'name', ignoreDuplicates: true });
+
+        if (insertError) throw insertError;
+
+        // Taken over only when it is ours or has run out, in one statement
+        const { data, error } = await this.client
+            .from('job_leases')
+            .update({ holder, expires_at: expiresAt })
+            .eq('name', name)
+            .or(`holder.eq.${holder},expires_at.lte.${now}`)
+            .select('name');
+
+        if (error) throw error;
+        return data.length > 0;
+    }
+
+    // Security events
+    async logSecurityEvent(userId, eventData) {
+        const event = {
+            ...eventData,
+            user_id: userId
+        };
+
+        const { data, error } = await this.client
+            .from('security_events')
+            .insert([event])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getSecurityEvents(apiKeyId, limit = 20) {
+        const { data, error } = await this.client
+            .from('security_events')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async countSecurityEvents(apiKeyId) {
+        const data = await this.selectAll(() => this.client
+            .from('security_events')
+            .select('event_type')
+            .eq('api_key_id', apiKeyId)
+            .order('id'));
+
+        const counts = {};
+        data.forEach(event => {
+            counts[event.event_type] = (counts[event.event_type] || 0) + 1;
+        });
+        return counts;
+    }
+
+    // IP rules
+    async getIpRules(apiKeyId) {
+        const { data, error } = await this.client
+            .from('ip_rules')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async addIpRule(apiKeyId, rule) {
+        const { data, error } = await this.client
+            .from('ip_rules')
+            .insert([{ ...rule, api_key_id: apiKeyId }])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async deleteIpRule(apiKeyId, ruleId) {
+        const { data, error } = await this.client
+            .from('ip_rules')
+            .delete()
+            .eq('api_key_id', apiKeyId)
+            .eq('id', ruleId)
+            .select();
+        
+        if (error) throw error;
+        return data.length > 0;
+    }
+
+    // Minecraft player verification sessions
+    async createPlayerSession(session) {
+        const { data, error } = await this.client
+            .from('player_sessions')
+            .insert([session])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getPlayerSession(sessionId) {
+        const { data, error } = await this.client
+            .from('player_sessions')
+            .select('*')
+            .eq('id', sessionId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // The open session a short code belongs to
+    async findPlayerSessionByCode(code) {
+        const { data, error } = await this.client
+            .from('player_sessions')
+            .select('*')
+            .eq('code', code)
+            .eq('status', 'pending')
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async updatePlayerSession(sessionId, updates) {
+        const { data, error } = await this.client
+            .from('player_sessions')
+            .update(updates)
+            .eq('id', sessionId)
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Verified players registry
+    // One entry per player and key, linked to the key's website when it has one
+    async saveVerifiedPlayer(apiKeyId, entry) {
+        const { data: website } = await this.client
+            .from('websites')
+            .select('id')
+            .eq('api_key_id', apiKeyId)
+            .limit(1)
+            .maybeSingle();
+
+        const { data, error } = await this.client
+            .from('verified_players')
+            .upsert([{ ...entry, api_key_id: apiKeyId, website_id: website ? website.id : null }], { onConflict: 'api_key_id,player_uuid' })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getVerifiedPlayers(apiKeyId, uuids) {
+        const { data, error } = await this.client
+            .from('verified_players')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .in('player_uuid', uuids);
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Newest first, filtered by a parsed search (see lib/player-registry)
+    // and status; no limit returns every match (for exports), a page at a time
+    async searchVerifiedPlayers(apiKeyId, { search = null, status = null, altSuspect = false, limit = null, offset = 0 } = {}) {
+        const now = new Date().toISOString();
+        const build = (columns = {}) => {
+            let query = this.client
+                .from('verified_players')
+                .select('*', columns)
+                .eq('api_key_id', apiKeyId)
+                .order('verified_at', { ascending: false })
+                .order('id');
+
+            if (search) {
+                const name = search.name.replace(/_/g, '\\_');
+                query = search.uuid
+                    ? query.or(`player_name.ilike.%${name}%,player_uuid.eq.${search.uuid}`)
+                    : query.ilike('player_name', `%${name}%`);
+            }
+            if (status === 'revoked') {
+                query = query.eq('revoked', true);
+            } else if (status === 'expired') {
+                query = query.eq('revoked', false).lte('expires_at', now);
+            } else if (status === 'verified') {
+                query = query.eq('revoked', false).or(`expires_at.is.null,expires_at.gt.${now}`);
+            }
+            if (altSuspect) {
+                query = query.eq('alt_suspect', true);
+            }
+            return query;
+        };
+
+        if (!limit) {
+            const players = await this.selectAll(build);
+            return { players, total: players.length };
+        }
+
+        const { data, count, error } = await build({ count: 'exact' }).range(offset, offset + limit - 1);
+        
+        if (error) throw error;
+        return { players: data, total: count };
+    }
+
+    async updateVerifiedPlayer(apiKeyId, uuid, updates) {
+        const { data, error } = await this.client
+            .from('verified_players')
+            .update(updates)
+            .eq('api_key_id', apiKeyId)
+            .eq('player_uuid', uuid)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async markAltSuspects(apiKeyId, uuids) {
+        const { error } = await this.client
+            .from('verified_players')
+            .update({ alt_suspect: true })
+            .eq('api_key_id', apiKeyId)
+            .in('player_uuid', uuids);
+        
+        if (error) throw error;
+    }
+
+    // Player fingerprints (hashes only, see lib/alt-detection)
+    async recordPlayerFingerprint(fingerprint) {
+        const { error } = await this.client
+            .from('player_fingerprints')
+            .insert([fingerprint]);
+        
+        if (error) throw error;
+        return { success: true };
+    }
+
+    async getPlayerFingerprints(apiKeyId, uuid) {
+        const { data, error } = await this.client
+            .from('player_fingerprints')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .eq('player_uuid', uuid)
+            .order('seen_at', { ascending: false })
+            .limit(100);
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Fingerprints of the key sharing any of the given (hex) hashes
+    async findPlayerFingerprints(apiKeyId, hashes) {
+        const list = hashes.join(',');
+        const { data, error } = await this.client
+            .from('player_fingerprints')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .or(`browser_hash.in.(${list}),device_hash.in.(${list}),network_hash.in.(${list})`)
+            .order('seen_at', { ascending: false })
+            .limit(1000);
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Gate links
+    async createGateLink(link) {
+        const { data, error } = await this.client
+            .from('gate_links')
+            .insert([link])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getGateLinks(apiKeyId) {
+        const { data, error } = await this.client
+            .from('gate_links')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .order('created_at', { ascending: false });
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getGateLink(apiKeyId, linkId) {
+        const { data, error } = await this.client
+            .from('gate_links')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .eq('id', linkId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async findGateLinkBySlug(slug) {
+        const { data, error } = await this.client
+            .from('gate_links')
+            .select('*')
+            .eq('slug', slug)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async updateGateLink(linkId, updates) {
+        const { data, error } = await this.client
+            .from('gate_links')
+            .update(updates)
+            .eq('id', linkId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async deleteGateLink(apiKeyId, linkId) {
+        const { data, error } = await this.client
+            .from('gate_links')
+            .delete()
+            .eq('api_key_id', apiKeyId)
+            .eq('id', linkId)
+            .select('id');
+        
+        if (error) throw error;
+        return data.length > 0;
+    }
+
+    // Count one use unless the link has run out: a compare-and-set on the
+    // use counter, retried when another visitor got there first. Resolves
+    // to the updated link, or null when every use is taken.
+    async consumeGateLinkUse(linkId) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const { data: link, error } = await this.client
+                .from('gate_links')
+                .select('*')
+                .eq('id', linkId)
+                .maybeSingle();
+            
+            if (error) throw error;
+            if (!link || (link.max_uses !== null && link.uses >= link.max_uses)) return null;
+
+            const { data: updated, error: updateError } = await this.client
+                .from('gate_links')
+                .update({ uses: link.uses + 1 })
+                .eq('id', linkId)
+                .eq('uses', link.uses)
+                .select()
+                .maybeSingle();
+            
+            if (updateError) throw updateError;
+            if (updated) return updated;
+        }
+        return null;
+    }
+
+    async recordGateLinkEvent(link, event, countryCode) {
+        const { error } = await this.client
+            .from('gate_link_events')
+            .insert([{ link_id: link.id, event, country_code: countryCode }]);
+        
+        if (error) throw error;
+
+        // The view counter is for display; analytics count the events
+        if (event === 'view') {
+            await this.client
+                .from('gate_links')
+                .update({ views: (link.views || 0) + 1 })
+                .eq('id', link.id);
+        }
+        return { success: true };
+    }
+
+    async getGateLinkEvents(linkId, days = 30) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        return this.selectAll(() => this.client
+            .from('gate_link_events')
+            .select('event, country_code, created_at')
+            .eq('link_id', linkId)
+            .gte('created_at', since)
+            .order('created_at')
+            .order('id'));
+    }
+
+    // RCON whitelist automation
+    async getRconIntegration(apiKeyId) {
+        const { data, error } = await this.client
+            .from('rcon_integrations')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // One integration per key, linked to the key's website when it has one
+    async saveRconIntegration(apiKeyId, integration) {
+        const { data: website } = await this.client
+            .from('websites')
+            .select('id')
+            .eq('api_key_id', apiKeyId)
+            .limit(1)
+            .maybeSingle();
+
+        const { data, error } = await this.client
+            .from('rcon_integrations')
+            .upsert([{
+                ...integration,
+                api_key_id: apiKeyId,
+                website_id: website ? website.id : null,
+                updated_at: new Date().toISOString()
+            }], { onConflict: 'api_key_id' })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async deleteRconIntegration(apiKeyId) {
+        const { data, error } = await this.client
+            .from('rcon_integrations')
+            .delete()
+            .eq('api_key_id', apiKeyId)
+            .select('api_key_id');
+        
+        if (error) throw error;
+        return data.length > 0;
+    }
+
+    async createRconDelivery(delivery) {
+        const { data, error } = await this.client
+            .from('rcon_deliveries')
+            .insert([delivery])
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async updateRconDelivery(deliveryId, updates) {
+        const { data, error } = await this.client
+            .from('rcon_deliveries')
+            .update(updates)
+            .eq('id', deliveryId)
+            .select()
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    // Mark deliveries still pending or retrying that were created before
+    // `before` (an ISO timestamp) as failed with `lastError`; resolves to them
+    async failStaleRconDeliveries(before, lastError) {
+        const { data, error } = await this.client
+            .from('rcon_deliveries')
+            .update({ status: 'failed', last_error: lastError })
+            .in('status', ['pending', 'retrying'])
+            .lt('created_at', before)
+            .select();
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getRconDeliveries(apiKeyId, limit = 50) {
+        const { data, error } = await this.client
+            .from('rcon_deliveries')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (error) throw error;
+        return data;
+    }
+
+    async getRconDelivery(apiKeyId, deliveryId) {
+        const { data, error } = await this.client
+            .from('rcon_deliveries')
+            .select('*')
+            .eq('api_key_id', apiKeyId)
+            .eq('id', deliveryId)
+            .maybeSingle();
+        
+        if (error) throw error;
+        return data;
+    }
+}
+
+module.exports = {
+    SupabaseStorage
+};
@@ -0,0 +1,171 @@
+/**
+ * Behavioral telemetry
+ * Validates the interaction trace sent by the widget and turns it into
+ * scoring features. The trace holds no page content or absolute positions:
+ * pointer samples are relative to the checkbox (or, for invisible
+ * widgets, to the point where the pointer was when execute() was called)
+ * and capped in number.
+ */
+
+// "invisible" traces come from execute(): there is no checkbox to activate,
+// so only the page-level pointer path and the user gesture behind the call
+// are known
+const ACTIVATIONS = ['mouse', 'pen', 'touch', 'keyboard', 'programmatic', 'invisible'];
+
+// Limits on what a trace may contain
+const MAX_PATH_POINTS = 32;
+const MAX_ELAPSED = 60 * 60 * 1000;
+const MAX_COUNT = 1000;
+
+// Feature thresholds
+const MIN_HUMAN_ELAPSED = 300; // ms from render to click
+const MIN_PATH_POINTS = 3;
+const LINEAR_PATH_RATIO = 0.99; // straight-line distance / travelled distance
+
+// Risk added by each suspicious feature, keyed by its reason code
+const RISK_WEIGHTS = {
+    telemetry_missing: 0.2,
+    telemetry_untrusted: 0.5,
+    telemetry_programmatic: 0.5,
+    telemetry_too_fast: 0.3,
+    telemetry_no_pointer_path: 0.2,
+    telemetry_linear_path: 0.3,
+    telemetry_constant_speed: 0.2
+};
+
+// Feature flag behind each reason code
+const SIGNALS = {
+    telemetry_untrusted: 'untrusted',
+    telemetry_programmatic: 'programmatic',
+    telemetry_too_fast: 'tooFast',
+    telemetry_no_pointer_path: 'noPointerPath',
+    telemetry_linear_path: 'linearPath',
+    telemetry_constant_speed: 'constantSpeed'
+};
+
+function toCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(0, Math.min(MAX_COUNT, Math.round(number))) : 0;
+}
+
+// Normalize a raw trace from the request body. Returns null when the trace
+// is absent or not shaped like one.
+function parseTelemetry(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return null;
+    }
+
+    const elapsed = Number(raw.elapsed);
+    if (!Number.isFinite(elapsed) || elapsed < 0 || elapsed > MAX_ELAPSED) {
+        return null;
+    }
+
+    const path = Array.isArray(raw.path) ? raw.path.slice(-MAX_PATH_POINTS) : [];
+    const points = [];
+    for (const point of path) {
+        if (!Array.isArray(point) || point.length !== 3) return null;
+
+        const [x, y, t] = point.map(Number);
+        if (![x, y, t].every(Number.isFinite)) return null;
+        points.push([Math.round(x), Math.round(y), Math.round(t)]);
+    }
+
+    return {
+        elapsed: Math.round(elapsed),
+        activation: ACTIVATIONS.includes(raw.activation) ? raw.activation : 'programmatic',
+        trusted: raw.trusted === true,
+        path: points,
+        focus: toCount(raw.focus),
+        blur: toCount(raw.blur),
+        touches: toCount(raw.touches),
+        keys: toCount(raw.keys)
+    };
+}
+
+// Path shape: travelled distance, straightness and speed variation
+function analyzePath(path) {
+    let travelled = 0;
+    const speeds = [];
+
+    for (let i = 1; i < path.length; i++) {
+        const [x1, y1, t1] = path[i - 1];
+        const [x2, y2, t2] = path[i];
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        travelled += distance;
+
+        // Sample times count down to the click
+        const dt = t1 - t2;
+        if (dt > 0) speeds.push(distance / dt);
+    }
+
+    const [startX, startY] = path[0] || [0, 0];
+    const [endX, endY] = path[path.length - 1] || [0, 0];
+    const direct = Math.hypot(endX - startX, endY - startY);
+
+    let speedVariation = null;
+    if (speeds.length >= 2) {
+        const mean = speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length;
+        const variance = speeds.reduce((sum, speed) => sum + (speed - mean) ** 2, 0) / speeds.length;
+        speedVariation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+    }
+
+    return {
+        travelled,
+        straightness: travelled > 0 ? direct / travelled : null,
+        speedVariation
+    };
+}
+
+// Turn a parsed trace (or null) into named scoring features
+function extractFeatures(telemetry) {
+    if (!telemetry) {
+        return { present: false };
+    }
+
+    const pointer = ['mouse', 'pen'].includes(telemetry.activation);
+    // Invisible traces may or may not have a pointer path (touch and
+    // keyboard users have none), but one that exists is still checked
+    const tracked = pointer || telemetry.activation === 'invisible';
+    const path = analyzePath(telemetry.path);
+
+    return {
+        present: true,
+        activation: telemetry.activation,
+        trusted: telemetry.trusted,
+        elapsed: telemetry.elapsed,
+        pathPoints: telemetry.path.length,
+        pathLength: Math.round(path.travelled),
+        straightness: path.straightness,
+        speedVariation: path.speedVariation,
+        focusChanges: telemetry.focus + telemetry.blur,
+        touches: telemetry.touches,
+        keys: telemetry.keys,
+
+        // Suspicious signals
+        untrusted: !telemetry.trusted,
+        programmatic: telemetry.activation === 'programmatic',
+        tooFast: telemetry.elapsed < MIN_HUMAN_ELAPSED,
+        noPointerPath: pointer && telemetry.path.length < MIN_PATH_POINTS,
+        linearPath: tracked && telemetry.path.length >= 5 &&
+            path.straightness !== null && path.straightness > LINEAR_PATH_RATIO,
+        constantSpeed: tracked && path.speedVariation !== null && path.speedVariation < 0.05
+    };
+}
+
+// Suspicious signals present in the features, as reason codes with their risk
+function riskSignals(features) {
+    if (!features.present) {
+        return [{ code: 'telemetry_missing', risk: RISK_WEIGHTS.telemetry_missing }];
+    }
+
+    return Object.keys(SIGNALS)
+        .filter(code => features[SIGNALS[code]])
+        .map(code => ({ code, risk: RISK_WEIGHTS[code] }));
+}
+
+module.exports = {
+    RISK_WEIGHTS,
+    parseTelemetry,
+    extractFeatures,
+    riskSignals
+};
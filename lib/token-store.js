@@ -0,0 +1,99 @@
+/**
+ * Consumed token stores
+ * Remember which single-use tokens have been redeemed until they expire
+ */
+
+// How often expired entries are purged
+const SWEEP_INTERVAL = 60 * 1000;
+
+// In-memory store, suitable for a single instance
+class MemoryTokenStore {
+    constructor() {
+        this.consumed = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    // Mark a token as consumed. Resolves to false if it was already consumed.
+    async consume(jti, expiresAt) {
+        this.sweep();
+
+        const existing = this.consumed.get(jti);
+        if (existing && existing > Date.now()) {
+            return false;
+        }
+
+        this.consumed.set(jti, expiresAt);
+        return true;
+    }
+
+    sweep() {
+        const now = Date.now();
+        if (now - this.lastSweep < SWEEP_INTERVAL) return;
+
+        for (const [jti, expiresAt] of this.consumed.entries()) {
+            if (expiresAt <= now) {
+                this.consumed.delete(jti);
+            }
+        }
+        this.lastSweep = now;
+    }
+}
+
+// Store backed by the consumed_tokens table, shared by every instance
+class SupabaseTokenStore {
+    constructor(client) {
+        this.client = client;
+        this.lastSweep = Date.now();
+    }
+
+    async consume(jti, expiresAt) {
+        await this.sweep();
+
+        const { error } = await this.client
+            .from('consumed_tokens')
+            .insert([{ jti, expires_at: new Date(expiresAt).toISOString() }]);
+
+        if (error) {
+            // Unique violation: another request already redeemed this token
+            if (error.code === '23505') return false;
+            throw error;
+        }
+
+        return true;
+    }
+
+    async sweep() {
+        const now = Date.now();
+        if (now - this.lastSweep < SWEEP_INTERVAL) return;
+        this.lastSweep = now;
+
+        const { error } = await this.client
+            .from('consumed_tokens')
+            .delete()
+            .lt('expires_at', new Date(now).toISOString());
+
+        if (error) {
+            console.warn('Consumed token cleanup failed:', error.message);
+        }
+    }
+}
+
+// Pick a store based on TOKEN_STORE ("memory" or "supabase")
+function createTokenStore(type = process.env.TOKEN_STORE || 'memory') {
+    switch (type) {
+        case 'memory':
+            return new MemoryTokenStore();
+        case 'supabase': {
+            const { supabaseAdmin } = require('../config/supabase');
+            return new SupabaseTokenStore(supabaseAdmin);
+        }
+        default:
+            throw new Error(`Unknown TOKEN_STORE: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryTokenStore,
+    SupabaseTokenStore,
+    createTokenStore
+};
@@ -0,0 +1,60 @@
+/**
+ * Verification velocity
+ * Counts recent verifications per key so the scoring engine can spot
+ * clients that verify faster than a person would
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How often idle keys are purged
+const SWEEP_INTERVAL = MINUTE;
+
+// In-memory sliding window of per-minute buckets covering the last hour
+class VelocityTracker {
+    constructor() {
+        this.buckets = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    // Record a verification and return the counts including it
+    hit(key, now = Date.now()) {
+        this.sweep(now);
+
+        const minute = Math.floor(now / MINUTE);
+        const counts = this.buckets.get(key) || new Map();
+        counts.set(minute, (counts.get(minute) || 0) + 1);
+
+        let hour = 0;
+        for (const [bucket, count] of counts.entries()) {
+            if (bucket <= minute - 60) {
+                counts.delete(bucket);
+            } else {
+                hour += count;
+            }
+        }
+
+        this.buckets.set(key, counts);
+
+        return {
+            minute: counts.get(minute),
+            hour
+        };
+    }
+
+    sweep(now) {
+        if (now - this.lastSweep < SWEEP_INTERVAL) return;
+
+        const oldest = Math.floor((now - HOUR) / MINUTE);
+        for (const [key, counts] of this.buckets.entries()) {
+            if (Math.max(...counts.keys()) <= oldest) {
+                this.buckets.delete(key);
+            }
+        }
+        this.lastSweep = now;
+    }
+}
+
+module.exports = {
+    VelocityTracker
+};
@@ -0,0 +1,188 @@
+/**
+ * Verification statistics
+ * Totals, success rate and a daily series, shared by the dashboard (all of
+ * a user's keys) and GET /api/v1/stats (one key). Logs are first rolled up
+ * into one record per UTC day or hour, in the columns of analytics_summary,
+ * and summaries are built from those records, so stored rollups and fresh
+ * logs combine freely.
+ */
+
+const { tallyAction, summarizeActions } = require('./actions');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+
+const GRANULARITIES = { day: DAY, hour: HOUR };
+
+// "30d" or "30" to a number of days, within 1..MAX_STATS_DAYS
+function parsePeriod(period) {
+    const days = parseInt(String(period || '').replace(/d$/, ''), 10);
+    if (!Number.isFinite(days) || days < 1) return DEFAULT_STATS_DAYS;
+    return Math.min(days, MAX_STATS_DAYS);
+}
+
+// Every date in the last `days` days, oldest first, today included
+function periodDates(days, now = Date.now()) {
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+        dates.push(new Date(now - i * DAY).toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+// Start of the UTC day or hour `time` falls in, as an ISO timestamp
+function periodStart(time, granularity = 'day') {
+    const size = GRANULARITIES[granularity];
+    return new Date(Math.floor(new Date(time).getTime() / size) * size).toISOString();
+}
+
+function count(counts, key) {
+    if (key) counts[key] = (counts[key] || 0) + 1;
+}
+
+// Running totals of one period's logs, fed to addToPeriod one at a time
+function newPeriod() {
+    return {
+        total: 0,
+        successful: 0,
+        blocked: 0,
+        visitors: new Set(),
+        timeSum: 0,
+        timed: 0,
+        countries: {},
+        countryRules: {},
+        actions: {}
+    };
+}
+
+// Count a log ({ result, verification_time, ip_address, country_code,
+// country_rule, action, confidence_score }) into its period's totals
+function addToPeriod(period, log) {
+    period.total++;
+    if (log.result === 'success') period.successful++;
+    else if (log.result === 'blocked') period.blocked++;
+
+    if (log.ip_address) period.visitors.add(String(log.ip_address));
+    if (log.verification_time) {
+        period.timeSum += Number(log.verification_time);
+        period.timed++;
+    }
+    count(period.countries, log.country_code);
+    count(period.countryRules, log.country_rule);
+    tallyAction(period.actions, log);
+}
+
+// The analytics_summary columns of a period starting at `start`. Unique
+// visitors are distinct IP addresses within the period.
+function periodRollup(start, period) {
+    return {
+        period_start: start,
+        total_verifications: period.total,
+        successful_verifications: period.successful,
+        blocked_attempts: period.blocked,
+        unique_visitors: period.visitors.size,
+        average_response_time: period.timed > 0 ? Math.round(period.timeSum / period.timed * 1000) / 1000 : null,
+        timed_verifications: period.timed,
+        countries: period.countries,
+        country_rules: period.countryRules,
+        actions: period.actions
+    };
+}
+
+// Roll logs (see addToPeriod, each with its created_at) up into one record
+// per UTC day or hour, oldest first
+function rollupVerifications(logs, granularity = 'day') {
+    const periods = new Map();
+
+    for (const log of logs) {
+        const start = periodStart(log.created_at, granularity);
+        if (!periods.has(start)) {
+            periods.set(start, newPeriod());
+        }
+        addToPeriod(periods.get(start), log);
+    }
+
+    return [...periods.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([start, period]) => periodRollup(start, period));
+}
+
+// Summarize daily rollups (see rollupVerifications) from the last `days`
+// days. Days without traffic are in the series as zeros, so an account
+// without any verifications gets an all-zero summary.
+function summarizeRollups(rollups, days = DEFAULT_STATS_DAYS, now = Date.now()) {
+    const daily = new Map(periodDates(days, now).map(date =>
+        [date, { date, total: 0, successful: 0, blocked: 0, unique_visitors: 0 }]));
+    const countries = {};
+    const countryRules = {};
+    const actions = [];
+    let total = 0;
+    let successful = 0;
+    let blocked = 0;
+    let timeSum = 0;
+    let timed = 0;
+
+    for (const rollup of rollups) {
+        const day = daily.get(new Date(rollup.period_start).toISOString().slice(0, 10));
+        if (!day) continue;
+
+        total += rollup.total_verifications;
+        successful += rollup.successful_verifications;
+        blocked += rollup.blocked_attempts;
+        day.total += rollup.total_verifications;
+        day.successful += rollup.successful_verifications;
+        day.blocked += rollup.blocked_attempts;
+        day.unique_visitors += rollup.unique_visitors;
+
+        if (rollup.timed_verifications > 0) {
+            timeSum += Number(rollup.average_response_time) * rollup.timed_verifications;
+            timed += rollup.timed_verifications;
+        }
+        for (const [country, n] of Object.entries(rollup.countries || {})) {
+            countries[country] = (countries[country] || 0) + n;
+        }
+        for (const [rule, n] of Object.entries(rollup.country_rules || {})) {
+            countryRules[rule] = (countryRules[rule] || 0) + n;
+        }
+        actions.push(rollup.actions);
+    }
+
+    return {
+        totalVerifications: total,
+        successfulVerifications: successful,
+        blockedAttempts: blocked,
+        successRate: total > 0 ? Math.round(successful / total * 10000) / 100 : 0,
+        averageResponseTime: timed > 0 ? Math.round(timeSum / timed * 100) / 100 : 0,
+        topCountries: Object.entries(countries)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .map(([country, n]) => ({ country, count: n })),
+        // Requests each country policy rule ("action:country") applied to
+        countryRules,
+        // Verifications, outcomes and average score for each named action
+        actions: summarizeActions(actions),
+        dailyBreakdown: [...daily.values()]
+    };
+}
+
+// Summarize raw logs from the last `days` days
+function summarizeVerifications(logs, days = DEFAULT_STATS_DAYS, now = Date.now()) {
+    return summarizeRollups(rollupVerifications(logs, 'day'), days, now);
+}
+
+module.exports = {
+    DAY,
+    DEFAULT_STATS_DAYS,
+    MAX_STATS_DAYS,
+    parsePeriod,
+    periodDates,
+    periodStart,
+    newPeriod,
+    addToPeriod,
+    periodRollup,
+    rollupVerifications,
+    summarizeRollups,
+    summarizeVerifications
+};
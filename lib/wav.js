@@ -0,0 +1,36 @@
+/**
+ * Minimal WAV encoder
+ * Encodes mono samples (floats from -1 to 1) as 16-bit PCM
+ */
+
+function encodeWav(samples, sampleRate) {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16); // chunk size
+    buffer.writeUInt16LE(1, 20); // format: PCM
+    buffer.writeUInt16LE(1, 22); // channels
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32); // block align
+    buffer.writeUInt16LE(16, 34); // bits per sample
+
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+    }
+
+    return buffer;
+}
+
+module.exports = {
+    encodeWav
+};
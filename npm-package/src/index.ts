@@ -147,8 +147,9 @@ export class DefendAMinecraftRecaptcha {
     }
 
     try {
-      const challenge = await this.getChallenge();
-      const response = await this.performVerification(challenge, action);
+      // The action is bound into the challenge token, so verify need not repeat it
+      const challenge = await this.getChallenge(action || 'submit');
+      const response = await this.performVerification(challenge);
       
       if (response.success && response.token) {
         return response.token;
@@ -175,7 +176,7 @@ export class DefendAMinecraftRecaptcha {
   /**
    * Get challenge from API
    */
-  private async getChallenge(): Promise<ChallengeData> {
+  private async getChallenge(action?: string): Promise<ChallengeData> {
     const response = await fetch(`${this.apiUrl}/api/v1/challenge`, {
       method: 'POST',
       headers: {
@@ -184,7 +185,8 @@ export class DefendAMinecraftRecaptcha {
       },
       body: JSON.stringify({
         type: this.config.size === 'invisible' ? 'invisible' : 'checkbox',
-        difficulty: 'medium'
+        difficulty: 'medium',
+        action
       })
     });
 
@@ -203,7 +205,7 @@ export class DefendAMinecraftRecaptcha {
   /**
    * Perform verification with API
    */
-  private async performVerification(challenge: ChallengeData, action?: string): Promise<VerificationResponse> {
+  private async performVerification(challenge: ChallengeData): Promise<VerificationResponse> {
     const response = await fetch(`${this.apiUrl}/api/v1/verify`, {
       method: 'POST',
       headers: {
@@ -213,8 +215,6 @@ export class DefendAMinecraftRecaptcha {
       body: JSON.stringify({
         token: challenge.token,
         response: 'user_interaction',
-        action: action || 'submit',
-        userAgent: navigator.userAgent,
         timestamp: Date.now()
       })
     });
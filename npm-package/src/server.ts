@@ -95,19 +95,20 @@ export class DefendAMinecraftServerVerification {
   }
 
   /**
-   * Make HTTP request to verification API
+   * Make HTTP request to the siteverify API (response tokens are single-use)
    */
   private async makeRequest(request: ServerVerificationRequest): Promise<any> {
-    const url = `${this.config.apiUrl}/api/v1/verify`;
+    const url = `${this.config.apiUrl}/api/v1/siteverify`;
     
-    const body = JSON.stringify({
-      token: request.response,
-      response: 'server_verification',
-      userAgent: request.userAgent,
-      ipAddress: request.remoteip,
-      action: request.action
+    const body = new URLSearchParams({
+      secret: this.config.secretKey,
+      response: request.response
     });
 
+    if (request.remoteip) {
+      body.set('remoteip', request.remoteip);
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
 
@@ -115,11 +116,10 @@ export class DefendAMinecraftServerVerification {
       const response = await fetch(url, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.config.secretKey,
+          'Content-Type': 'application/x-www-form-urlencoded',
           'User-Agent': 'DefendAMinecraft-Server/1.0.0'
         },
-        body,
+        body: body.toString(),
         signal: controller.signal
       });
 
@@ -147,7 +147,7 @@ export class DefendAMinecraftServerVerification {
       challenge_ts: apiResponse.challenge_ts,
       hostname: apiResponse.hostname,
       verification_time: apiResponse.verification_time,
-      'error-codes': apiResponse.success ? undefined : ['verification-failed']
+      'error-codes': apiResponse.success ? undefined : (apiResponse['error-codes'] || ['verification-failed'])
     };
   }
 }
@@ -14,6 +14,8 @@
     let isReady = false;
     let readyCallbacks = [];
     let widgets = new Map();
+    let recorders = new Map();
+    let pageRecorder = null;
     let widgetCounter = 0;
 
     // CSS Styles
@@ -170,6 +172,140 @@
             background: rgba(239, 68, 68, 0.1);
             border-color: #ef4444;
         }
+
+        .da-challenge-panel {
+            max-height: 0;
+            overflow: hidden;
+            transition: max-height 0.3s ease;
+        }
+
+        .da-recaptcha.challenging .da-challenge-panel {
+            max-height: 600px;
+        }
+
+        .da-challenge-body {
+            margin-top: 8px;
+            padding: 12px;
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 8px;
+        }
+
+        .da-challenge-prompt {
+            margin-bottom: 8px;
+            color: rgba(255, 255, 255, 0.9);
+            font-weight: 600;
+        }
+
+        .da-challenge-grid {
+            display: grid;
+            gap: 4px;
+        }
+
+        .da-challenge-tile {
+            position: relative;
+            width: 64px;
+            height: 64px;
+            padding: 0;
+            border: 2px solid transparent;
+            border-radius: 4px;
+            background: none;
+            cursor: pointer;
+        }
+
+        .da-challenge-tile img {
+            width: 100%;
+            height: 100%;
+            image-rendering: pixelated;
+            display: block;
+        }
+
+        .da-challenge-tile[aria-pressed="true"] {
+            border-color: #00d4ff;
+            box-shadow: 0 0 0 2px rgba(0, 212, 255, 0.4);
+        }
+
+        .da-challenge-tile:focus-visible {
+            outline: 2px solid #5b73ff;
+        }
+
+        .da-challenge-audio {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        }
+
+        .da-challenge-audio[hidden],
+        .da-challenge-grid[hidden] {
+            display: none;
+        }
+
+        .da-challenge-audio audio {
+            width: 100%;
+        }
+
+        .da-challenge-audio label {
+            color: rgba(255, 255, 255, 0.8);
+            font-size: 12px;
+        }
+
+        .da-challenge-audio input {
+            padding: 6px 8px;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 4px;
+            background: rgba(0, 0, 0, 0.2);
+            color: inherit;
+            font-size: 16px;
+            letter-spacing: 2px;
+        }
+
+        .da-challenge-footer .da-challenge-mode {
+            display: flex;
+            align-items: center;
+            padding: 6px 8px;
+        }
+
+        .da-challenge-footer {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-top: 8px;
+        }
+
+        .da-challenge-error {
+            flex: 1;
+            color: #ef4444;
+            font-size: 12px;
+        }
+
+        .da-challenge-footer button {
+            padding: 6px 12px;
+            border: 1px solid #00d4ff;
+            border-radius: 4px;
+            background: transparent;
+            color: #00d4ff;
+            cursor: pointer;
+        }
+
+        .da-challenge-footer .da-challenge-submit {
+            background: linear-gradient(135deg, #00d4ff 0%, #5b73ff 100%);
+            color: white;
+        }
+
+        .da-theme-light .da-challenge-body {
+            background: rgba(255, 255, 255, 0.9);
+            border-color: rgba(0, 0, 0, 0.2);
+        }
+
+        .da-theme-light .da-challenge-prompt,
+        .da-theme-light .da-challenge-audio label {
+            color: #333;
+        }
+
+        .da-theme-light .da-challenge-audio input {
+            border-color: rgba(0, 0, 0, 0.3);
+            background: white;
+        }
     `;
 
     // Load CSS
@@ -187,8 +323,360 @@
         return 'da-widget-' + (++widgetCounter);
     }
 
+    // Proof-of-work solver, run in a Web Worker so the page stays responsive
+    const POW_WORKER_SOURCE = `
+        function leadingZeroBits(bytes) {
+            let bits = 0;
+            for (let i = 0; i < bytes.length; i++) {
+                if (bytes[i] === 0) {
+                    bits += 8;
+                    continue;
+                }
+                bits += Math.clz32(bytes[i]) - 24;
+                break;
+            }
+            return bits;
+        }
+
+        self.onmessage = async (event) => {
+            const { salt, bits } = event.data;
+            const encoder = new TextEncoder();
+            const maxAttempts = Math.pow(2, bits + 6);
+
+            for (let nonce = 0; nonce < maxAttempts; nonce++) {
+                const digest = await crypto.subtle.digest('SHA-256', encoder.encode(salt + nonce));
+                if (leadingZeroBits(new Uint8Array(digest)) >= bits) {
+                    self.postMessage({ nonce: String(nonce) });
+                    return;
+                }
+            }
+
+            self.postMessage({ error: 'No solution found' });
+        };
+    `;
+
+    let powWorkerUrl = null;
+
+    function solveProofOfWork(puzzle) {
+        return new Promise((resolve, reject) => {
+            if (!powWorkerUrl) {
+                powWorkerUrl = URL.createObjectURL(new Blob([POW_WORKER_SOURCE], { type: 'application/javascript' }));
+            }
+
+            const worker = new Worker(powWorkerUrl);
+            worker.onmessage = (event) => {
+                worker.terminate();
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data.nonce);
+                }
+            };
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || 'Proof-of-work worker failed'));
+            };
+            worker.postMessage({ salt: puzzle.salt, bits: puzzle.bits });
+        });
+    }
+
+    // Produce the response for a challenge
+    async function solveChallenge(challenge) {
+        if (challenge.type === 'pow') {
+            return await solveProofOfWork(challenge.data);
+        }
+        return 'user_interaction';
+    }
+
+    // Show the challenge panel and resolve once the player solves an image
+    // grid, or the audio challenge offered by the headphone button
+    function solveInteractiveChallenge(widget, config, telemetry) {
+        const panel = widget.querySelector('.da-challenge-panel');
+        const prompt = panel.querySelector('.da-challenge-prompt');
+        const grid = panel.querySelector('.da-challenge-grid');
+        const audioBox = panel.querySelector('.da-challenge-audio');
+        const player = audioBox.querySelector('audio');
+        const answer = audioBox.querySelector('input');
+        const error = panel.querySelector('.da-challenge-error');
+        const submit = panel.querySelector('.da-challenge-submit');
+        const refresh = panel.querySelector('.da-challenge-refresh');
+        const modeToggle = panel.querySelector('.da-challenge-mode');
+
+        let current = null;
+        let mode = 'image_grid';
+        let audioUrl = null;
+
+        function load() {
+            return mode === 'audio' ? loadAudio() : loadGrid();
+        }
+
+        function releaseAudio() {
+            player.pause();
+            player.removeAttribute('src');
+            if (audioUrl) {
+                URL.revokeObjectURL(audioUrl);
+                audioUrl = null;
+            }
+        }
+
+        async function loadAudio() {
+            submit.disabled = true;
+            answer.value = '';
+            releaseAudio();
+            current = await getChallenge(config.sitekey, { challenge: 'audio', difficulty: config.difficulty, action: config.action });
+
+            prompt.textContent = current.data.prompt;
+            audioUrl = URL.createObjectURL(await getChallengeAsset(config.sitekey, current));
+            player.src = audioUrl;
+            submit.disabled = false;
+            player.focus();
+            player.play().catch(() => {
+                // Autoplay was blocked: the player's own controls still work
+            });
+        }
+
+        async function loadGrid() {
+            grid.innerHTML = '';
+            submit.disabled = true;
+            current = await getChallenge(config.sitekey, { challenge: 'image_grid', difficulty: config.difficulty, action: config.action });
+
+            prompt.textContent = current.data.prompt;
+            grid.style.gridTemplateColumns = `repeat(${current.data.columns}, 64px)`;
+            current.data.tiles.forEach((src, index) => {
+                const tile = document.createElement('button');
+                tile.type = 'button';
+                tile.className = 'da-challenge-tile';
+                tile.setAttribute('aria-pressed', 'false');
+                tile.setAttribute('aria-label', `Tile ${index + 1}`);
+                tile.dataset.index = index;
+                tile.innerHTML = `<img src="${src}" alt="">`;
+                tile.addEventListener('click', () => {
+                    const pressed = tile.getAttribute('aria-pressed') === 'true';
+                    tile.setAttribute('aria-pressed', String(!pressed));
+                });
+                grid.appendChild(tile);
+            });
+            submit.disabled = false;
+            grid.querySelector('.da-challenge-tile')?.focus();
+        }
+
+        return new Promise((resolve, reject) => {
+            widget.classList.add('challenging');
+            panel.setAttribute('aria-hidden', 'false');
+
+            const close = () => {
+                widget.classList.remove('challenging');
+                panel.setAttribute('aria-hidden', 'true');
+                releaseAudio();
+                submit.onclick = null;
+                refresh.onclick = null;
+                modeToggle.onclick = null;
+                answer.onkeydown = null;
+            };
+
+            submit.onclick = async () => {
+                const solution = mode === 'audio'
+                    ? answer.value
+                    : Array.from(grid.querySelectorAll('.da-challenge-tile[aria-pressed="true"]'))
+                        .map(tile => Number(tile.dataset.index));
+
+                submit.disabled = true;
+                error.textContent = '';
+
+                try {
+                    const response = await verifyChallenge(config.sitekey, current, solution, telemetry);
+
+                    if (response.success) {
+                        close();
+                        resolve(response);
+                    } else if (response.action === 'challenge') {
+                        error.textContent = 'Please try again.';
+                        await load();
+                    } else {
+                        close();
+                        reject(new Error(response.error || 'Verification failed'));
+                    }
+                } catch (err) {
+                    close();
+                    reject(err);
+                }
+            };
+
+            refresh.onclick = () => {
+                error.textContent = '';
+                load().catch(err => {
+                    close();
+                    reject(err);
+                });
+            };
+
+            // The headphone button switches between the image grid and audio
+            modeToggle.onclick = () => {
+                mode = mode === 'audio' ? 'image_grid' : 'audio';
+                const label = mode === 'audio' ? 'Switch to an image challenge' : 'Switch to an audio challenge';
+                modeToggle.setAttribute('aria-label', label);
+                modeToggle.title = label;
+                modeToggle.setAttribute('aria-pressed', String(mode === 'audio'));
+                grid.hidden = mode === 'audio';
+                audioBox.hidden = mode !== 'audio';
+                if (mode !== 'audio') releaseAudio();
+
+                error.textContent = '';
+                load().catch(err => {
+                    close();
+                    reject(err);
+                });
+            };
+
+            answer.onkeydown = (e) => {
+                if (e.key === 'Enter' && !submit.disabled) {
+                    e.preventDefault();
+                    submit.click();
+                }
+            };
+
+            load().catch(err => {
+                close();
+                reject(err);
+            });
+        });
+    }
+
+    // Interaction telemetry. Records how the checkbox was reached and
+    // activated; pointer samples are kept relative to the checkbox and
+    // nothing about the rest of the page is collected.
+    const TELEMETRY_MAX_POINTS = 32;
+    const TELEMETRY_WINDOW = 5000; // ms of pointer path kept before the click
+    const TELEMETRY_SAMPLE_INTERVAL = 16;
+
+    function createTelemetryRecorder(checkbox) {
+        let renderedAt = performance.now();
+        let points = [];
+        let counters = { focus: 0, blur: 0, touches: 0, keys: 0 };
+        let pending = null;
+
+        document.addEventListener('pointermove', (e) => {
+            const last = points[points.length - 1];
+            if (last && e.timeStamp - last.at < TELEMETRY_SAMPLE_INTERVAL) return;
+
+            points.push({ x: e.clientX, y: e.clientY, at: e.timeStamp });
+            if (points.length > TELEMETRY_MAX_POINTS) points.shift();
+        }, { passive: true });
+
+        window.addEventListener('focus', () => counters.focus++);
+        window.addEventListener('blur', () => counters.blur++);
+
+        checkbox.addEventListener('touchstart', () => counters.touches++, { passive: true });
+        checkbox.addEventListener('pointerdown', (e) => {
+            pending = { activation: e.pointerType || 'mouse', trusted: e.isTrusted };
+        });
+        checkbox.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                counters.keys++;
+                pending = { activation: 'keyboard', trusted: e.isTrusted };
+            }
+        });
+
+        return {
+            // Summarize the trace for the click that is being handled. A click
+            // with no pointer or key press before it was triggered by script.
+            snapshot(clickEvent) {
+                const now = clickEvent.timeStamp || performance.now();
+                const rect = checkbox.getBoundingClientRect();
+                const centerX = rect.left + rect.width / 2;
+                const centerY = rect.top + rect.height / 2;
+                const activation = pending || { activation: 'programmatic', trusted: clickEvent.isTrusted };
+                pending = null;
+
+                // Keyboard activation re-dispatches the click from script,
+                // so only the key press itself can be trusted
+                const trusted = activation.activation === 'keyboard'
+                    ? activation.trusted
+                    : activation.trusted && clickEvent.isTrusted;
+
+                return {
+                    elapsed: Math.round(now - renderedAt),
+                    activation: activation.activation,
+                    trusted,
+                    path: points
+                        .filter(point => now - point.at <= TELEMETRY_WINDOW)
+                        .map(point => [
+                            Math.round(point.x - centerX),
+                            Math.round(point.y - centerY),
+                            Math.round(now - point.at)
+                        ]),
+                    focus: counters.focus,
+                    blur: counters.blur,
+                    touches: counters.touches,
+                    keys: counters.keys
+                };
+            },
+
+            restart() {
+                renderedAt = performance.now();
+                points = [];
+                counters = { focus: 0, blur: 0, touches: 0, keys: 0 };
+                pending = null;
+            }
+        };
+    }
+
+    // Page-level telemetry for execute(), where there is no checkbox. The
+    // path is reported relative to where the pointer was when execute() was
+    // called, and the call counts as trusted when a real click or key press
+    // happened shortly before it (as when a form is submitted).
+    function createPageTelemetryRecorder() {
+        const startedAt = performance.now();
+        const points = [];
+        const counters = { focus: 0, blur: 0, touches: 0, keys: 0 };
+        let lastGesture = null;
+
+        document.addEventListener('pointermove', (e) => {
+            const last = points[points.length - 1];
+            if (last && e.timeStamp - last.at < TELEMETRY_SAMPLE_INTERVAL) return;
+
+            points.push({ x: e.clientX, y: e.clientY, at: e.timeStamp });
+            if (points.length > TELEMETRY_MAX_POINTS) points.shift();
+        }, { passive: true });
+
+        window.addEventListener('focus', () => counters.focus++);
+        window.addEventListener('blur', () => counters.blur++);
+
+        document.addEventListener('touchstart', () => counters.touches++, { capture: true, passive: true });
+        document.addEventListener('pointerdown', (e) => {
+            if (e.isTrusted) lastGesture = e.timeStamp;
+        }, true);
+        document.addEventListener('keydown', (e) => {
+            counters.keys++;
+            if (e.isTrusted) lastGesture = e.timeStamp;
+        }, true);
+
+        return {
+            snapshot() {
+                const now = performance.now();
+                const recent = points.filter(point => now - point.at <= TELEMETRY_WINDOW);
+                const origin = recent[recent.length - 1] || { x: 0, y: 0 };
+
+                return {
+                    elapsed: Math.round(now - startedAt),
+                    activation: 'invisible',
+                    trusted: lastGesture !== null && now - lastGesture <= TELEMETRY_WINDOW,
+                    path: recent.map(point => [
+                        Math.round(point.x - origin.x),
+                        Math.round(point.y - origin.y),
+                        Math.round(now - point.at)
+                    ]),
+                    focus: counters.focus,
+                    blur: counters.blur,
+                    touches: counters.touches,
+                    keys: counters.keys
+                };
+            }
+        };
+    }
+
     // API calls
-    async function getChallenge(siteKey) {
+    async function getChallenge(siteKey, config = {}) {
         const response = await fetch(`${API_BASE_URL}/api/v1/challenge`, {
             method: 'POST',
             headers: {
@@ -196,8 +684,9 @@
                 'X-API-Key': siteKey
             },
             body: JSON.stringify({
-                type: 'checkbox',
-                difficulty: 'medium'
+                type: config.challenge || 'pow',
+                difficulty: config.difficulty || 'medium',
+                action: config.action || undefined
             })
         });
 
@@ -213,7 +702,22 @@
         return data.challenge;
     }
 
-    async function verifyChallenge(siteKey, challenge) {
+    // Media for a challenge, such as the audio challenge's recording
+    async function getChallengeAsset(siteKey, challenge) {
+        const response = await fetch(`${API_BASE_URL}/api/v1/challenge-asset?token=${encodeURIComponent(challenge.token)}`, {
+            headers: {
+                'X-API-Key': siteKey
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Challenge asset request failed: ${response.statusText}`);
+        }
+
+        return await response.blob();
+    }
+
+    async function verifyChallenge(siteKey, challenge, solution, telemetry) {
         const response = await fetch(`${API_BASE_URL}/api/v1/verify`, {
             method: 'POST',
             headers: {
@@ -222,9 +726,9 @@
             },
             body: JSON.stringify({
                 token: challenge.token,
-                response: 'user_interaction',
-                userAgent: navigator.userAgent,
-                timestamp: Date.now()
+                response: solution,
+                timestamp: Date.now(),
+                telemetry: telemetry || null
             })
         });
 
@@ -242,6 +746,12 @@
         widget.setAttribute('data-widget-id', widgetId);
         widget.setAttribute('data-sitekey', config.sitekey);
         
+        // Invisible widgets only hold the response; execute() verifies them
+        if (config.size === 'invisible') {
+            widget.hidden = true;
+            return widget;
+        }
+        
         widget.innerHTML = `
             <div class="da-recaptcha-container">
                 <div class="da-checkbox" role="checkbox" aria-checked="false" tabindex="${config.tabindex || 0}">
@@ -260,6 +770,28 @@
                     <div class="da-logo-subtext">reCAPTCHA</div>
                 </div>
             </div>
+            <div class="da-challenge-panel" role="dialog" aria-label="Verification challenge" aria-hidden="true">
+                <div class="da-challenge-body">
+                    <div class="da-challenge-prompt" id="${widgetId}-prompt" aria-live="polite"></div>
+                    <div class="da-challenge-grid" role="group" aria-labelledby="${widgetId}-prompt"></div>
+                    <div class="da-challenge-audio" hidden>
+                        <audio controls preload="auto" aria-label="Audio challenge: spoken digits"></audio>
+                        <label for="${widgetId}-audio-answer">Digits you heard</label>
+                        <input type="text" id="${widgetId}-audio-answer" inputmode="numeric" autocomplete="off" aria-describedby="${widgetId}-prompt">
+                    </div>
+                    <div class="da-challenge-footer">
+                        <span class="da-challenge-error" role="alert"></span>
+                        <button type="button" class="da-challenge-mode" aria-label="Switch to an audio challenge" aria-pressed="false" title="Switch to an audio challenge">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true" focusable="false">
+                                <path d="M3 18v-6a9 9 0 0 1 18 0v6"/>
+                                <path d="M21 19a2 2 0 0 1-2 2h-1v-6h3zM3 19a2 2 0 0 0 2 2h1v-6H3z"/>
+                            </svg>
+                        </button>
+                        <button type="button" class="da-challenge-refresh" aria-label="Get a new challenge">&#8635;</button>
+                        <button type="button" class="da-challenge-submit">Verify</button>
+                    </div>
+                </div>
+            </div>
         `;
 
         return widget;
@@ -273,11 +805,18 @@
         const checkbox = widget.querySelector('.da-checkbox');
         if (!checkbox) return;
 
-        checkbox.addEventListener('click', async () => {
-            if (checkbox.classList.contains('checked') || checkbox.classList.contains('loading')) {
+        // Registered first so it sees pointer and key presses before the handlers below
+        const recorder = createTelemetryRecorder(checkbox);
+        recorders.set(widgetId, recorder);
+
+        checkbox.addEventListener('click', async (e) => {
+            if (checkbox.classList.contains('checked') || checkbox.classList.contains('loading') ||
+                widget.classList.contains('challenging')) {
                 return;
             }
 
+            const telemetry = recorder.snapshot(e);
+
             try {
                 checkbox.classList.add('loading');
                 checkbox.setAttribute('aria-checked', 'false');
@@ -285,11 +824,18 @@
                 const text = widget.querySelector('.da-text');
                 if (text) text.textContent = 'Verifying...';
 
-                // Simulate verification delay
-                await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 1500));
+                // The spinner keeps turning while the proof-of-work is solved
+                const challenge = await getChallenge(config.sitekey, config);
+                const solution = await solveChallenge(challenge);
+                let response = await verifyChallenge(config.sitekey, challenge, solution, telemetry);
 
-                const challenge = await getChallenge(config.sitekey);
-                const response = await verifyChallenge(config.sitekey, challenge);
+                // The risk score asked for more proof: show the image grid
+                if (!response.success && response.action === 'challenge') {
+                    checkbox.classList.remove('loading');
+                    if (text) text.textContent = 'Complete the challenge';
+
+                    response = await solveInteractiveChallenge(widget, config, telemetry);
+                }
 
                 if (response.success && response.token) {
                     checkbox.classList.remove('loading');
@@ -310,6 +856,9 @@
                     if (config.callback) {
                         config.callback(response.token);
                     }
+
+                    // Response tokens are single-use and short-lived
+                    scheduleExpiry(widgetId, response.expires_in, config);
                 } else {
                     throw new Error(response.error || 'Verification failed');
                 }
@@ -341,6 +890,75 @@
         });
     }
 
+    // Score-only verification for execute(): no puzzle and no UI. A score
+    // that needs an interactive challenge rejects with code
+    // 'challenge-required' so the page can fall back to a visible widget.
+    async function executeInvisible(siteKey, action, widgetId) {
+        const config = (widgetId && widgets.get(widgetId)) || {};
+
+        try {
+            const challenge = await getChallenge(siteKey, { challenge: 'invisible', action });
+            const telemetry = pageRecorder ? pageRecorder.snapshot() : null;
+            const response = await verifyChallenge(siteKey, challenge, null, telemetry);
+
+            if (!response.success || !response.token) {
+                const error = new Error(response.action === 'challenge'
+                    ? 'An interactive challenge is required'
+                    : response.error || 'Verification failed');
+                error.code = response.action === 'challenge' ? 'challenge-required' : 'verification-failed';
+                error.score = response.score;
+                throw error;
+            }
+
+            if (widgetId) {
+                const widget = document.querySelector(`[data-widget-id="${widgetId}"]`);
+                if (widget) widget.setAttribute('data-response', response.token);
+
+                widgets.set(widgetId, {
+                    ...widgets.get(widgetId),
+                    token: response.token,
+                    verified: true
+                });
+
+                if (config.callback) {
+                    config.callback(response.token);
+                }
+
+                scheduleExpiry(widgetId, response.expires_in, config);
+            }
+
+            return response.token;
+        } catch (error) {
+            if (config['error-callback']) {
+                config['error-callback'](error);
+            }
+            throw error;
+        }
+    }
+
+    // Expire a verified widget once its response token can no longer be redeemed
+    function scheduleExpiry(widgetId, expiresIn, config) {
+        if (!expiresIn) return;
+
+        const widgetData = widgets.get(widgetId);
+        if (widgetData && widgetData.expiryTimer) {
+            clearTimeout(widgetData.expiryTimer);
+        }
+
+        const timer = setTimeout(() => {
+            DefendAMinecraft.reset(widgetId);
+
+            if (config['expired-callback']) {
+                config['expired-callback']();
+            }
+        }, expiresIn * 1000);
+
+        widgets.set(widgetId, {
+            ...widgets.get(widgetId),
+            expiryTimer: timer
+        });
+    }
+
     // Main DefendAMinecraft object
     window.DefendAMinecraft = {
         render: function(container, config) {
@@ -395,7 +1013,7 @@
             if (!widget) return;
 
             widget.removeAttribute('data-response');
-            widget.classList.remove('verified', 'expired', 'error');
+            widget.classList.remove('verified', 'expired', 'error', 'challenging');
             
             const checkbox = widget.querySelector('.da-checkbox');
             const text = widget.querySelector('.da-text');
@@ -406,9 +1024,13 @@
                 text.textContent = "I'm not a robot";
             }
 
+            const recorder = recorders.get(widgetId);
+            if (recorder) recorder.restart();
+
             // Update widget data
             const widgetData = widgets.get(widgetId);
             if (widgetData) {
+                clearTimeout(widgetData.expiryTimer);
                 widgets.set(widgetId, {
                     ...widgetData,
                     token: null,
@@ -417,6 +1039,40 @@
             }
         },
 
+        // Verify without any UI and resolve with a response token, e.g.
+        // execute({ action: 'login' }) or execute(widgetId, { action: 'vote' }).
+        // The site key comes from the options, the given (or first invisible)
+        // widget, or the first element with a data-sitekey attribute.
+        execute: function(widgetId, options) {
+            if (widgetId && typeof widgetId === 'object') {
+                options = widgetId;
+                widgetId = null;
+            }
+            options = options || {};
+
+            if (!widgetId) {
+                for (const [id, data] of widgets) {
+                    if (data.size === 'invisible') {
+                        widgetId = id;
+                        break;
+                    }
+                }
+            }
+
+            const widgetData = widgetId ? widgets.get(widgetId) : null;
+            const element = document.querySelector('[data-sitekey]');
+            const siteKey = options.sitekey ||
+                (widgetData && widgetData.sitekey) ||
+                (element && element.getAttribute('data-sitekey'));
+
+            if (!siteKey) {
+                return Promise.reject(new Error('sitekey is required'));
+            }
+
+            const action = options.action || (widgetData && widgetData.action);
+            return executeInvisible(siteKey, action, widgetData ? widgetId : null);
+        },
+
         ready: function(callback) {
             if (isReady) {
                 callback();
@@ -429,6 +1085,7 @@
     // Initialize when DOM is ready
     function init() {
         loadStyles();
+        pageRecorder = createPageTelemetryRecorder();
         isReady = true;
         
         // Execute ready callbacks
@@ -448,7 +1105,10 @@
                     sitekey: element.getAttribute('data-sitekey'),
                     theme: element.getAttribute('data-theme') || 'dark',
                     size: element.getAttribute('data-size') || 'normal',
-                    tabindex: parseInt(element.getAttribute('data-tabindex')) || 0
+                    tabindex: parseInt(element.getAttribute('data-tabindex')) || 0,
+                    challenge: element.getAttribute('data-challenge') || 'pow',
+                    difficulty: element.getAttribute('data-difficulty') || 'medium',
+                    action: element.getAttribute('data-action') || undefined
                 };
 
                 // Get callback functions from global scope
@@ -1,45 +1,93 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-// For now, we'll create a mock DatabaseService until Supabase is properly configured
-const DatabaseService = {
-    validateApiKey: async (key) => {
-        // Mock validation - in production this would check Supabase
-        if (key === 'da_live_demo123456789abcdef' || key.startsWith('da_live_')) {
-            return {
-                id: 'demo-key-id',
-                user_id: 'demo-user-id',
-                usage_count: 0,
-                last_used_at: null
-            };
-        }
-        return null;
-    },
-    updateApiKey: async (id, updates) => {
-        // Mock update
-        return { success: true };
-    },
-    logVerification: async (logData) => {
-        // Mock logging
-        console.log('Verification logged:', logData);
-        return { success: true };
-    },
-    getUserAnalytics: async (userId, days) => {
-        // Mock analytics data
-        return Array.from({ length: 10 }, (_, i) => ({
-            created_at: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString(),
-            result: Math.random() > 0.1 ? 'success' : 'blocked',
-            verification_time: 200 + Math.random() * 300,
-            country_code: ['US', 'CA', 'GB', 'DE', 'FR'][Math.floor(Math.random() * 5)],
-            city: 'Demo City'
-        }));
-    }
-};
-const crypto = require('crypto');
+const { getStorage } = require('../lib/storage');
 const geoip = require('geoip-lite');
 const useragent = require('useragent');
+const { TOKEN_ERRORS, TokenError, issueToken, verifyToken } = require('../lib/challenge-token');
+const { createTokenStore } = require('../lib/token-store');
+const { ChallengeTypeError, createChallenge, checkSolution, createAsset, isInteractive } = require('../lib/challenges');
+const { resolveMinBits } = require('../lib/challenges/pow');
+const { parseTelemetry, extractFeatures } = require('../lib/telemetry');
+const { ScoringEngine, resolveThresholds } = require('../lib/scoring');
+const { VelocityTracker } = require('../lib/velocity');
+const { normalizeIp } = require('../lib/ip');
+const { requestHostname, isHostnameAllowed } = require('../lib/hostnames');
+const { createRateLimitStore } = require('../lib/rate-limit-store');
+const { MAX_RULES_PER_KEY, parseIpRule, matchIpRule } = require('../lib/ip-rules');
+const { resolveCountryPolicy, matchCountryRule, countryOf } = require('../lib/country-policy');
+const { isValidAction } = require('../lib/actions');
+const { parsePeriod } = require('../lib/verification-stats');
+const { getVerificationStats } = require('../lib/analytics-rollups');
+const {
+    PLAYER_ACTION,
+    generateSessionId,
+    generateCode,
+    normalizePlayerUuid,
+    parseSessionRequest,
+    checkCallbackHost,
+    sessionStatus,
+    describeSession,
+    deliverCallback
+} = require('../lib/player-sessions');
+const {
+    PLAYER_STATUSES,
+    playerExpiry,
+    playerStatus,
+    describePlayer,
+    describeUnknownPlayer,
+    parseUuidList,
+    parseSearch,
+    toCsv
+} = require('../lib/player-registry');
+const {
+    RconError,
+    sendRconCommands,
+    checkRconHost,
+    parseRconConfig,
+    renderCommands,
+    describeIntegration,
+    describeDelivery,
+    deliverCommands
+} = require('../lib/rcon');
+const { encryptSecret, decryptSecret } = require('../lib/secret-box');
+const {
+    parseDeviceSignals,
+    fingerprintPlayer,
+    fingerprintHashes,
+    linkAccounts,
+    isAltSuspect,
+    resolveAltWindowDays
+} = require('../lib/alt-detection');
+const {
+    GATE_ACTION,
+    MAX_LINKS_PER_KEY,
+    DEFAULT_ANALYTICS_DAYS,
+    generateSlug,
+    isValidSlug,
+    parseGateLinkRequest,
+    gateLinkStatus,
+    describeGateLink,
+    summarizeGateEvents
+} = require('../lib/gate-links');
 
 const router = express.Router();
 
+// Challenge tokens are valid for 5 minutes, response tokens for 2 minutes
+const CHALLENGE_TTL = 300;
+const RESPONSE_TTL = 120;
+
+// Users, keys, logs and everything else the API reads and writes
+const storage = getStorage();
+
+// Remembers redeemed challenge and response tokens
+const tokenStore = createTokenStore();
+
+// Risk scoring with the default detectors, and the request counts it uses.
+// Addresses a key allows are still scored, but not on the address itself.
+const scoringEngine = new ScoringEngine();
+const allowlistedEngine = new ScoringEngine().remove('ip_reputation').remove('geo');
+const velocityTracker = new VelocityTracker();
+
 // Rate limiting for API endpoints
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -50,22 +98,73 @@ const apiLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    store: createRateLimitStore('ip:')
 });
 
-// Verification rate limiting (more strict)
-const verifyLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 100, // limit each IP to 100 verifications per minute
-    message: {
-        error: 'Rate limit exceeded',
-        message: 'Too many verification attempts. Please slow down.'
-    }
-});
+// Per-key limits in requests per minute, from api_keys.rate_limit (whole key)
+// and api_keys.ip_rate_limit (one client IP on the key)
+const DEFAULT_RATE_LIMIT = 1000;
+const DEFAULT_IP_RATE_LIMIT = 60;
+
+function positiveLimit(value, fallback) {
+    const limit = parseInt(value);
+    return Number.isInteger(limit) && limit > 0 ? limit : fallback;
+}
+
+// Record the first rejected request of each window and answer with 429
+function rateLimitExceeded(scope) {
+    return async (req, res, next, options) => {
+        if (req.rateLimit.current === req.rateLimit.limit + 1) {
+            try {
+                await storage.logSecurityEvent(req.apiKey.user_id, {
+                    api_key_id: req.apiKey.id,
+                    event_type: 'rate_limit_exceeded',
+                    description: scope === 'key'
+                        ? `API key exceeded its limit of ${req.rateLimit.limit} requests per minute`
+                        : `${req.ip} exceeded the per-IP limit of ${req.rateLimit.limit} requests per minute`,
+                    ip_address: req.ip,
+                    user_agent: req.headers['user-agent'],
+                    metadata: { scope, limit: req.rateLimit.limit, path: req.path },
+                    severity: 'warning'
+                });
+            } catch (error) {
+                console.error('Security event logging error:', error);
+            }
+        }
+
+        res.status(options.statusCode).json({
+            success: false,
+            error: 'Rate limit exceeded',
+            'error-codes': ['rate-limit-exceeded'],
+            message: 'Too many requests for this site key. Please slow down.'
+        });
+    };
+}
+
+function keyRateLimiter(scope, keyGenerator, max) {
+    return rateLimit({
+        windowMs: 60 * 1000, // 1 minute
+        max,
+        keyGenerator,
+        handler: rateLimitExceeded(scope),
+        standardHeaders: true,
+        legacyHeaders: false,
+        store: createRateLimitStore(`${scope}:`)
+    });
+}
+
+// Limit every site key, and every client IP on a site key
+const keyLimiter = keyRateLimiter('key',
+    req => req.apiKey.id,
+    req => positiveLimit(req.apiKey.rate_limit, DEFAULT_RATE_LIMIT));
+const keyIpLimiter = keyRateLimiter('key-ip',
+    req => `${req.apiKey.id}:${req.ip}`,
+    req => positiveLimit(req.apiKey.ip_rate_limit, DEFAULT_IP_RATE_LIMIT));
 
 // Apply rate limiting to all API routes
 router.use(apiLimiter);
 
-// Middleware to validate API key
+// Middleware to validate the public site key (challenge and verify requests)
 async function validateApiKey(req, res, next) {
     const apiKey = req.headers['x-api-key'] || req.body.apiKey || req.query.apiKey;
     
@@ -73,12 +172,99 @@ async function validateApiKey(req, res, next) {
         return res.status(401).json({
             success: false,
             error: 'API key required',
-            message: 'Please provide a valid API key in the X-API-Key header'
+            message: 'Please provide a valid site key in the X-API-Key header'
+        });
+    }
+
+    if (apiKey.startsWith('da_secret_')) {
+        return res.status(403).json({
+            success: false,
+            error: 'Wrong key type',
+            message: 'Secret keys must never be sent from the browser. Use your site key instead.'
+        });
+    }
+
+    await authenticateKey(req, res, next, () => storage.validateApiKey(apiKey));
+}
+
+// Middleware to validate the private secret key (server-to-server requests)
+async function validateSecretKey(req, res, next) {
+    const secretKey = req.headers['x-secret-key'] || req.body.secret;
+
+    if (!secretKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'Secret key required',
+            message: 'Please provide your secret key in the X-Secret-Key header'
+        });
+    }
+
+    if (!secretKey.startsWith('da_secret_')) {
+        return res.status(403).json({
+            success: false,
+            error: 'Wrong key type',
+            message: 'This endpoint requires a secret key, not a site key'
+        });
+    }
+
+    await authenticateKey(req, res, next, () => storage.validateSecretKey(secretKey));
+}
+
+// Player verification and gate link pages are served by this app itself,
+// so requests they send to their own host are accepted whatever the key's
+// domains
+const HOSTED_PAGE_PATHS = ['/v/', '/g/'];
+
+function fromHostedPage(req, hostname) {
+    if (!hostname || hostname !== req.hostname) return false;
+
+    try {
+        const { pathname } = new URL(req.headers.referer);
+        return HOSTED_PAGE_PATHS.some(prefix => pathname.startsWith(prefix));
+    } catch (e) {
+        return false;
+    }
+}
+
+// Only accept site key requests from pages on the key's allowed domains
+async function checkHostname(req, res, next) {
+    const hostname = requestHostname(req);
+
+    if (isHostnameAllowed(req.apiKey, hostname) || fromHostedPage(req, hostname)) {
+        req.siteHostname = hostname;
+        return next();
+    }
+
+    try {
+        await storage.logSecurityEvent(req.apiKey.user_id, {
+            api_key_id: req.apiKey.id,
+            event_type: 'hostname_not_allowed',
+            description: hostname
+                ? `Request from ${hostname}, which is not an allowed domain for this key`
+                : 'Request without an Origin or Referer header',
+            ip_address: req.ip,
+            user_agent: req.headers['user-agent'],
+            metadata: { hostname, path: req.path },
+            severity: 'warning'
         });
+    } catch (error) {
+        console.error('Security event logging error:', error);
     }
 
+    res.status(403).json({
+        success: false,
+        error: 'Hostname not allowed',
+        'error-codes': ['hostname-not-allowed'],
+        message: hostname
+            ? `This site key is not allowed on ${hostname}`
+            : 'Requests with a site key must come from a web page (Origin or Referer header)'
+    });
+}
+
+// Look up a key, record its usage and attach it to the request
+async function authenticateKey(req, res, next, lookupKey) {
     try {
-        const keyData = await DatabaseService.validateApiKey(apiKey);
+        const keyData = await lookupKey();
         
         if (!keyData) {
             return res.status(401).json({
@@ -89,7 +275,7 @@ async function validateApiKey(req, res, next) {
         }
 
         // Update last used timestamp
-        await DatabaseService.updateApiKey(keyData.id, {
+        await storage.updateApiKey(keyData.id, {
             last_used_at: new Date().toISOString(),
             usage_count: keyData.usage_count + 1
         });
@@ -107,24 +293,54 @@ async function validateApiKey(req, res, next) {
 }
 
 // Generate challenge endpoint
-router.post('/v1/challenge', validateApiKey, async (req, res) => {
+router.post('/v1/challenge', validateApiKey, checkHostname, keyLimiter, keyIpLimiter, async (req, res) => {
     try {
-        const challenge = {
-            id: crypto.randomUUID(),
-            timestamp: Date.now(),
-            difficulty: req.body.difficulty || 'medium',
-            type: req.body.type || 'checkbox'
-        };
+        const type = req.body.type || 'checkbox';
+        const difficulty = req.body.difficulty || 'medium';
+        const action = req.body.action || null;
+
+        if (action !== null && !isValidAction(action)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid action',
+                'error-codes': ['invalid-action'],
+                message: 'Action names may only contain letters, digits, _ and /, up to 64 characters'
+            });
+        }
+
+        let puzzle;
+        try {
+            puzzle = createChallenge(type, { difficulty, minBits: resolveMinBits(req.apiKey) });
+        } catch (error) {
+            if (error instanceof ChallengeTypeError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid challenge',
+                    'error-codes': ['invalid-challenge-type'],
+                    message: error.message
+                });
+            }
+            throw error;
+        }
 
-        // Create challenge token
-        const token = Buffer.from(JSON.stringify(challenge)).toString('base64url');
+        // Create a signed challenge token bound to the requesting API key
+        const { token, claims } = issueToken({
+            typ: 'challenge',
+            key: req.apiKey.id,
+            difficulty,
+            type,
+            action,
+            ...puzzle.claims
+        }, CHALLENGE_TTL);
 
         res.json({
             success: true,
             challenge: {
                 token,
-                type: challenge.type,
-                expires_in: 300 // 5 minutes
+                type: claims.type,
+                action: claims.action,
+                data: puzzle.data,
+                expires_in: CHALLENGE_TTL
             }
         });
     } catch (error) {
@@ -136,12 +352,52 @@ router.post('/v1/challenge', validateApiKey, async (req, res) => {
     }
 });
 
+// Media for a challenge, such as the recording of an audio challenge.
+// Fetching it does not use up the challenge token.
+router.get('/v1/challenge-asset', validateApiKey, checkHostname, keyLimiter, keyIpLimiter, async (req, res) => {
+    try {
+        let challenge;
+        try {
+            challenge = verifyToken(req.query.token, { keyId: req.apiKey.id, typ: 'challenge' });
+        } catch (error) {
+            if (error instanceof TokenError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid token',
+                    'error-codes': [error.code],
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        const asset = createAsset(challenge);
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                error: 'No challenge asset',
+                'error-codes': ['no-challenge-asset'],
+                message: `Challenges of type ${challenge.type} have no media`
+            });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.type(asset.contentType).send(asset.body);
+    } catch (error) {
+        console.error('Challenge asset error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load challenge asset'
+        });
+    }
+});
+
 // Verify challenge endpoint
-router.post('/v1/verify', verifyLimiter, validateApiKey, async (req, res) => {
+router.post('/v1/verify', validateApiKey, checkHostname, keyLimiter, keyIpLimiter, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const { token, response, userAgent, ipAddress } = req.body;
+        const { token, response, telemetry } = req.body;
         
         if (!token) {
             return res.status(400).json({
@@ -151,24 +407,53 @@ router.post('/v1/verify', verifyLimiter, validateApiKey, async (req, res) => {
             });
         }
 
-        // Decode and validate challenge
+        // Check signature, key binding and expiry
         let challenge;
         try {
-            challenge = JSON.parse(Buffer.from(token, 'base64url').toString());
-        } catch (e) {
+            challenge = verifyToken(token, { keyId: req.apiKey.id, typ: 'challenge' });
+        } catch (error) {
+            if (error instanceof TokenError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid token',
+                    'error-codes': [error.code],
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        // The action named when the challenge was issued is the one that
+        // counts. One sent with the answer must match it, and challenges
+        // issued without one cannot pick one up afterwards.
+        const bodyAction = req.body.action || null;
+        if (bodyAction !== null && !isValidAction(bodyAction)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid token',
-                message: 'Challenge token is malformed'
+                error: 'Invalid action',
+                'error-codes': ['invalid-action'],
+                message: 'Action names may only contain letters, digits, _ and /, up to 64 characters'
+            });
+        }
+        if (bodyAction !== null && bodyAction !== challenge.action) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid action',
+                'error-codes': ['action-mismatch'],
+                message: challenge.action
+                    ? `Challenge was issued for action "${challenge.action}"`
+                    : 'Challenge was issued without an action; name it when requesting the challenge'
             });
         }
+        const action = challenge.action || null;
 
-        // Check if challenge has expired
-        if (Date.now() - challenge.timestamp > 300000) { // 5 minutes
+        // Each challenge can only be answered once
+        if (!await tokenStore.consume(challenge.jti, challenge.exp)) {
             return res.status(400).json({
                 success: false,
-                error: 'Token expired',
-                message: 'Challenge token has expired'
+                error: 'Invalid token',
+                'error-codes': [TOKEN_ERRORS.USED],
+                message: 'Challenge token has already been used'
             });
         }
 
@@ -176,38 +461,77 @@ router.post('/v1/verify', verifyLimiter, validateApiKey, async (req, res) => {
         const verificationResult = await performVerification({
             challenge,
             response,
-            userAgent: userAgent || req.headers['user-agent'],
-            ipAddress: ipAddress || req.ip,
-            apiKey: req.apiKey
+            action,
+            // Neither is taken from the body, or a client could pick the
+            // browser and address it is scored on
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip,
+            telemetry: parseTelemetry(telemetry),
+            apiKey: req.apiKey,
+            ipRules: await storage.getIpRules(req.apiKey.id)
         });
 
         const verificationTime = Date.now() - startTime;
 
         // Log verification attempt
-        const clientIp = ipAddress || req.ip;
+        const clientIp = req.ip;
         const geo = geoip.lookup(clientIp);
         
-        await DatabaseService.logVerification({
+        await storage.logVerification({
             api_key_id: req.apiKey.id,
             ip_address: clientIp,
-            user_agent: userAgent || req.headers['user-agent'],
-            result: verificationResult.success ? 'success' : 'failed',
+            user_agent: req.headers['user-agent'],
+            result: verificationResult.success ? 'success' : verificationResult.action === 'block' ? 'blocked' : 'failed',
             verification_time: verificationTime,
             challenge_type: challenge.type,
+            action,
             country_code: geo?.country || null,
             city: geo?.city || null,
             is_bot: verificationResult.isBot,
-            confidence_score: verificationResult.confidence
+            confidence_score: verificationResult.confidence,
+            reasons: verificationResult.reasons,
+            country_rule: verificationResult.countryRule
+                ? `${verificationResult.countryRule.action}:${verificationResult.countryRule.country}`
+                : null
         });
 
-        res.json({
+        const result = {
             success: verificationResult.success,
             score: verificationResult.confidence,
             action: verificationResult.action,
+            page_action: action,
             challenge_ts: new Date().toISOString(),
-            hostname: req.hostname,
-            verification_time: verificationTime
-        });
+            hostname: req.siteHostname || req.hostname,
+            verification_time: verificationTime,
+            reasons: verificationResult.reasons.map(({ code, contribution }) => ({ code, contribution }))
+        };
+
+        if (verificationResult.error) {
+            result['error-codes'] = [verificationResult.error];
+        }
+
+        // Mint a single-use response token the site's backend can redeem.
+        // Like reCAPTCHA v3, its `action` is the page's action name.
+        if (verificationResult.success) {
+            const { token: responseToken } = issueToken({
+                typ: 'response',
+                key: req.apiKey.id,
+                score: result.score,
+                action,
+                verdict: result.action,
+                challenge_ts: result.challenge_ts,
+                hostname: result.hostname,
+                // What was solved, so the backend can tell a proof of work
+                // from a checkbox
+                challenge_type: challenge.type,
+                ...(challenge.pow && { pow_bits: challenge.pow.bits })
+            }, RESPONSE_TTL);
+
+            result.token = responseToken;
+            result.expires_in = RESPONSE_TTL;
+        }
+
+        res.json(result);
 
     } catch (error) {
         console.error('Verification error:', error);
@@ -219,16 +543,100 @@ router.post('/v1/verify', verifyLimiter, validateApiKey, async (req, res) => {
     }
 });
 
+// Redeem a response token (single use)
+router.post('/v1/redeem', validateSecretKey, async (req, res) => {
+    try {
+        const result = await redeemResponseToken(req.apiKey, req.body.response);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid response',
+                'error-codes': result.errorCodes,
+                message: result.message
+            });
+        }
+
+        const { claims } = result;
+        res.json({
+            success: true,
+            score: claims.score,
+            action: claims.action,
+            challenge_ts: claims.challenge_ts,
+            hostname: claims.hostname,
+            challenge_type: claims.challenge_type,
+            pow_bits: claims.pow_bits
+        });
+    } catch (error) {
+        console.error('Redeem error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Redeem failed',
+            message: 'Internal server error while redeeming token'
+        });
+    }
+});
+
+// Google reCAPTCHA compatible verification (form-encoded secret, response, remoteip)
+router.post('/v1/siteverify', async (req, res) => {
+    const { secret, response } = req.body;
+
+    if (!secret || !response) {
+        return res.json({
+            success: false,
+            'error-codes': [
+                ...(!secret ? ['missing-input-secret'] : []),
+                ...(!response ? ['missing-input-response'] : [])
+            ]
+        });
+    }
+
+    try {
+        const keyData = secret.startsWith('da_secret_')
+            ? await storage.validateSecretKey(secret)
+            : null;
+
+        if (!keyData) {
+            return res.json({
+                success: false,
+                'error-codes': ['invalid-input-secret']
+            });
+        }
+
+        const result = await redeemResponseToken(keyData, response);
+
+        if (!result.success) {
+            return res.json({
+                success: false,
+                'error-codes': result.errorCodes
+            });
+        }
+
+        const { claims } = result;
+        res.json({
+            success: true,
+            challenge_ts: claims.challenge_ts,
+            hostname: claims.hostname,
+            score: claims.score,
+            action: claims.action,
+            challenge_type: claims.challenge_type,
+            pow_bits: claims.pow_bits
+        });
+    } catch (error) {
+        console.error('Siteverify error:', error);
+        res.status(500).json({
+            success: false,
+            'error-codes': ['internal-error']
+        });
+    }
+});
+
 // Get API key statistics
-router.get('/v1/stats', validateApiKey, async (req, res) => {
+router.get('/v1/stats', validateSecretKey, async (req, res) => {
     try {
-        const { period = '30d' } = req.query;
-        const days = parseInt(period.replace('d', '')) || 30;
+        const days = parsePeriod(req.query.period);
         
-        const analytics = await DatabaseService.getUserAnalytics(req.apiKey.user_id, days);
-        
-        // Process analytics data
-        const stats = processAnalytics(analytics);
+        const stats = await getVerificationStats(storage, 'api_key', req.apiKey.id, days);
         
         res.json({
             success: true,
@@ -240,7 +648,16 @@ router.get('/v1/stats', validateApiKey, async (req, res) => {
                 success_rate: stats.successRate,
                 average_response_time: stats.averageResponseTime,
                 top_countries: stats.topCountries,
-                daily_breakdown: stats.dailyBreakdown
+                daily_breakdown: stats.dailyBreakdown,
+                // Requests each of this key's country policy rules applied to
+                country_rules: Object.entries(stats.countryRules)
+                    .map(([rule, count]) => {
+                        const [action, country] = rule.split(':');
+                        return { country, action, count };
+                    })
+                    .sort((a, b) => b.count - a.count),
+                // Verifications and average score for each named action
+                actions: stats.actions
             }
         });
     } catch (error) {
@@ -252,144 +669,1169 @@ router.get('/v1/stats', validateApiKey, async (req, res) => {
     }
 });
 
-// Health check endpoint
-router.get('/v1/health', (req, res) => {
-    res.json({
-        success: true,
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
+// Recent verifications with the reasons behind each score
+router.get('/v1/verifications', validateSecretKey, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const logs = await storage.getRecentVerifications(req.apiKey.id, limit);
+
+        res.json({
+            success: true,
+            data: logs.map(log => ({
+                id: log.id,
+                created_at: log.created_at,
+                result: log.result,
+                score: log.confidence_score,
+                challenge_type: log.challenge_type,
+                action: log.action || null,
+                country_code: log.country_code,
+                is_bot: log.is_bot,
+                reasons: log.reasons || []
+            }))
+        });
+    } catch (error) {
+        console.error('Verifications error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch verifications'
+        });
+    }
 });
 
-// API documentation endpoint
-router.get('/v1/docs', (req, res) => {
-    res.json({
-        name: 'DefendAMinecraft reCAPTCHA API',
-        version: '1.0.0',
-        description: 'Advanced reCAPTCHA verification service',
-        endpoints: {
-            'POST /api/v1/challenge': 'Generate a new verification challenge',
-            'POST /api/v1/verify': 'Verify a challenge response',
-            'GET /api/v1/stats': 'Get API usage statistics',
-            'GET /api/v1/health': 'API health check'
-        },
-        authentication: 'API Key required in X-API-Key header',
-        rate_limits: {
-            general: '1000 requests per 15 minutes',
-            verification: '100 requests per minute'
-        }
-    });
+// Security events (such as rejected hostnames) for a key
+router.get('/v1/security-events', validateSecretKey, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const [events, counts] = await Promise.all([
+            storage.getSecurityEvents(req.apiKey.id, limit),
+            storage.countSecurityEvents(req.apiKey.id)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                counts,
+                events: events.map(event => ({
+                    id: event.id,
+                    created_at: event.created_at,
+                    event_type: event.event_type,
+                    description: event.description,
+                    severity: event.severity,
+                    metadata: event.metadata || {}
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Security events error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch security events'
+        });
+    }
 });
 
-// Advanced verification logic
-async function performVerification({ challenge, response, userAgent, ipAddress, apiKey }) {
-    const agent = useragent.parse(userAgent);
-    const geo = geoip.lookup(ipAddress);
-    
-    let confidence = 0.5; // Base confidence
-    let isBot = false;
-    let action = 'allow';
-    
-    // Bot detection heuristics
-    const botIndicators = [
-        // User agent analysis
-        !userAgent || userAgent.length < 10,
-        userAgent.toLowerCase().includes('bot'),
-        userAgent.toLowerCase().includes('crawler'),
-        userAgent.toLowerCase().includes('spider'),
-        
-        // Suspicious patterns
-        agent.family === 'Other',
-        !agent.os.family || agent.os.family === 'Other',
-        
-        // Geographic anomalies (basic check)
-        geo && ['CN', 'RU', 'KP'].includes(geo.country) && Math.random() > 0.7
-    ];
-    
-    const botScore = botIndicators.filter(Boolean).length / botIndicators.length;
-    
-    if (botScore > 0.6) {
-        isBot = true;
-        confidence = 0.1;
-        action = 'block';
-    } else if (botScore > 0.3) {
-        confidence = 0.3;
-        action = 'challenge';
-    } else {
-        confidence = Math.min(0.9, 0.5 + (Math.random() * 0.4));
-        action = 'allow';
+// IP and CIDR rules that always allow or always block visitors of a key
+router.get('/v1/ip-rules', validateSecretKey, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await storage.getIpRules(req.apiKey.id)
+        });
+    } catch (error) {
+        console.error('IP rules error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch IP rules'
+        });
     }
-    
-    // For demo purposes, simulate some verification logic
-    if (challenge.type === 'checkbox') {
-        // Simple checkbox verification
-        const success = !isBot && Math.random() > 0.05; // 95% success rate for humans
-        return {
-            success,
-            confidence: success ? confidence : 0.1,
-            isBot,
-            action: success ? 'allow' : 'block'
-        };
+});
+
+router.post('/v1/ip-rules', validateSecretKey, async (req, res) => {
+    try {
+        const { rule, error } = parseIpRule(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid IP rule',
+                'error-codes': ['invalid-ip-rule'],
+                message: error
+            });
+        }
+
+        const existing = await storage.getIpRules(req.apiKey.id);
+        if (existing.some(other => other.cidr === rule.cidr)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Duplicate IP rule',
+                'error-codes': ['duplicate-ip-rule'],
+                message: `${rule.cidr} already has a rule`
+            });
+        }
+
+        if (existing.length >= MAX_RULES_PER_KEY) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many IP rules',
+                'error-codes': ['too-many-ip-rules'],
+                message: `A key can have at most ${MAX_RULES_PER_KEY} IP rules`
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: await storage.addIpRule(req.apiKey.id, rule)
+        });
+    } catch (error) {
+        console.error('IP rule creation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create IP rule'
+        });
     }
-    
-    return {
-        success: !isBot,
-        confidence,
-        isBot,
-        action
-    };
-}
+});
 
-// Process analytics data
-function processAnalytics(rawData) {
-    const totalVerifications = rawData.length;
-    const successfulVerifications = rawData.filter(log => log.result === 'success').length;
-    const blockedAttempts = rawData.filter(log => log.result === 'blocked').length;
-    const successRate = totalVerifications > 0 ? (successfulVerifications / totalVerifications * 100).toFixed(2) : 0;
-    
-    const responseTimes = rawData.filter(log => log.verification_time).map(log => log.verification_time);
-    const averageResponseTime = responseTimes.length > 0 
-        ? (responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length).toFixed(2)
-        : 0;
-    
-    // Top countries
-    const countries = {};
-    rawData.forEach(log => {
-        if (log.country_code) {
-            countries[log.country_code] = (countries[log.country_code] || 0) + 1;
+router.delete('/v1/ip-rules/:ruleId', validateSecretKey, async (req, res) => {
+    try {
+        const deleted = await storage.deleteIpRule(req.apiKey.id, req.params.ruleId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'IP rule not found'
+            });
         }
-    });
-    
-    const topCountries = Object.entries(countries)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 5)
-        .map(([country, count]) => ({ country, count }));
-    
-    // Daily breakdown
-    const dailyData = {};
-    rawData.forEach(log => {
-        const date = new Date(log.created_at).toISOString().split('T')[0];
-        if (!dailyData[date]) {
-            dailyData[date] = { total: 0, successful: 0, blocked: 0 };
-        }
-        dailyData[date].total++;
-        if (log.result === 'success') dailyData[date].successful++;
-        if (log.result === 'blocked') dailyData[date].blocked++;
-    });
-    
-    const dailyBreakdown = Object.entries(dailyData)
-        .sort(([a], [b]) => new Date(a) - new Date(b))
-        .map(([date, data]) => ({ date, ...data }));
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('IP rule deletion error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete IP rule'
+        });
+    }
+});
+
+// Accounts of the key linked to a player by shared fingerprints within the
+// key's time window
+async function findLinkedAccounts(apiKey, playerUuid) {
+    const own = await storage.getPlayerFingerprints(apiKey.id, playerUuid);
+    const hashes = fingerprintHashes(own);
+    if (hashes.length === 0) return [];
+
+    const candidates = await storage.findPlayerFingerprints(apiKey.id, hashes);
+    return linkAccounts(playerUuid, own, candidates, resolveAltWindowDays(apiKey));
+}
+
+// Base URL of the hosted pages, for links handed to game servers
+function publicBaseUrl(req) {
+    return (process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Open a verification session for a Minecraft player (called by the server plugin)
+router.post('/v1/player-sessions', validateSecretKey, async (req, res) => {
+    try {
+        const { session, error } = parseSessionRequest(req.body);
+        const hostError = !error && session.callback_url ? await checkCallbackHost(session.callback_url) : null;
+        if (error || hostError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid player session',
+                message: error || hostError
+            });
+        }
+
+        if (!req.apiKey.key_value) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid player session',
+                message: 'This key has no site key to render the verification page with'
+            });
+        }
+
+        // Short codes only need to be unique among open sessions
+        let code = generateCode();
+        while (await storage.findPlayerSessionByCode(code)) {
+            code = generateCode();
+        }
+
+        const created = await storage.createPlayerSession({
+            id: generateSessionId(),
+            api_key_id: req.apiKey.id,
+            code,
+            site_key: req.apiKey.key_value,
+            status: 'pending',
+            callback_status: session.callback_url ? 'pending' : null,
+            ...session
+        });
+
+        res.status(201).json({
+            success: true,
+            session: describeSession(created, publicBaseUrl(req))
+        });
+    } catch (error) {
+        console.error('Player session creation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create player session'
+        });
+    }
+});
+
+// Poll a player session's status
+router.get('/v1/player-sessions/:sessionId', validateSecretKey, async (req, res) => {
+    try {
+        const session = await storage.getPlayerSession(req.params.sessionId);
+
+        // Sessions of other keys look the same as missing ones
+        if (!session || session.api_key_id !== req.apiKey.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Player session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            session: describeSession(session, publicBaseUrl(req))
+        });
+    } catch (error) {
+        console.error('Player session lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch player session'
+        });
+    }
+});
+
+// Complete a session with the response token of the widget on the hosted
+// page. The session id in the link is the player's credential here.
+router.post('/v1/player-sessions/:sessionId/complete', async (req, res) => {
+    try {
+        const session = await storage.getPlayerSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Player session not found',
+                'error-codes': ['session-not-found']
+            });
+        }
+
+        const status = sessionStatus(session);
+        if (status !== 'pending') {
+            return res.status(status === 'expired' ? 410 : 409).json({
+                success: false,
+                error: status === 'expired' ? 'Player session expired' : 'Player session already verified',
+                'error-codes': [status === 'expired' ? 'session-expired' : 'session-already-verified']
+            });
+        }
+
+        const apiKey = await storage.getApiKey(session.api_key_id);
+        if (!apiKey) {
+            return res.status(410).json({
+                success: false,
+                error: 'Player session expired',
+                'error-codes': ['session-key-inactive'],
+                message: 'The API key that opened this session is no longer active'
+            });
+        }
+
+        // Revoked players stay revoked until the key's owner restores them
+        const [registered] = await storage.getVerifiedPlayers(apiKey.id, [session.player_uuid]);
+        if (registered && registered.revoked) {
+            return res.status(403).json({
+                success: false,
+                error: 'Player revoked',
+                'error-codes': ['player-revoked'],
+                message: 'This player can no longer be verified on this server'
+            });
+        }
+
+        // Only tokens from this page's widget count, not ones from the key's other forms
+        const result = await redeemResponseToken(apiKey, req.body.response);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid response',
+                'error-codes': result.errorCodes,
+                message: result.message
+            });
+        }
+        if (result.claims.action !== PLAYER_ACTION) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid response',
+                'error-codes': ['action-mismatch'],
+                message: `Response token was not issued for the ${PLAYER_ACTION} action`
+            });
+        }
+
+        // Fingerprint this verification, then look for other accounts seen
+        // on the same browser, device or network
+        const verifiedAt = new Date();
+        await storage.recordPlayerFingerprint({
+            api_key_id: apiKey.id,
+            player_uuid: session.player_uuid,
+            player_name: session.player_name,
+            ...fingerprintPlayer({
+                apiKeyId: apiKey.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                device: parseDeviceSignals(req.body.device)
+            }),
+            seen_at: verifiedAt.toISOString()
+        });
+        const links = await findLinkedAccounts(apiKey, session.player_uuid);
+        const altSuspect = isAltSuspect(links);
+
+        let verified = await storage.updatePlayerSession(session.id, {
+            status: 'verified',
+            score: result.claims.score,
+            alt_suspect: altSuspect,
+            verified_at: verifiedAt.toISOString()
+        });
+
+        await storage.saveVerifiedPlayer(apiKey.id, {
+            player_uuid: session.player_uuid,
+            player_name: session.player_name,
+            score: result.claims.score,
+            session_id: session.id,
+            verified_at: verifiedAt.toISOString(),
+            expires_at: playerExpiry(apiKey, verifiedAt.getTime()),
+            revoked: false,
+            revoked_at: null,
+            revoked_reason: null,
+            // Once suspected, a player stays flagged
+            alt_suspect: altSuspect || Boolean(registered && registered.alt_suspect)
+        });
+        if (altSuspect) {
+            await storage.markAltSuspects(apiKey.id, links.map(link => link.uuid));
+        }
+        await queueRconCommands(apiKey.id, 'verify', { uuid: session.player_uuid, name: session.player_name });
+
+        // Tell the game server right away; it can still poll if this fails
+        if (verified.callback_url) {
+            const callbackStatus = await deliverCallback(verified, apiKey.secret_key || '', {
+                event: 'player.verified',
+                session: describeSession({ ...verified, callback_status: null }, publicBaseUrl(req))
+            });
+            verified = await storage.updatePlayerSession(session.id, { callback_status: callbackStatus });
+        }
+
+        res.json({
+            success: true,
+            status: verified.status,
+            player: { name: verified.player_name }
+        });
+    } catch (error) {
+        console.error('Player session completion error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to complete player session'
+        });
+    }
+});
+
+// Search the verified players registry (newest first)
+router.get('/v1/players', validateSecretKey, async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        if (status !== null && !PLAYER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid status',
+                message: `status must be one of ${PLAYER_STATUSES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { players, total } = await storage.searchVerifiedPlayers(req.apiKey.id, {
+            search: parseSearch(req.query.search),
+            status,
+            altSuspect: req.query.alt_suspect === 'true',
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            data: players.map(describePlayer),
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Player search error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search players'
+        });
+    }
+});
+
+// Every registry entry matching the search, as CSV
+router.get('/v1/players/export', validateSecretKey, async (req, res) => {
+    try {
+        const status = PLAYER_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const { players } = await storage.searchVerifiedPlayers(req.apiKey.id, {
+            search: parseSearch(req.query.search),
+            status,
+            altSuspect: req.query.alt_suspect === 'true'
+        });
+
+        res.set('Content-Disposition', 'attachment; filename="verified-players.csv"');
+        res.type('text/csv').send(toCsv(players));
+    } catch (error) {
+        console.error('Player export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export players'
+        });
+    }
+});
+
+// Bulk lookup: { uuids: [...] } -> status of each player, unknown ones included
+router.post('/v1/players/lookup', validateSecretKey, async (req, res) => {
+    try {
+        const { uuids, error } = parseUuidList(req.body.uuids);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid lookup',
+                message: error
+            });
+        }
+
+        const found = new Map((await storage.getVerifiedPlayers(req.apiKey.id, uuids))
+            .map(entry => [entry.player_uuid, describePlayer(entry)]));
+
+        res.json({
+            success: true,
+            data: uuids.map(uuid => found.get(uuid) || describeUnknownPlayer(uuid))
+        });
+    } catch (error) {
+        console.error('Player lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to look up players'
+        });
+    }
+});
+
+// Is this UUID verified?
+router.get('/v1/players/:uuid', validateSecretKey, async (req, res) => {
+    try {
+        const uuid = normalizePlayerUuid(req.params.uuid);
+        if (!uuid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid UUID',
+                message: 'Expected a Minecraft player UUID'
+            });
+        }
+
+        const [entry] = await storage.getVerifiedPlayers(req.apiKey.id, [uuid]);
+        res.json({
+            success: true,
+            data: entry ? describePlayer(entry) : describeUnknownPlayer(uuid)
+        });
+    } catch (error) {
+        console.error('Player lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to look up player'
+        });
+    }
+});
+
+// Other accounts sharing this player's browser, device or network
+router.get('/v1/players/:uuid/links', validateSecretKey, async (req, res) => {
+    try {
+        const uuid = normalizePlayerUuid(req.params.uuid);
+        if (!uuid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid UUID',
+                message: 'Expected a Minecraft player UUID'
+            });
+        }
+
+        const links = await findLinkedAccounts(req.apiKey, uuid);
+        res.json({
+            success: true,
+            alt_suspect: isAltSuspect(links),
+            data: links
+        });
+    } catch (error) {
+        console.error('Player links error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to find linked players'
+        });
+    }
+});
+
+// Revoke a player's verification ({ revoked: true, reason }) or restore it
+router.patch('/v1/players/:uuid', validateSecretKey, async (req, res) => {
+    try {
+        const uuid = normalizePlayerUuid(req.params.uuid);
+        if (!uuid || typeof req.body.revoked !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid update',
+                message: 'Expected a player UUID and { revoked: true|false, reason }'
+            });
+        }
+
+        const [entry] = await storage.getVerifiedPlayers(req.apiKey.id, [uuid]);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Player not found'
+            });
+        }
+
+        const revoked = req.body.revoked;
+        const wasRevoked = entry.revoked;
+        const updated = await storage.updateVerifiedPlayer(req.apiKey.id, uuid, {
+            revoked,
+            revoked_at: revoked ? new Date().toISOString() : null,
+            revoked_reason: revoked ? String(req.body.reason || '').slice(0, 200) || null : null
+        });
+
+        // Whitelist commands run when the player's standing actually changes;
+        // restoring a player whose verification has expired adds nothing back
+        const player = { uuid, name: updated.player_name };
+        if (revoked && !wasRevoked) {
+            await queueRconCommands(req.apiKey.id, 'revoke', player);
+        } else if (!revoked && wasRevoked && playerStatus(updated) === 'verified') {
+            await queueRconCommands(req.apiKey.id, 'verify', player);
+        }
+
+        res.json({
+            success: true,
+            data: describePlayer(updated)
+        });
+    } catch (error) {
+        console.error('Player update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update player'
+        });
+    }
+});
+
+// Gate links: short links that only reveal their target after a challenge
+router.get('/v1/gate-links', validateSecretKey, async (req, res) => {
+    try {
+        const links = await storage.getGateLinks(req.apiKey.id);
+        res.json({
+            success: true,
+            data: links.map(link => describeGateLink(link, publicBaseUrl(req)))
+        });
+    } catch (error) {
+        console.error('Gate links error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch gate links'
+        });
+    }
+});
+
+router.post('/v1/gate-links', validateSecretKey, async (req, res) => {
+    try {
+        const { link, error } = parseGateLinkRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid gate link',
+                'error-codes': ['invalid-gate-link'],
+                message: error
+            });
+        }
+
+        const existing = await storage.getGateLinks(req.apiKey.id);
+        if (existing.length >= MAX_LINKS_PER_KEY) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many gate links',
+                'error-codes': ['too-many-gate-links'],
+                message: `A key can have at most ${MAX_LINKS_PER_KEY} gate links`
+            });
+        }
+
+        const created = await storage.createGateLink({
+            ...link,
+            api_key_id: req.apiKey.id,
+            site_key: req.apiKey.key_value,
+            slug: generateSlug()
+        });
+
+        res.status(201).json({
+            success: true,
+            data: describeGateLink(created, publicBaseUrl(req))
+        });
+    } catch (error) {
+        console.error('Gate link creation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create gate link'
+        });
+    }
+});
+
+// Change a link's settings, or disable it with { disabled: true }
+router.patch('/v1/gate-links/:linkId', validateSecretKey, async (req, res) => {
+    try {
+        const existing = await storage.getGateLink(req.apiKey.id, req.params.linkId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Gate link not found'
+            });
+        }
+
+        const { link, error } = parseGateLinkRequest(req.body, existing);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid gate link',
+                'error-codes': ['invalid-gate-link'],
+                message: error
+            });
+        }
+
+        const updated = await storage.updateGateLink(existing.id, link);
+        res.json({
+            success: true,
+            data: describeGateLink(updated, publicBaseUrl(req))
+        });
+    } catch (error) {
+        console.error('Gate link update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update gate link'
+        });
+    }
+});
+
+router.delete('/v1/gate-links/:linkId', validateSecretKey, async (req, res) => {
+    try {
+        const deleted = await storage.deleteGateLink(req.apiKey.id, req.params.linkId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Gate link not found'
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Gate link deletion error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete gate link'
+        });
+    }
+});
+
+// Views, unlocks and failed attempts per day, and where unlocks came from
+router.get('/v1/gate-links/:linkId/analytics', validateSecretKey, async (req, res) => {
+    try {
+        const link = await storage.getGateLink(req.apiKey.id, req.params.linkId);
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                error: 'Gate link not found'
+            });
+        }
+
+        const days = Math.min(Math.max(parseInt(req.query.days) || DEFAULT_ANALYTICS_DAYS, 1), 90);
+        const events = await storage.getGateLinkEvents(link.id, days);
+
+        res.json({
+            success: true,
+            data: {
+                link: describeGateLink(link, publicBaseUrl(req)),
+                days,
+                ...summarizeGateEvents(events, days)
+            }
+        });
+    } catch (error) {
+        console.error('Gate link analytics error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch gate link analytics'
+        });
+    }
+});
+
+// Exchange the gate page's response token for the link's target. Every
+// successful unlock counts as one use.
+router.post('/v1/gate-links/:slug/unlock', async (req, res) => {
+    try {
+        const link = isValidSlug(req.params.slug) ? await storage.findGateLinkBySlug(req.params.slug) : null;
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                error: 'Gate link not found',
+                'error-codes': ['gate-link-not-found']
+            });
+        }
+
+        const status = gateLinkStatus(link);
+        const apiKey = status === 'active' ? await storage.getApiKey(link.api_key_id) : null;
+        if (!apiKey) {
+            return res.status(410).json({
+                success: false,
+                error: 'Gate link unavailable',
+                'error-codes': [`gate-link-${status === 'active' ? 'disabled' : status}`]
+            });
+        }
+
+        const result = await redeemResponseToken(apiKey, req.body.response);
+        const wrongAction = result.success && result.claims.action !== GATE_ACTION;
+        if (!result.success || wrongAction) {
+            await storage.recordGateLinkEvent(link, 'failure', countryOf(req.ip));
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid response',
+                'error-codes': wrongAction ? ['action-mismatch'] : result.errorCodes,
+                message: wrongAction ? `Response token was not issued for the ${GATE_ACTION} action` : result.message
+            });
+        }
+
+        const used = await storage.consumeGateLinkUse(link.id);
+        if (!used) {
+            return res.status(410).json({
+                success: false,
+                error: 'Gate link unavailable',
+                'error-codes': ['gate-link-exhausted']
+            });
+        }
+        await storage.recordGateLinkEvent(link, 'unlock', countryOf(req.ip));
+
+        res.json({
+            success: true,
+            mode: used.mode,
+            target: used.target
+        });
+    } catch (error) {
+        console.error('Gate link unlock error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unlock gate link'
+        });
+    }
+});
+
+// The integration's server, with its password decrypted
+function rconServer(integration) {
+    return {
+        host: integration.host,
+        port: integration.port,
+        password: decryptSecret(integration.password_encrypted)
+    };
+}
+
+// Run a delivery with the key's current settings, recording each attempt
+function runRconDelivery(delivery, options) {
+    return deliverCommands(
+        delivery,
+        async () => {
+            const integration = await storage.getRconIntegration(delivery.api_key_id);
+            return integration ? rconServer(integration) : null;
+        },
+        updates => storage.updateRconDelivery(delivery.id, updates),
+        options
+    );
+}
+
+// Log and start the key's RCON commands for a player event. Delivery runs in
+// the background with retries; problems end up in the delivery log rather
+// than failing the request that caused them.
+async function queueRconCommands(apiKeyId, event, player) {
+    try {
+        const integration = await storage.getRconIntegration(apiKeyId);
+        if (!integration || !integration.enabled) return null;
+
+        const commands = renderCommands(integration, event, player);
+        if (commands.length === 0) return null;
+
+        const delivery = await storage.createRconDelivery({
+            api_key_id: apiKeyId,
+            event,
+            player_uuid: player.uuid,
+            player_name: player.name,
+            commands,
+            status: 'pending',
+            attempts: 0
+        });
+
+        runRconDelivery(delivery).catch(error => console.error('RCON delivery error:', error));
+        return delivery;
+    } catch (error) {
+        console.error('RCON queue error:', error);
+        return null;
+    }
+}
+
+function rconNotConfigured(res) {
+    return res.status(404).json({
+        success: false,
+        error: 'RCON not configured',
+        'error-codes': ['rcon-not-configured']
+    });
+}
+
+// RCON whitelist automation: the server to connect to and the commands run
+// when a player is verified or revoked
+router.get('/v1/rcon', validateSecretKey, async (req, res) => {
+    try {
+        const integration = await storage.getRconIntegration(req.apiKey.id);
+        res.json({
+            success: true,
+            data: integration ? describeIntegration(integration) : null
+        });
+    } catch (error) {
+        console.error('RCON settings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch RCON settings'
+        });
+    }
+});
+
+router.put('/v1/rcon', validateSecretKey, async (req, res) => {
+    try {
+        const existing = await storage.getRconIntegration(req.apiKey.id);
+        const { integration, error } = parseRconConfig(req.body, existing);
+        const hostError = error ? null : await checkRconHost(integration.host);
+        if (error || hostError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid RCON settings',
+                'error-codes': ['invalid-rcon-settings'],
+                message: error || hostError
+            });
+        }
+
+        const { password, ...settings } = integration;
+        const saved = await storage.saveRconIntegration(req.apiKey.id, {
+            ...settings,
+            password_encrypted: password === null ? existing.password_encrypted : encryptSecret(password)
+        });
+
+        res.json({
+            success: true,
+            data: describeIntegration(saved)
+        });
+    } catch (error) {
+        console.error('RCON settings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save RCON settings'
+        });
+    }
+});
+
+router.delete('/v1/rcon', validateSecretKey, async (req, res) => {
+    try {
+        const deleted = await storage.deleteRconIntegration(req.apiKey.id);
+        if (!deleted) return rconNotConfigured(res);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('RCON settings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove RCON settings'
+        });
+    }
+});
+
+// Log in with the saved settings and run `list`
+router.post('/v1/rcon/test', validateSecretKey, async (req, res) => {
+    try {
+        const integration = await storage.getRconIntegration(req.apiKey.id);
+        if (!integration) return rconNotConfigured(res);
+
+        const [response] = await sendRconCommands(rconServer(integration), ['list']);
+        res.json({
+            success: true,
+            response
+        });
+    } catch (error) {
+        // The same answer for every failure, so the test cannot be used to
+        // scan hosts and ports
+        if (error instanceof RconError) {
+            return res.status(502).json({
+                success: false,
+                error: 'RCON test failed',
+                'error-codes': ['rcon-failed'],
+                message: 'Could not run list on the RCON server; check the host, port and password'
+            });
+        }
+
+        console.error('RCON test error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to test RCON connection'
+        });
+    }
+});
+
+// Delivery log, newest first
+router.get('/v1/rcon/deliveries', validateSecretKey, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const deliveries = await storage.getRconDeliveries(req.apiKey.id, limit);
+
+        res.json({
+            success: true,
+            data: deliveries.map(describeDelivery)
+        });
+    } catch (error) {
+        console.error('RCON deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch RCON deliveries'
+        });
+    }
+});
+
+// Try a failed delivery once more, with the current settings
+router.post('/v1/rcon/deliveries/:deliveryId/retry', validateSecretKey, async (req, res) => {
+    try {
+        const delivery = await storage.getRconDelivery(req.apiKey.id, req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'RCON delivery not found'
+            });
+        }
+        if (delivery.status !== 'failed') {
+            return res.status(409).json({
+                success: false,
+                error: 'RCON delivery not failed',
+                'error-codes': ['delivery-not-failed'],
+                message: `This delivery is ${delivery.status}`
+            });
+        }
+
+        const integration = await storage.getRconIntegration(req.apiKey.id);
+        if (!integration) return rconNotConfigured(res);
+
+        const updated = await runRconDelivery(delivery, { retryDelays: [] });
+
+        if (updated.status !== 'delivered') {
+            return res.status(502).json({
+                success: false,
+                error: 'RCON delivery failed',
+                'error-codes': ['rcon-failed'],
+                message: updated.last_error,
+                data: describeDelivery(updated)
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeDelivery(updated)
+        });
+    } catch (error) {
+        console.error('RCON retry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry RCON delivery'
+        });
+    }
+});
+
+// Health check endpoint
+router.get('/v1/health', (req, res) => {
+    res.json({
+        success: true,
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+    });
+});
+
+// API documentation endpoint
+router.get('/v1/docs', (req, res) => {
+    res.json({
+        name: 'DefendAMinecraft reCAPTCHA API',
+        version: '1.0.0',
+        description: 'Advanced reCAPTCHA verification service',
+        endpoints: {
+            'POST /api/v1/challenge': 'Generate a new verification challenge: { type, difficulty, action }',
+            'GET /api/v1/challenge-asset?token=': 'Media for a challenge, e.g. the audio challenge recording',
+            'POST /api/v1/verify': 'Verify a challenge response',
+            'POST /api/v1/redeem': 'Redeem a single-use response token (secret key)',
+            'POST /api/v1/siteverify': 'Google reCAPTCHA compatible token verification (secret key)',
+            'GET /api/v1/stats': 'Get API usage statistics (secret key)',
+            'GET /api/v1/verifications': 'Recent verifications with their reason codes (secret key)',
+            'GET /api/v1/security-events': 'Recent security events and counts by type (secret key)',
+            'GET /api/v1/ip-rules': 'List IP/CIDR allow and deny rules (secret key)',
+            'POST /api/v1/ip-rules': 'Add an IP/CIDR rule: { cidr, action: allow|deny, note } (secret key)',
+            'DELETE /api/v1/ip-rules/:id': 'Remove an IP/CIDR rule (secret key)',
+            'POST /api/v1/player-sessions': 'Open a Minecraft player verification session: { uuid, name, callback_url, ttl } (secret key)',
+            'GET /api/v1/player-sessions/:id': 'Poll a player verification session (secret key)',
+            'POST /api/v1/player-sessions/:id/complete': 'Complete a session from its hosted page: { response, device }',
+            'GET /api/v1/players?search=&status=&alt_suspect=': 'Search verified players (secret key)',
+            'GET /api/v1/players/export': 'Verified players as CSV (secret key)',
+            'POST /api/v1/players/lookup': 'Bulk lookup: { uuids: [...] } (secret key)',
+            'GET /api/v1/players/:uuid': 'Is this player verified? (secret key)',
+            'GET /api/v1/players/:uuid/links': 'Accounts sharing this player\'s browser, device or network (secret key)',
+            'PATCH /api/v1/players/:uuid': 'Revoke or restore a player: { revoked, reason } (secret key)',
+            'GET /api/v1/gate-links': 'List gate links (secret key)',
+            'POST /api/v1/gate-links': 'Create a gate link: { name, mode: redirect|reveal, target, expires_at, max_uses } (secret key)',
+            'PATCH /api/v1/gate-links/:id': 'Change or disable a gate link: { ..., disabled } (secret key)',
+            'DELETE /api/v1/gate-links/:id': 'Delete a gate link (secret key)',
+            'GET /api/v1/gate-links/:id/analytics?days=': 'Views, unlocks and failures of a gate link (secret key)',
+            'POST /api/v1/gate-links/:slug/unlock': 'Unlock a gate link from its page: { response }',
+            'GET /api/v1/rcon': 'RCON whitelist automation settings (secret key)',
+            'PUT /api/v1/rcon': 'Save RCON settings: { host, port, password, on_verify, on_revoke, enabled } (secret key)',
+            'DELETE /api/v1/rcon': 'Remove RCON settings (secret key)',
+            'POST /api/v1/rcon/test': 'Check the RCON connection by running list (secret key)',
+            'GET /api/v1/rcon/deliveries': 'RCON command delivery log (secret key)',
+            'POST /api/v1/rcon/deliveries/:id/retry': 'Retry a failed RCON delivery (secret key)',
+            'GET /api/v1/health': 'API health check'
+        },
+        authentication: 'Site key in X-API-Key header for challenge/verify, secret key in X-Secret-Key header (or secret form field) for siteverify, redeem and management endpoints',
+        rate_limits: {
+            general: '1000 requests per 15 minutes per IP',
+            // Challenge and verify, set on each key in the dashboard
+            rate_limit: `${DEFAULT_RATE_LIMIT} requests per minute per key by default`,
+            ip_rate_limit: `${DEFAULT_IP_RATE_LIMIT} requests per minute per key and client IP by default`
+        }
+    });
+});
+
+// Check a response token and mark it as redeemed
+async function redeemResponseToken(apiKey, response) {
+    if (!response) {
+        return {
+            success: false,
+            errorCodes: ['missing-input-response'],
+            message: 'Response token is required'
+        };
+    }
+
+    let claims;
+    try {
+        claims = verifyToken(response, { keyId: apiKey.id, typ: 'response' });
+    } catch (error) {
+        if (!(error instanceof TokenError)) throw error;
+
+        return {
+            success: false,
+            errorCodes: [error.code === TOKEN_ERRORS.EXPIRED ? 'timeout-or-duplicate' : 'invalid-input-response'],
+            message: error.message
+        };
+    }
+
+    // The key's minimum may have been raised since the challenge was issued
+    if (claims.challenge_type === 'pow' && !(claims.pow_bits >= resolveMinBits(apiKey))) {
+        return {
+            success: false,
+            errorCodes: ['pow-difficulty-too-low'],
+            message: `The proof of work was easier than the key's minimum of ${resolveMinBits(apiKey)} bits`
+        };
+    }
+
+    if (!await tokenStore.consume(claims.jti, claims.exp)) {
+        return {
+            success: false,
+            errorCodes: ['timeout-or-duplicate'],
+            message: 'Response token has already been redeemed'
+        };
+    }
+
+    return { success: true, claims };
+}
+
+// Advanced verification logic
+async function performVerification({ challenge, response, action: pageAction, userAgent, ipAddress, telemetry, apiKey, ipRules }) {
+    const ip = normalizeIp(ipAddress);
+    const geo = ip ? geoip.lookup(ip) : null;
+    
+    // The key's own IP rules come before anything else: denied addresses are
+    // blocked outright, allowed ones skip the country policy and the
+    // address-based detectors
+    const ipRule = ip ? matchIpRule(ipRules, ip) : null;
+    if (ipRule && ipRule.action === 'deny') {
+        return {
+            success: false,
+            confidence: 0,
+            isBot: true,
+            action: 'block',
+            reasons: [{ code: 'ip_denylisted', detector: 'ip_rules', contribution: -1, rule: ipRule.cidr }]
+        };
+    }
+    
+    // Then the key's country policy, unless the IP is explicitly allowed
+    const countryRule = ipRule ? null : matchCountryRule(resolveCountryPolicy(apiKey), geo?.country, ip);
+    if (countryRule && countryRule.action === 'block') {
+        return {
+            success: false,
+            confidence: 0,
+            isBot: true,
+            action: 'block',
+            countryRule,
+            reasons: [{ code: 'geo_country_blocked', detector: 'country_policy', contribution: -1, country: countryRule.country }]
+        };
+    }
+    
+    // The puzzle must be solved before any scoring happens
+    const solution = checkSolution(challenge, response);
+    if (!solution.solved) {
+        return {
+            success: false,
+            confidence: 0,
+            isBot: false,
+            action: 'challenge',
+            countryRule,
+            reasons: [],
+            error: solution.error
+        };
+    }
+    
+    const engine = ipRule ? allowlistedEngine : scoringEngine;
+    const { score, action: verdict, detectors, reasons } = engine.evaluate({
+        userAgent,
+        agent: userAgent ? useragent.parse(userAgent) : null,
+        ip,
+        geo,
+        telemetry: extractFeatures(telemetry),
+        velocity: velocityTracker.hit(`${apiKey.id}:${ip}`)
+    }, resolveThresholds(apiKey, pageAction));
+    
+    if (ipRule) {
+        reasons.push({ code: 'ip_allowlisted', detector: 'ip_rules', contribution: 0, rule: ipRule.cidr });
+    }
+    
+    // A solved image grid or audio challenge is the answer to a 'challenge'
+    // verdict
+    let action = isInteractive(challenge.type) && verdict === 'challenge' ? 'allow' : verdict;
+    
+    // Challenged countries always have to solve an interactive challenge,
+    // whatever their score
+    if (countryRule && countryRule.action === 'challenge') {
+        reasons.push({ code: 'geo_country_challenged', detector: 'country_policy', contribution: 0, country: countryRule.country });
+        if (action === 'allow' && !isInteractive(challenge.type)) {
+            action = 'challenge';
+        }
+    }
     
+    // Anything short of 'allow' has to solve an image grid or is blocked
     return {
-        totalVerifications,
-        successfulVerifications,
-        blockedAttempts,
-        successRate: parseFloat(successRate),
-        averageResponseTime: parseFloat(averageResponseTime),
-        topCountries,
-        dailyBreakdown
+        success: action === 'allow',
+        confidence: score,
+        isBot: action === 'block',
+        action,
+        countryRule,
+        detectors,
+        reasons
     };
 }
 
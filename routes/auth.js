@@ -1,89 +1,190 @@
 const express = require('express');
 const crypto = require('crypto');
+const { parseDomainList, isValidPattern } = require('../lib/hostnames');
+const { DEFAULT_COUNTRY_POLICY, parseCountryPolicy } = require('../lib/country-policy');
+const { parseActionThresholds } = require('../lib/actions');
+const { DEFAULT_PLAYER_TTL_DAYS, MAX_PLAYER_TTL_DAYS } = require('../lib/player-registry');
+const { DEFAULT_ALT_WINDOW_DAYS, MAX_ALT_WINDOW_DAYS } = require('../lib/alt-detection');
+const { MIN_BITS, MAX_BITS, DEFAULT_MIN_BITS } = require('../lib/challenges/pow');
+const { getStorage } = require('../lib/storage');
+const { DEFAULT_STATS_DAYS } = require('../lib/verification-stats');
+const { getVerificationStats } = require('../lib/analytics-rollups');
 const router = express.Router();
 
-// Mock database for now - replace with real Supabase when configured
-const userDatabase = new Map();
-const userApiKeys = new Map();
-const userAnalytics = new Map();
+// Users and their keys and websites
+const storage = getStorage();
+
+// Settings every new key starts with: risk score thresholds (see lib/scoring),
+// rate limits in requests per minute and a country policy allowing everyone.
+// action_thresholds overrides the thresholds for named actions,
+// player_ttl_days is how long a verified Minecraft player stays verified,
+// alt_window_days how far apart two verifications can be to link accounts
+// and pow_min_bits the easiest proof of work the key hands out.
+const DEFAULT_KEY_SETTINGS = {
+    challenge_threshold: 0.5,
+    block_threshold: 0.2,
+    action_thresholds: {},
+    rate_limit: 1000,
+    ip_rate_limit: 60,
+    country_policy: DEFAULT_COUNTRY_POLICY,
+    player_ttl_days: DEFAULT_PLAYER_TTL_DAYS,
+    alt_window_days: DEFAULT_ALT_WINDOW_DAYS,
+    pow_min_bits: DEFAULT_MIN_BITS
+};
+
+const MAX_RATE_LIMIT = 100000;
 
 // Database functions
+// Create or update the user behind a GitHub profile. Resolves to the stored
+// user, whose id is the one keys and logs belong to.
 async function saveUserToDatabase(user) {
-    const userId = String(user.id);
-    
-    // Store user data
-    userDatabase.set(userId, {
-        ...user,
-        updated_at: new Date().toISOString()
+    const saved = await storage.saveUser({
+        github_id: user.github_id,
+        github_username: user.login,
+        full_name: user.name,
+        email: user.email || null,
+        avatar_url: user.avatar_url,
+        bio: user.bio || null,
+        company: user.company || null,
+        location: user.location || null,
+        public_repos: user.public_repos || 0,
+        followers: user.followers || 0,
+        following: user.following || 0,
+        github_created_at: user.github_created_at || null
     });
-    
-    // Initialize user analytics if not exists
-    if (!userAnalytics.has(userId)) {
-        userAnalytics.set(userId, {
-            totalVerifications: Math.floor(Math.random() * 1000) + 100,
-            successfulVerifications: Math.floor(Math.random() * 800) + 80,
-            blockedAttempts: Math.floor(Math.random() * 50) + 10,
-            apiKeysCount: Math.floor(Math.random() * 3) + 1,
-            websitesCount: Math.floor(Math.random() * 5) + 1,
-            lastActivity: new Date().toISOString(),
-            monthlyStats: generateMonthlyStats()
-        });
-    }
+    const userId = saved.id;
     
     // Create default API key if user doesn't have one
-    if (!userApiKeys.has(userId)) {
-        const apiKey = generateApiKey();
-        userApiKeys.set(userId, [{
-            id: crypto.randomUUID(),
-            name: 'Default API Key',
-            key_value: apiKey,
-            environment: 'development',
-            domain: 'localhost',
-            is_active: true,
-            usage_count: Math.floor(Math.random() * 100),
-            created_at: new Date().toISOString()
-        }]);
+    const keys = await storage.getUserApiKeys(userId);
+    if (keys.length === 0) {
+        await createApiKey(userId, { name: 'Default API Key', environment: 'development', domains: ['localhost'] });
     }
     
-    return user;
+    return saved;
 }
 
-function generateApiKey() {
-    return 'da_live_' + crypto.randomBytes(24).toString('base64url');
+// Store a new key with the default settings, and its domains as websites
+async function createApiKey(userId, { name, environment, domains }) {
+    const created = await storage.createApiKey(userId, {
+        name,
+        key_value: generateApiKey(),
+        secret_key: generateSecretKey(),
+        environment,
+        domain: domains.join(','),
+        is_active: true,
+        usage_count: 0,
+        ...DEFAULT_KEY_SETTINGS
+    });
+    await storage.syncWebsites(created, domains);
+    return created;
 }
 
-function generateMonthlyStats() {
-    const stats = [];
-    for (let i = 29; i >= 0; i--) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        stats.push({
-            date: date.toISOString().split('T')[0],
-            verifications: Math.floor(Math.random() * 50) + 10,
-            blocked: Math.floor(Math.random() * 10) + 1
-        });
-    }
-    return stats;
+// Public site key, embedded in web pages
+function generateApiKey() {
+    return 'da_live_' + crypto.randomBytes(24).toString('base64url');
 }
 
-async function getUserData(userId) {
-    return userDatabase.get(String(userId));
+// Private secret key, only used by the site's backend
+function generateSecretKey() {
+    return 'da_secret_' + crypto.randomBytes(24).toString('base64url');
 }
 
+// Dashboard totals over all of the user's keys
 async function getUserAnalytics(userId) {
-    return userAnalytics.get(String(userId)) || {
-        totalVerifications: 0,
-        successfulVerifications: 0,
-        blockedAttempts: 0,
-        apiKeysCount: 0,
-        websitesCount: 0,
-        lastActivity: new Date().toISOString(),
-        monthlyStats: []
+    const [stats, websites] = await Promise.all([
+        getVerificationStats(storage, 'user', userId, DEFAULT_STATS_DAYS),
+        storage.getUserWebsites(userId)
+    ]);
+
+    return {
+        ...stats,
+        websitesCount: websites.length
     };
 }
 
-async function getUserApiKeys(userId) {
-    return userApiKeys.get(String(userId)) || [];
+// One of the user's active keys
+async function findUserApiKey(userId, keyId) {
+    const key = await storage.findApiKey('id', keyId);
+    return key && key.user_id === userId && key.is_active ? key : null;
+}
+
+// Validate editable key settings from a request body. Returns the updates
+// to apply, or an error message.
+function parseKeySettings(body, current) {
+    const updates = {};
+
+    if (body.domain !== undefined) {
+        const domains = parseDomainList(body.domain);
+        const invalid = domains.find(domain => !isValidPattern(domain));
+        if (invalid) {
+            return { error: `"${invalid}" is not a valid domain (use example.com or *.example.com)` };
+        }
+        updates.domain = domains.length > 0 ? domains.join(',') : null;
+    }
+
+    for (const field of ['challenge_threshold', 'block_threshold']) {
+        if (body[field] === undefined) continue;
+
+        const value = Number(body[field]);
+        if (body[field] === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+            return { error: `${field} must be a number between 0 and 1` };
+        }
+        updates[field] = value;
+    }
+
+    for (const field of ['rate_limit', 'ip_rate_limit']) {
+        if (body[field] === undefined) continue;
+
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_RATE_LIMIT) {
+            return { error: `${field} must be a whole number between 1 and ${MAX_RATE_LIMIT}` };
+        }
+        updates[field] = value;
+    }
+
+    if (body.player_ttl_days !== undefined) {
+        const value = Number(body.player_ttl_days);
+        if (body.player_ttl_days === '' || !Number.isInteger(value) || value < 0 || value > MAX_PLAYER_TTL_DAYS) {
+            return { error: `player_ttl_days must be a whole number of days between 0 and ${MAX_PLAYER_TTL_DAYS}` };
+        }
+        updates.player_ttl_days = value;
+    }
+
+    if (body.alt_window_days !== undefined) {
+        const value = Number(body.alt_window_days);
+        if (body.alt_window_days === '' || !Number.isInteger(value) || value < 1 || value > MAX_ALT_WINDOW_DAYS) {
+            return { error: `alt_window_days must be a whole number of days between 1 and ${MAX_ALT_WINDOW_DAYS}` };
+        }
+        updates.alt_window_days = value;
+    }
+
+    if (body.pow_min_bits !== undefined) {
+        const value = Number(body.pow_min_bits);
+        if (body.pow_min_bits === '' || !Number.isInteger(value) || value < MIN_BITS || value > MAX_BITS) {
+            return { error: `pow_min_bits must be a whole number between ${MIN_BITS} and ${MAX_BITS}` };
+        }
+        updates.pow_min_bits = value;
+    }
+
+    if (body.country_policy !== undefined) {
+        const { policy, error } = parseCountryPolicy(body.country_policy);
+        if (error) return { error };
+        updates.country_policy = policy;
+    }
+
+    if (body.action_thresholds !== undefined) {
+        const { thresholds, error } = parseActionThresholds(body.action_thresholds);
+        if (error) return { error };
+        updates.action_thresholds = thresholds;
+    }
+
+    const challenge = updates.challenge_threshold ?? current.challenge_threshold;
+    const block = updates.block_threshold ?? current.block_threshold;
+    if (block > challenge) {
+        return { error: 'block_threshold cannot be higher than challenge_threshold' };
+    }
+
+    return { updates };
 }
 
 // GitHub OAuth configuration
@@ -217,6 +318,13 @@ router.get('/github/callback', async (req, res) => {
             github_created_at: userData.created_at
         };
 
+        // Save user to database (create or update); the session carries
+        // the stored id, which keys and logs belong to
+        const saved = await saveUserToDatabase(user);
+        user.id = saved.id;
+        user.role = saved.role || 'user';
+        console.log('User saved to database:', user.login);
+
         // Store user in session
         req.session.user = user;
         req.session.isAuthenticated = true;
@@ -229,14 +337,6 @@ router.get('/github/callback', async (req, res) => {
             sessionId: req.sessionID
         });
 
-        // Save user to database (create or update)
-        try {
-            await saveUserToDatabase(user);
-            console.log('User saved to database:', user.login);
-        } catch (dbError) {
-            console.warn('Database save failed, continuing with session only:', dbError.message);
-        }
-
         // Force session save before redirect
         req.session.save((err) => {
             if (err) {
@@ -295,12 +395,11 @@ router.get('/dashboard-data', async (req, res) => {
         console.log('Loading data for user:', userId);
         
         const analytics = await getUserAnalytics(userId);
-        const apiKeys = await getUserApiKeys(userId);
+        const apiKeys = await storage.getUserApiKeys(userId);
         
         console.log('Data loaded:', {
-            analyticsExists: !!analytics,
-            apiKeysCount: apiKeys?.length || 0,
-            analytics: analytics
+            totalVerifications: analytics.totalVerifications,
+            apiKeysCount: apiKeys?.length || 0
         });
         
         res.json({
@@ -313,9 +412,7 @@ router.get('/dashboard-data', async (req, res) => {
                     totalVerifications: analytics.totalVerifications,
                     successfulVerifications: analytics.successfulVerifications,
                     blockedAttempts: analytics.blockedAttempts,
-                    successRate: analytics.totalVerifications > 0 
-                        ? ((analytics.successfulVerifications / analytics.totalVerifications) * 100).toFixed(1)
-                        : 0,
+                    successRate: analytics.successRate,
                     apiKeysCount: apiKeys.length,
                     websitesCount: analytics.websitesCount
                 }
@@ -337,20 +434,17 @@ router.post('/api-keys', async (req, res) => {
         const userId = String(req.session.user.id);
         const { name, environment, domain } = req.body;
         
-        const newApiKey = {
-            id: crypto.randomUUID(),
+        const domains = parseDomainList(domain);
+        const invalid = domains.find(entry => !isValidPattern(entry));
+        if (invalid) {
+            return res.status(400).json({ error: `"${invalid}" is not a valid domain (use example.com or *.example.com)` });
+        }
+        
+        const newApiKey = await createApiKey(userId, {
             name: name || 'New API Key',
-            key_value: generateApiKey(),
             environment: environment || 'development',
-            domain: domain || 'localhost',
-            is_active: true,
-            usage_count: 0,
-            created_at: new Date().toISOString()
-        };
-        
-        const userKeys = userApiKeys.get(userId) || [];
-        userKeys.push(newApiKey);
-        userApiKeys.set(userId, userKeys);
+            domains: domains.length > 0 ? domains : ['localhost']
+        });
         
         res.json({
             success: true,
@@ -362,6 +456,40 @@ router.post('/api-keys', async (req, res) => {
     }
 });
 
+// Update API key settings
+router.patch('/api-keys/:keyId', async (req, res) => {
+    if (!req.session.isAuthenticated) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const userId = String(req.session.user.id);
+        const key = await findUserApiKey(userId, req.params.keyId);
+
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const { updates, error } = parseKeySettings(req.body, key);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const updated = await storage.updateApiKey(key.id, updates);
+        if (updates.domain !== undefined) {
+            await storage.syncWebsites(updated, parseDomainList(updates.domain));
+        }
+
+        res.json({
+            success: true,
+            apiKey: updated
+        });
+    } catch (error) {
+        console.error('API key update error:', error);
+        res.status(500).json({ error: 'Failed to update API key' });
+    }
+});
+
 // Delete API key
 router.delete('/api-keys/:keyId', async (req, res) => {
     if (!req.session.isAuthenticated) {
@@ -370,11 +498,11 @@ router.delete('/api-keys/:keyId', async (req, res) => {
 
     try {
         const userId = String(req.session.user.id);
-        const keyId = req.params.keyId;
+        const deleted = await storage.deleteApiKey(userId, req.params.keyId);
         
-        const userKeys = userApiKeys.get(userId) || [];
-        const updatedKeys = userKeys.filter(key => key.id !== keyId);
-        userApiKeys.set(userId, updatedKeys);
+        if (!deleted) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
         
         res.json({
             success: true,
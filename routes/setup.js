@@ -1,88 +1,325 @@
 const express = require('express');
-const { executeSchema, checkDatabaseSetup, initializeDatabase } = require('../config/supabase');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { withDatabase, executeSchema, checkDatabaseSetup } = require('../config/supabase');
+const { getMigrationStatus } = require('../lib/migrations');
+const { getStorage } = require('../lib/storage');
 const router = express.Router();
 
-// Database setup page
-router.get('/', async (req, res) => {
+const storage = getStorage();
+
+// First-run setup wizard. It opens only while no admin exists, behind a
+// token printed to the console at boot, and locks once the first admin
+// account is created. After that the admin (signed in with GitHub) can
+// still run the checks and apply the migrations later releases add.
+// In-memory storage forgets the admin on restart, so there it never opens.
+
+// Token for this boot; null once setup is complete
+let setupToken = null;
+let adminPending = false;
+
+const GITHUB_USERNAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+
+const setupLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // token guesses per IP per window
+    message: {
+        success: false,
+        error: 'Too many attempts. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+const storageType = () => process.env.STORAGE || 'memory';
+
+// Whether this install keeps its data in Postgres and so needs migrations
+function usesMigrations() {
+    return storageType() === 'supabase';
+}
+
+// Until the migrations run the users table may not exist, which counts as
+// no admin yet
+async function isSetupComplete() {
+    if (setupToken === null) return true;
     try {
-        const isSetup = await checkDatabaseSetup();
-        
-        res.render('pages/setup', {
-            title: 'Database Setup | DefendAMinecraft',
-            isSetup: isSetup,
-            supabaseConfigured: process.env.SUPABASE_URL && process.env.SUPABASE_URL !== 'https://your-project.supabase.co'
-        });
+        if (!await storage.hasAdmin()) return false;
     } catch (error) {
-        res.render('pages/setup', {
-            title: 'Database Setup | DefendAMinecraft',
-            isSetup: false,
-            supabaseConfigured: false,
-            error: error.message
-        });
+        return false;
     }
-});
 
-// Execute database setup
-router.post('/execute', async (req, res) => {
+    setupToken = null;
+    return true;
+}
+
+// Whether the signed-in user is stored as the admin (checked against
+// storage, not the session, so a changed role applies right away)
+async function isAdminSession(req) {
+    const userId = req.session.isAuthenticated && req.session.user?.id;
+    if (!userId) return false;
+
     try {
-        console.log('🚀 Starting database setup...');
-        
-        const result = await executeSchema();
-        
-        res.json({
-            success: result.success,
-            message: result.success 
-                ? `Database setup completed! Executed ${result.executed} statements with ${result.warnings} warnings.`
-                : `Database setup failed: ${result.error}`,
-            details: result
-        });
+        const user = await storage.getUser(userId);
+        return user?.role === 'admin';
     } catch (error) {
-        console.error('Setup route error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Database setup failed: ' + error.message,
-            error: error.message
+        return false;
+    }
+}
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+function tokenMatches(candidate) {
+    if (!setupToken || typeof candidate !== 'string') return false;
+    return crypto.timingSafeEqual(digest(candidate), digest(setupToken));
+}
+
+// Sessions remember which boot's token they unlocked, so a restart (and
+// its new token) locks them out again
+function isAuthorized(req) {
+    return Boolean(setupToken) && req.session.setupAuthorized === digest(setupToken).toString('hex');
+}
+
+// What everyone but the admin sees once the wizard has done its job
+function hideWizard(req, res) {
+    if (req.method === 'GET' && req.path === '/') {
+        return res.status(404).render('pages/404', {
+            title: 'Page Not Found | DefendAMinecraft'
         });
     }
+    return res.status(404).json({ success: false, error: 'Setup is already complete' });
+}
+
+// Steps only the first run has: unlocking and creating the admin
+async function requireOpen(req, res, next) {
+    if (await isSetupComplete()) return hideWizard(req, res);
+    next();
+}
+
+// Checks and migrations: the token holder during setup, the admin after
+async function requireTokenOrAdmin(req, res, next) {
+    if (await isSetupComplete()) {
+        return await isAdminSession(req) ? next() : hideWizard(req, res);
+    }
+
+    if (!isAuthorized(req)) {
+        return res.status(401).json({ success: false, error: 'Enter the setup token first' });
+    }
+    next();
+}
+
+function check(id, label, status, detail) {
+    return { id, label, status, detail };
+}
+
+// Configuration and connectivity, each ok, warning or error
+async function runChecks() {
+    const type = storageType();
+    const checks = [check('storage', 'Storage', 'ok', `STORAGE=${type}`)];
+
+    if (usesMigrations()) {
+        if (!process.env.DATABASE_URL) {
+            checks.push(check('database', 'Database connection', 'error', 'Set DATABASE_URL to the Postgres connection string of your Supabase project'));
+        } else {
+            try {
+                await withDatabase(client => client.query('SELECT 1'));
+                checks.push(check('database', 'Database connection', 'ok', 'Connected to DATABASE_URL'));
+            } catch (error) {
+                checks.push(check('database', 'Database connection', 'error', `Could not connect: ${error.message}`));
+            }
+        }
+
+        const configured = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY;
+        checks.push(configured
+            ? check('supabase', 'Supabase API', 'ok', process.env.SUPABASE_URL)
+            : check('supabase', 'Supabase API', 'error', 'Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY'));
+    } else {
+        try {
+            await storage.hasAdmin();
+            checks.push(check('database', 'Database connection', 'ok', `Using ${process.env.SQLITE_PATH || 'data/defendaminecraft.db'}`));
+        } catch (error) {
+            checks.push(check('database', 'Database connection', 'error', error.message));
+        }
+    }
+
+    checks.push(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET
+        ? check('github', 'GitHub sign-in', 'ok', `Callback: ${process.env.GITHUB_REDIRECT_URI || 'http://localhost:3000/auth/github/callback'}`)
+        : check('github', 'GitHub sign-in', 'error', 'Set GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET; the admin signs in with GitHub'));
+
+    const sessionSecret = process.env.SESSION_SECRET;
+    checks.push(sessionSecret && sessionSecret !== 'public' && sessionSecret.length >= 16
+        ? check('session', 'Session secret', 'ok', 'SESSION_SECRET is set')
+        : check('session', 'Session secret', 'warning', 'Set SESSION_SECRET to a long random string so sign-ins survive restarts'));
+
+    checks.push(process.env.ENCRYPTION_KEY
+        ? check('encryption', 'Encryption key', 'ok', 'ENCRYPTION_KEY is set')
+        : check('encryption', 'Encryption key', 'warning', 'Without ENCRYPTION_KEY stored RCON passwords become unreadable after a restart'));
+
+    checks.push(process.env.CHALLENGE_SIGNING_KEYS
+        ? check('signing', 'Challenge signing keys', 'ok', 'CHALLENGE_SIGNING_KEYS is set')
+        : check('signing', 'Challenge signing keys', 'warning', 'Without CHALLENGE_SIGNING_KEYS tokens stop verifying after a restart'));
+
+    return checks;
+}
+
+// Pending and applied migrations, or null when the backend has none
+async function migrationStatus() {
+    if (!usesMigrations() || !process.env.DATABASE_URL) return null;
+
+    try {
+        const status = await withDatabase(client => getMigrationStatus(client));
+        return status.map(({ version, name, applied_at }) => ({ version, name, applied: Boolean(applied_at) }));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The database can take an admin account: migrations are applied, or the
+// backend creates its own schema
+async function databaseReady() {
+    return !usesMigrations() || await checkDatabaseSetup();
+}
+
+// Setup wizard page
+router.get('/', async (req, res) => {
+    const complete = await isSetupComplete();
+    if (complete && !await isAdminSession(req)) return hideWizard(req, res);
+
+    res.render('pages/setup', {
+        title: 'Setup | DefendAMinecraft',
+        authorized: complete || isAuthorized(req),
+        complete,
+        usesMigrations: usesMigrations()
+    });
+});
+
+// Exchange the boot token for a setup session
+router.post('/unlock', setupLimiter, requireOpen, (req, res) => {
+    if (!tokenMatches(req.body.token)) {
+        return res.status(403).json({ success: false, error: 'That setup token is not valid. Copy it from the server log.' });
+    }
+
+    req.session.setupAuthorized = digest(setupToken).toString('hex');
+    res.json({ success: true });
 });
 
-// Check database status
-router.get('/status', async (req, res) => {
+// Configuration checks and migration status
+router.get('/status', requireTokenOrAdmin, async (req, res) => {
     try {
-        const isSetup = await checkDatabaseSetup();
-        
+        const checks = await runChecks();
+        const migrations = await migrationStatus();
+
         res.json({
             success: true,
-            isSetup: isSetup,
-            supabaseConfigured: process.env.SUPABASE_URL && process.env.SUPABASE_URL !== 'https://your-project.supabase.co',
-            environment: process.env.NODE_ENV || 'development'
+            checks,
+            usesMigrations: usesMigrations(),
+            migrations,
+            databaseReady: await databaseReady()
         });
     } catch (error) {
-        res.json({
-            success: false,
-            isSetup: false,
-            supabaseConfigured: false,
-            error: error.message
-        });
+        console.error('Setup status error:', error);
+        res.status(500).json({ success: false, error: 'Failed to check the configuration' });
+    }
+});
+
+// Apply pending migrations, streaming one JSON line per progress event
+// followed by a final { type: 'done' } line
+router.post('/execute', requireTokenOrAdmin, async (req, res) => {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    const send = message => res.write(JSON.stringify(message) + '\n');
+
+    if (!usesMigrations()) {
+        send({ type: 'done', success: true, applied: [], message: 'This storage backend creates its own schema' });
+        return res.end();
     }
+
+    console.log('🚀 Setup wizard: applying migrations...');
+    const result = await executeSchema({
+        onProgress: progress => send({ type: 'progress', ...progress })
+    });
+
+    send(result.success
+        ? { type: 'done', success: true, applied: result.applied }
+        : { type: 'done', success: false, error: result.error });
+    res.end();
 });
 
-// Auto-initialize database
-router.post('/auto-init', async (req, res) => {
+// Make a GitHub account the first admin, then lock the wizard
+router.post('/admin', requireOpen, requireTokenOrAdmin, async (req, res) => {
+    const username = String(req.body.github_username || '').trim().replace(/^@/, '');
+    if (!GITHUB_USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ success: false, error: 'Enter a valid GitHub username' });
+    }
+    if (adminPending) {
+        return res.status(409).json({ success: false, error: 'An admin account is already being created' });
+    }
+
+    adminPending = true;
     try {
-        const result = await initializeDatabase();
-        
-        res.json({
-            success: result.success,
-            message: result.message || 'Database initialization completed',
-            details: result
+        if (!await databaseReady()) {
+            return res.status(409).json({ success: false, error: 'Apply the database migrations first' });
+        }
+
+        const response = await fetch(`https://api.github.com/users/${encodeURIComponent(username)}`, {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'DefendAMinecraft/1.0'
+            }
         });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Auto-initialization failed: ' + error.message
+        if (response.status === 404) {
+            return res.status(400).json({ success: false, error: `There is no GitHub account named ${username}` });
+        }
+        const profile = await response.json();
+        if (!response.ok) {
+            throw new Error(profile.message || 'Failed to fetch the GitHub profile');
+        }
+
+        const admin = await storage.saveUser({
+            github_id: profile.id,
+            github_username: profile.login,
+            full_name: profile.name || profile.login,
+            avatar_url: profile.avatar_url,
+            bio: profile.bio || null,
+            company: profile.company || null,
+            location: profile.location || null,
+            public_repos: profile.public_repos || 0,
+            followers: profile.followers || 0,
+            following: profile.following || 0,
+            github_created_at: profile.created_at || null,
+            role: 'admin'
         });
+
+        setupToken = null;
+        delete req.session.setupAuthorized;
+        console.log(`🔒 Setup complete: ${admin.github_username} is the admin, the setup wizard is now locked`);
+
+        res.json({ success: true, admin: { github_username: admin.github_username } });
+    } catch (error) {
+        console.error('Setup admin error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create the admin account: ' + error.message });
+    } finally {
+        adminPending = false;
     }
 });
 
+// Called once the server listens: while no admin exists, issue this boot's
+// setup token and print where to use it
+async function announceSetup(baseUrl) {
+    if (storageType() === 'memory') {
+        console.log('🛠️  The setup wizard is off with STORAGE=memory, which would reopen it on every restart. Use sqlite or supabase.');
+        return;
+    }
+
+    setupToken = crypto.randomBytes(18).toString('base64url');
+    if (await isSetupComplete()) return;
+
+    console.log('');
+    console.log('🛠️  No admin account yet. Finish setting up at:');
+    console.log(`   ${baseUrl}/setup`);
+    console.log(`🔑 Setup token (valid until the server restarts): ${setupToken}`);
+    console.log('');
+}
+
+router.announceSetup = announceSetup;
+
 module.exports = router;
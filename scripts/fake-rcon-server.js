@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Fake RCON server for trying out whitelist automation locally
+ * Accepts one password, prints every command it receives and answers the
+ * way a Minecraft server would.
+ *
+ * Usage: node scripts/fake-rcon-server.js [port] [password]
+ * (port 0 picks a free one, printed on start)
+ * Then point a key's RCON settings at 127.0.0.1 and that port, with
+ * RCON_ALLOW_PRIVATE_HOSTS=true set for the app.
+ */
+
+const net = require('net');
+const { PACKET_TYPES, AUTH_FAILED_ID, DEFAULT_RCON_PORT, encodePacket, decodePackets } = require('../lib/rcon');
+
+const port = process.argv[2] === undefined ? DEFAULT_RCON_PORT : Number(process.argv[2]);
+const password = process.argv[3] || 'minecraft';
+
+function reply(command) {
+    const [name, action, player] = command.split(/\s+/);
+    if (name === 'list') return 'There are 0 of a max of 20 players online: ';
+    if (name !== 'whitelist') return `Unknown command: ${name}`;
+    if (action === 'add') return `Added ${player} to the whitelist`;
+    if (action === 'remove') return `Removed ${player} from the whitelist`;
+    return 'There are 0 whitelisted players';
+}
+
+const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let authenticated = false;
+
+    socket.on('data', data => {
+        let packets;
+        try {
+            ({ packets, rest: buffer } = decodePackets(Buffer.concat([buffer, data])));
+        } catch (error) {
+            socket.destroy();
+            return;
+        }
+
+        for (const packet of packets) {
+            if (packet.type === PACKET_TYPES.LOGIN) {
+                authenticated = packet.body === password;
+                console.log(authenticated ? 'Login accepted' : 'Login rejected');
+                socket.write(encodePacket(authenticated ? packet.id : AUTH_FAILED_ID, PACKET_TYPES.LOGIN_RESPONSE, ''));
+            } else if (!authenticated) {
+                socket.destroy();
+            } else {
+                console.log(`> ${packet.body}`);
+                socket.write(encodePacket(packet.id, PACKET_TYPES.RESPONSE, reply(packet.body)));
+            }
+        }
+    });
+    socket.on('error', () => {});
+});
+
+server.listen(port, () => {
+    console.log(`Fake RCON server listening on port ${server.address().port} (password "${password}")`);
+});
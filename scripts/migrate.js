@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations for DefendAMinecraft
+ * Usage: npm run migrate -- <command>
+ *   up [--to <version>]   apply pending migrations (up to <version>)
+ *   down [--steps <n>]    revert the latest applied migrations (default 1)
+ *   status                list migrations and when they were applied
+ *   create <name>         add an empty migration to database/migrations and
+ *                         its SQLite twin to database/migrations/sqlite
+ * Every command but create connects to DATABASE_URL.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { withDatabase } = require('../config/supabase');
+const { createMigration, getMigrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+Commands:
+  up [--to <version>]   apply pending migrations
+  down [--steps <n>]    revert the latest applied migrations (default 1)
+  status                list migrations and when they were applied
+  create <name>         add an empty migration (Postgres and SQLite)`;
+
+// Value following --name in the arguments, or null
+function option(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? null : args[index + 1];
+}
+
+function logProgress({ version, name, status }) {
+    const icon = status === 'running' ? '⏳' : '✅';
+    console.log(`${icon} ${version}_${name} ${status}`);
+}
+
+async function up(args) {
+    const to = option(args, 'to');
+    if (to !== null && !/^\d+$/.test(to || '')) {
+        throw new Error('--to takes a migration number, e.g. --to 0002');
+    }
+
+    const applied = await withDatabase(client => migrateUp(client, { to, onProgress: logProgress }));
+    console.log(applied.length ? `\n🎉 Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+}
+
+async function down(args) {
+    const steps = parseInt(option(args, 'steps') || '1', 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive number');
+    }
+
+    const reverted = await withDatabase(client => migrateDown(client, { steps, onProgress: logProgress }));
+    console.log(reverted.length ? `\n↩️  Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+}
+
+async function status() {
+    const migrations = await withDatabase(client => getMigrationStatus(client));
+
+    for (const migration of migrations) {
+        const state = migration.applied_at
+            ? `applied ${new Date(migration.applied_at).toISOString()}`
+            : 'pending';
+        const notes = [
+            migration.changed && '⚠️  file changed since it was applied',
+            migration.missing && '⚠️  file missing'
+        ].filter(Boolean).join(', ');
+        console.log(`${migration.version}_${migration.name}  ${state}${notes ? '  ' + notes : ''}`);
+    }
+
+    const pending = migrations.filter(migration => !migration.applied_at).length;
+    console.log(`\n${migrations.length} migration(s), ${pending} pending`);
+}
+
+function create(args) {
+    for (const file of createMigration(args.join('_'))) {
+        console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+    }
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up':
+            return up(args);
+        case 'down':
+            return down(args);
+        case 'status':
+            return status();
+        case 'create':
+            return create(args);
+        default:
+            console.log(USAGE);
+            process.exitCode = command ? 1 : 0;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ ' + error.message);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Analytics rollups for DefendAMinecraft
+ * Usage: npm run rollup-analytics -- [--from <date>] [--to <date>]
+ *   (no options)        roll up every finished day not rolled up yet, and
+ *                       the latest one again to count late logs
+ *   --from YYYY-MM-DD   backfill: roll up every day from this date on,
+ *                       including days already rolled up
+ *   --to YYYY-MM-DD     last day to backfill (default yesterday)
+ * The server does the first on its own every hour; run this from cron when
+ * it doesn't stay up (e.g. serverless), or to backfill.
+ */
+
+require('dotenv').config();
+const { createStorage } = require('../lib/storage');
+const { rollupAnalytics } = require('../lib/analytics-rollups');
+const { DAY } = require('../lib/verification-stats');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Value following --name in the arguments, or null
+function option(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? null : args[index + 1];
+}
+
+function parseDate(value, name) {
+    if (!DATE_PATTERN.test(value || '') || Number.isNaN(Date.parse(value))) {
+        throw new Error(`--${name} takes a date like 2026-01-31`);
+    }
+    return value;
+}
+
+// Every date from `from` to `to`, both included
+function datesBetween(from, to) {
+    const dates = [];
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY) {
+        dates.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const type = process.env.STORAGE || 'memory';
+    if (type === 'memory') {
+        throw new Error('STORAGE=memory keeps logs inside the server process, which rolls them up itself');
+    }
+
+    let dates = null;
+    const from = option(args, 'from');
+    if (from !== null) {
+        const yesterday = new Date(Date.now() - DAY).toISOString().slice(0, 10);
+        const to = option(args, 'to') === null ? yesterday : parseDate(option(args, 'to'), 'to');
+        if (to > yesterday) {
+            throw new Error('Only finished days can be rolled up; today is still read from the raw logs');
+        }
+
+        dates = datesBetween(parseDate(from, 'from'), to);
+        if (dates.length === 0) {
+            throw new Error('--from must not be after --to');
+        }
+    }
+
+    let total = 0;
+    const rolled = await rollupAnalytics(createStorage(type), {
+        dates,
+        onDay: ({ date, verifications }) => {
+            total += verifications;
+            if (verifications > 0) console.log(`✅ ${date}  ${verifications} verification(s)`);
+        }
+    });
+    console.log(`\n📊 Rolled up ${rolled.length} day(s) with ${total} verification(s)`);
+}
+
+main().catch(error => {
+    console.error('❌ ' + error.message);
+    process.exit(1);
+});
@@ -0,0 +1,145 @@
+// Key the storage would otherwise generate per process, with a warning
+process.env.ENCRYPTION_KEY = 'analytics-rollups-test-encryption-key';
+
+const crypto = require('crypto');
+const { MemoryStorage } = require('../lib/storage/memory');
+const { summaryRows, rollupAnalytics } = require('../lib/analytics-rollups');
+
+// Noon on 2026-03-10 (UTC): the latest finished day is 2026-03-09
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+
+// Memory storage with one user and key
+async function setup() {
+    const storage = new MemoryStorage();
+    const user = await storage.saveUser({ github_id: 4242, github_username: 'rollup-test' });
+    const key = await storage.createApiKey(user.id, {
+        name: 'Rollup test',
+        key_value: 'da_live_rolluptest',
+        secret_key: 'da_secret_rolluptest',
+        environment: 'development',
+        domain: null,
+        is_active: true,
+        usage_count: 0
+    });
+    return { storage, user, key };
+}
+
+// Add `count` verifications at `createdAt`. They go straight into the log,
+// past the in-memory cap on its length, so a day can take several batches.
+function addLogs(storage, apiKeyId, createdAt, count, fields = {}) {
+    for (let i = 0; i < count; i++) {
+        storage.verificationLogs.unshift({
+            id: crypto.randomUUID(),
+            api_key_id: apiKeyId,
+            result: 'success',
+            ip_address: `203.0.113.${i % 50}`,
+            verification_time: 1,
+            created_at: createdAt,
+            ...fields
+        });
+    }
+}
+
+async function summary(storage, scope, scopeId, granularity, periodStart) {
+    const rows = await storage.getAnalyticsSummaries(scope, scopeId, granularity, periodStart, `${periodStart.slice(0, 10)}T23:59:59.999Z`);
+    return rows.find(row => row.period_start === periodStart) || null;
+}
+
+describe('getVerificationLogsBetween cursor', () => {
+    test('pages through logs sharing a timestamp without skipping or repeating any', async () => {
+        const { storage, key } = await setup();
+        addLogs(storage, key.id, '2026-03-09T10:00:00.000Z', 5);
+        addLogs(storage, key.id, '2026-03-09T11:00:00.000Z', 2);
+        addLogs(storage, key.id, '2026-03-10T00:00:00.000Z', 1);
+
+        const seen = [];
+        for (let after = null; ;) {
+            const logs = await storage.getVerificationLogsBetween('2026-03-09T00:00:00.000Z', '2026-03-10T00:00:00.000Z', 2, after);
+            seen.push(...logs);
+            if (logs.length < 2) break;
+            after = logs[logs.length - 1];
+        }
+
+        expect(seen).toHaveLength(7);
+        expect(new Set(seen.map(log => log.id)).size).toBe(7);
+        expect(seen.map(log => log.created_at)).toEqual([...seen.map(log => log.created_at)].sort());
+        expect(seen.every(log => log.user_id === key.user_id)).toBe(true);
+    });
+});
+
+describe('rollupAnalytics', () => {
+    let now;
+    beforeEach(() => {
+        now = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    });
+    afterEach(() => now.mockRestore());
+
+    test('reads a day in batches and counts every log once', async () => {
+        const { storage, user, key } = await setup();
+        addLogs(storage, key.id, '2026-03-09T08:30:00.000Z', 1200);
+        addLogs(storage, key.id, '2026-03-09T17:45:00.000Z', 1300, { result: 'blocked' });
+        const batches = jest.spyOn(storage, 'getVerificationLogsBetween');
+        const days = [];
+
+        await rollupAnalytics(storage, { dates: ['2026-03-09'], onDay: day => days.push(day) });
+
+        expect(batches).toHaveBeenCalledTimes(3);
+        expect(days).toEqual([{ date: '2026-03-09', verifications: 2500 }]);
+        expect(await storage.getRolledUpDates('2026-03-09', '2026-03-09')).toEqual(['2026-03-09']);
+
+        const day = await summary(storage, 'api_key', key.id, 'day', '2026-03-09T00:00:00.000Z');
+        expect(day).toMatchObject({ user_id: user.id, total_verifications: 2500, successful_verifications: 1200, blocked_attempts: 1300, unique_visitors: 50 });
+        expect(await summary(storage, 'user', user.id, 'day', '2026-03-09T00:00:00.000Z')).toMatchObject({ total_verifications: 2500 });
+        expect(await summary(storage, 'api_key', key.id, 'hour', '2026-03-09T08:00:00.000Z')).toMatchObject({ total_verifications: 1200 });
+        expect(await summary(storage, 'api_key', key.id, 'hour', '2026-03-09T17:00:00.000Z')).toMatchObject({ total_verifications: 1300 });
+    });
+
+    test('stores the same rows as summarizing the whole day at once', async () => {
+        const { storage, key } = await setup();
+        addLogs(storage, key.id, '2026-03-09T08:30:00.000Z', 1500, { country_code: 'GB' });
+        addLogs(storage, key.id, '2026-03-09T23:59:59.999Z', 700, { country_code: 'US', verification_time: 3 });
+
+        const logs = await storage.getVerificationLogsBetween('2026-03-09T00:00:00.000Z', '2026-03-10T00:00:00.000Z', 5000);
+        await rollupAnalytics(storage, { dates: ['2026-03-09'] });
+
+        const stored = [...storage.analyticsSummaries.values()].map(({ id, updated_at, ...row }) => row);
+        const byPeriod = row => `${row.scope}|${row.granularity}|${row.period_start}`;
+        expect(stored.sort((a, b) => byPeriod(a).localeCompare(byPeriod(b))))
+            .toEqual(summaryRows(logs).sort((a, b) => byPeriod(a).localeCompare(byPeriod(b))));
+    });
+
+    test('rolls up only the newest pending days when limited', async () => {
+        const { storage } = await setup();
+
+        expect(await rollupAnalytics(storage, { limit: 2 })).toEqual(['2026-03-08', '2026-03-09']);
+        expect(await storage.getRolledUpDates('2025-01-01', '2026-03-10')).toEqual(['2026-03-08', '2026-03-09']);
+    });
+
+    test('rolls up the latest finished day again to count late logs, and no other', async () => {
+        const { storage, key } = await setup();
+        addLogs(storage, key.id, '2026-03-08T12:00:00.000Z', 3);
+        addLogs(storage, key.id, '2026-03-09T23:58:00.000Z', 4);
+        addLogs(storage, key.id, '2026-03-10T09:00:00.000Z', 5);
+
+        const first = await rollupAnalytics(storage);
+        expect(first).toHaveLength(365);
+        expect(first[first.length - 1]).toBe('2026-03-09');
+
+        // Logged after the first run, with the time the verifications started
+        addLogs(storage, key.id, '2026-03-09T23:59:00.000Z', 2);
+        addLogs(storage, key.id, '2026-03-08T12:30:00.000Z', 1);
+
+        expect(await rollupAnalytics(storage)).toEqual(['2026-03-09']);
+        expect(await summary(storage, 'api_key', key.id, 'day', '2026-03-09T00:00:00.000Z')).toMatchObject({ total_verifications: 6 });
+        expect(await summary(storage, 'api_key', key.id, 'day', '2026-03-08T00:00:00.000Z')).toMatchObject({ total_verifications: 3 });
+        expect(await summary(storage, 'api_key', key.id, 'day', '2026-03-10T00:00:00.000Z')).toBeNull();
+    });
+
+    test('waits for a day to settle before counting it as finished', async () => {
+        const { storage } = await setup();
+        now.mockReturnValue(Date.parse('2026-03-10T00:05:00.000Z'));
+
+        const rolled = await rollupAnalytics(storage, { limit: 1 });
+        expect(rolled).toEqual(['2026-03-08']);
+    });
+});
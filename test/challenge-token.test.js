@@ -0,0 +1,159 @@
+const { MemoryTokenStore } = require('../lib/token-store');
+
+const OLD_KEY = 'old:challenge-token-test-old-secret';
+const NEW_KEY = 'new:challenge-token-test-new-secret';
+
+// lib/challenge-token.js with the given CHALLENGE_SIGNING_KEYS, which it
+// reads once when loaded
+function loadWithKeys(keys) {
+    const configured = process.env.CHALLENGE_SIGNING_KEYS;
+    process.env.CHALLENGE_SIGNING_KEYS = keys;
+
+    let loaded;
+    try {
+        jest.isolateModules(() => {
+            loaded = require('../lib/challenge-token');
+        });
+    } finally {
+        if (configured === undefined) {
+            delete process.env.CHALLENGE_SIGNING_KEYS;
+        } else {
+            process.env.CHALLENGE_SIGNING_KEYS = configured;
+        }
+    }
+    return loaded;
+}
+
+// The TokenError code verifyToken throws, or null when it passes
+function errorCode(tokens, token, options) {
+    try {
+        tokens.verifyToken(token, options);
+        return null;
+    } catch (error) {
+        if (!(error instanceof tokens.TokenError)) throw error;
+        return error.code;
+    }
+}
+
+// The token with its payload replaced, keeping the original signature
+function withPayload(token, claims) {
+    const [kid, , signature] = token.split('.');
+    return `${kid}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+}
+
+const tokens = loadWithKeys(OLD_KEY);
+const { TOKEN_ERRORS } = tokens;
+
+describe('issueToken and verifyToken', () => {
+    test('round-trip the claims with an id, issue time and expiry', () => {
+        const { token, claims } = tokens.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+
+        expect(token.split('.')[0]).toBe('old');
+        expect(claims).toMatchObject({ typ: 'challenge', key: 'key-1' });
+        expect(claims.exp - claims.iat).toBe(60 * 1000);
+        expect(tokens.verifyToken(token, { keyId: 'key-1', typ: 'challenge' })).toEqual(claims);
+    });
+
+    test('reject tokens that are not three non-empty parts', () => {
+        expect(errorCode(tokens, null)).toBe(TOKEN_ERRORS.MALFORMED);
+        expect(errorCode(tokens, 'old.abc')).toBe(TOKEN_ERRORS.MALFORMED);
+        expect(errorCode(tokens, 'old..sig')).toBe(TOKEN_ERRORS.MALFORMED);
+        expect(errorCode(tokens, 'old.not-json.sig')).toBe(TOKEN_ERRORS.MALFORMED);
+    });
+
+    test('reject a tampered payload', () => {
+        const { token, claims } = tokens.issueToken({ typ: 'response', key: 'key-1', score: 0.1 }, 60);
+
+        expect(errorCode(tokens, withPayload(token, { ...claims, score: 1 }))).toBe(TOKEN_ERRORS.TAMPERED);
+        expect(errorCode(tokens, withPayload(token, { ...claims, key: 'key-2' }), { keyId: 'key-2' })).toBe(TOKEN_ERRORS.TAMPERED);
+    });
+
+    test('reject a token signed with another secret under a known kid', () => {
+        const other = loadWithKeys('old:some-other-secret');
+        const { token } = other.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+
+        expect(errorCode(tokens, token)).toBe(TOKEN_ERRORS.TAMPERED);
+    });
+
+    test('reject a token issued for another API key or of another type', () => {
+        const { token } = tokens.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+
+        expect(errorCode(tokens, token, { keyId: 'key-2' })).toBe(TOKEN_ERRORS.KEY_MISMATCH);
+        expect(errorCode(tokens, token, { typ: 'response' })).toBe(TOKEN_ERRORS.MALFORMED);
+    });
+
+    test('reject an expired token', () => {
+        const { token, claims } = tokens.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+        const now = jest.spyOn(Date, 'now');
+
+        try {
+            now.mockReturnValue(claims.exp);
+            expect(errorCode(tokens, token)).toBeNull();
+
+            now.mockReturnValue(claims.exp + 1);
+            expect(errorCode(tokens, token)).toBe(TOKEN_ERRORS.EXPIRED);
+        } finally {
+            now.mockRestore();
+        }
+    });
+});
+
+describe('signing key rotation', () => {
+    test('signs with the first kid and still accepts the ones after it', () => {
+        const { token: oldToken, claims } = tokens.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+        const rotated = loadWithKeys(`${NEW_KEY},${OLD_KEY}`);
+        const { token: newToken } = rotated.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+
+        expect(newToken.split('.')[0]).toBe('new');
+        expect(rotated.verifyToken(oldToken)).toEqual(claims);
+        expect(errorCode(rotated, newToken)).toBeNull();
+        expect(errorCode(tokens, newToken)).toBe(TOKEN_ERRORS.FORGED);
+    });
+
+    test('treats tokens of a dropped kid as forged', () => {
+        const { token } = tokens.issueToken({ typ: 'challenge', key: 'key-1' }, 60);
+        const rotated = loadWithKeys(NEW_KEY);
+
+        expect(errorCode(rotated, token)).toBe(TOKEN_ERRORS.FORGED);
+    });
+
+    test('keeps sealed values readable until their kid is dropped', () => {
+        const sealed = tokens.sealValue('42');
+
+        expect(tokens.matchesSealedValue('42', sealed)).toBe(true);
+        expect(tokens.matchesSealedValue('43', sealed)).toBe(false);
+        expect(loadWithKeys(`${NEW_KEY},${OLD_KEY}`).matchesSealedValue('42', sealed)).toBe(true);
+        expect(loadWithKeys(NEW_KEY).matchesSealedValue('42', sealed)).toBe(false);
+    });
+
+    test('refuses entries that are not kid:secret', () => {
+        expect(() => loadWithKeys('no-separator')).toThrow('Invalid CHALLENGE_SIGNING_KEYS entry');
+        expect(() => loadWithKeys('kid:')).toThrow('Invalid CHALLENGE_SIGNING_KEYS entry');
+    });
+});
+
+describe('MemoryTokenStore', () => {
+    test('rejects a replayed token until it expires', async () => {
+        const store = new MemoryTokenStore();
+        const { claims } = tokens.issueToken({ typ: 'response', key: 'key-1' }, 60);
+
+        expect(await store.consume(claims.jti, claims.exp)).toBe(true);
+        expect(await store.consume(claims.jti, claims.exp)).toBe(false);
+        expect(await store.consume('another-jti', claims.exp)).toBe(true);
+    });
+
+    test('forgets tokens once they have expired', async () => {
+        const store = new MemoryTokenStore();
+        const now = jest.spyOn(Date, 'now');
+
+        try {
+            now.mockReturnValue(1000);
+            expect(await store.consume('jti', 2000)).toBe(true);
+
+            now.mockReturnValue(2000);
+            expect(await store.consume('jti', 3000)).toBe(true);
+        } finally {
+            now.mockRestore();
+        }
+    });
+});
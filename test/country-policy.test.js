@@ -0,0 +1,49 @@
+const { parseCountryPolicy, resolveCountryPolicy, matchCountryRule } = require('../lib/country-policy');
+
+// A public address, looked up as if the geo database had no entry for it
+const UNKNOWN_PUBLIC_IP = '8.8.4.4';
+
+describe('parseCountryPolicy', () => {
+    test('normalizes country lists', () => {
+        expect(parseCountryPolicy({ default: 'challenge', allow: 'us, gb', block: ['kp'] })).toEqual({
+            policy: { default: 'challenge', allow: ['US', 'GB'], challenge: [], block: ['KP'] }
+        });
+    });
+
+    test('rejects unknown actions, bad codes and countries listed twice', () => {
+        expect(parseCountryPolicy({ default: 'deny' }).error).toMatch('country_policy.default');
+        expect(parseCountryPolicy({ allow: ['USA'] }).error).toMatch('"USA"');
+        expect(parseCountryPolicy({ allow: ['US'], block: ['US'] }).error).toMatch('US is listed as both allow and block');
+    });
+
+    test('falls back to allowing every country', () => {
+        expect(resolveCountryPolicy({ country_policy: 'not json' }).default).toBe('allow');
+        expect(resolveCountryPolicy({ country_policy: '{"default":"block","allow":["US"]}' }).allow).toEqual(['US']);
+    });
+});
+
+describe('matchCountryRule', () => {
+    const allowlist = { default: 'block', allow: ['US'], challenge: ['RU'], block: [] };
+
+    test('applies the listed action, then the default', () => {
+        expect(matchCountryRule(allowlist, 'US', '8.8.8.8')).toEqual({ action: 'allow', country: 'US' });
+        expect(matchCountryRule(allowlist, 'RU', '8.8.8.8')).toEqual({ action: 'challenge', country: 'RU' });
+        expect(matchCountryRule(allowlist, 'DE', '8.8.8.8')).toEqual({ action: 'block', country: '*' });
+    });
+
+    test('applies the default to public addresses without a country', () => {
+        expect(matchCountryRule(allowlist, null, UNKNOWN_PUBLIC_IP)).toEqual({ action: 'block', country: '*' });
+        expect(matchCountryRule({ ...allowlist, default: 'challenge' }, undefined, '2001:4860::8888'))
+            .toEqual({ action: 'challenge', country: '*' });
+    });
+
+    test('leaves private and missing addresses alone', () => {
+        expect(matchCountryRule(allowlist, null, '127.0.0.1')).toBeNull();
+        expect(matchCountryRule(allowlist, null, '192.168.1.5')).toBeNull();
+        expect(matchCountryRule(allowlist, null, null)).toBeNull();
+    });
+
+    test('matches nothing under an allow default', () => {
+        expect(matchCountryRule({ default: 'allow', allow: [], challenge: [], block: [] }, null, UNKNOWN_PUBLIC_IP)).toBeNull();
+    });
+});
@@ -0,0 +1,90 @@
+const { parseDomainList, isValidPattern, requestHostname, isHostnameAllowed } = require('../lib/hostnames');
+
+const key = (domain, environment = 'production') => ({ domain, environment });
+
+describe('parseDomainList', () => {
+    test('splits on commas, spaces and new lines and drops duplicates', () => {
+        expect(parseDomainList('example.com, shop.example.com\n*.example.org  example.com')).toEqual([
+            'example.com',
+            'shop.example.com',
+            '*.example.org'
+        ]);
+        expect(parseDomainList(['a.example', 'A.EXAMPLE'])).toEqual(['a.example']);
+        expect(parseDomainList(null)).toEqual([]);
+    });
+
+    test('reduces pasted URLs to their host', () => {
+        expect(parseDomainList('https://Example.com:8443/path?q=1 http://localhost:3000/ example.org.')).toEqual([
+            'example.com',
+            'localhost',
+            'example.org'
+        ]);
+    });
+
+    test('drops the port of an IPv6 literal but keeps its last group', () => {
+        expect(parseDomainList('[::1]:3000 http://[::1]/')).toEqual(['[::1]']);
+        expect(parseDomainList('2001:db8::1')).toEqual(['2001:db8::1']);
+    });
+});
+
+describe('isValidPattern', () => {
+    test('accepts hosts, one leading wildcard and loopback addresses', () => {
+        expect(isValidPattern('example.com')).toBe(true);
+        expect(isValidPattern('*.example.com')).toBe(true);
+        expect(isValidPattern('127.0.0.1')).toBe(true);
+        expect(isValidPattern('[::1]')).toBe(true);
+    });
+
+    test('rejects malformed labels and other wildcards', () => {
+        expect(isValidPattern('-bad.example')).toBe(false);
+        expect(isValidPattern('bad-.example')).toBe(false);
+        expect(isValidPattern('ex_ample.com')).toBe(false);
+        expect(isValidPattern('*.*.example.com')).toBe(false);
+        expect(isValidPattern('shop.*.example.com')).toBe(false);
+    });
+});
+
+describe('isHostnameAllowed', () => {
+    const shop = key('example.com *.shop.example.com');
+
+    test('matches exact hosts exactly', () => {
+        expect(isHostnameAllowed(shop, 'example.com')).toBe(true);
+        expect(isHostnameAllowed(shop, 'www.example.com')).toBe(false);
+        expect(isHostnameAllowed(shop, 'example.com.evil.test')).toBe(false);
+    });
+
+    test('matches wildcards on subdomains only, at a label boundary', () => {
+        expect(isHostnameAllowed(shop, 'eu.shop.example.com')).toBe(true);
+        expect(isHostnameAllowed(shop, 'a.b.shop.example.com')).toBe(true);
+        expect(isHostnameAllowed(shop, 'shop.example.com')).toBe(false);
+        expect(isHostnameAllowed(shop, 'evilshop.example.com')).toBe(false);
+    });
+
+    test('adds localhost for development keys only', () => {
+        expect(isHostnameAllowed(shop, 'localhost')).toBe(false);
+        expect(isHostnameAllowed(key('example.com', 'development'), 'localhost')).toBe(true);
+        expect(isHostnameAllowed(key('example.com', 'development'), 'app.localhost')).toBe(true);
+        expect(isHostnameAllowed(key('example.com', 'development'), '[::1]')).toBe(true);
+    });
+
+    test('does not restrict keys without domains, and rejects unknown pages otherwise', () => {
+        expect(isHostnameAllowed(key(''), null)).toBe(true);
+        expect(isHostnameAllowed(key(null, 'development'), 'anywhere.test')).toBe(true);
+        expect(isHostnameAllowed(shop, null)).toBe(false);
+    });
+});
+
+describe('requestHostname', () => {
+    const request = headers => ({ headers });
+
+    test('reads Origin, falling back to Referer', () => {
+        expect(requestHostname(request({ origin: 'https://Shop.Example.com', referer: 'https://other.test/' }))).toBe('shop.example.com');
+        expect(requestHostname(request({ origin: 'null', referer: 'https://shop.example.com/checkout' }))).toBe('shop.example.com');
+        expect(requestHostname(request({ origin: 'http://[::1]:3000' }))).toBe('[::1]');
+    });
+
+    test('returns null without a usable header', () => {
+        expect(requestHostname(request({}))).toBeNull();
+        expect(requestHostname(request({ origin: 'not a url' }))).toBeNull();
+    });
+});
@@ -0,0 +1,101 @@
+const { parseCidr, cidrContains } = require('../lib/ip');
+const { parseIpRule, matchIpRule } = require('../lib/ip-rules');
+
+const rule = (cidr, action) => ({ cidr, action });
+
+describe('parseCidr', () => {
+    test('clears host bits in the canonical text', () => {
+        expect(parseCidr('10.1.2.3/8')).toMatchObject({ bits: 32, prefix: 8, text: '10.0.0.0/8' });
+        expect(parseCidr('fe80::1:0:0:1/64')).toMatchObject({ bits: 128, prefix: 64, text: 'fe80::/64' });
+    });
+
+    test('reads bare addresses as single-host ranges', () => {
+        expect(parseCidr('203.0.113.7').text).toBe('203.0.113.7/32');
+        expect(parseCidr('2001:db8::1').text).toBe('2001:db8::1/128');
+        expect(parseCidr('::ffff:192.0.2.1').text).toBe('192.0.2.1/32');
+    });
+
+    test('lower-cases and compresses IPv6, including a dotted IPv4 tail', () => {
+        expect(parseCidr('2001:DB8:0:0:1::/32').text).toBe('2001:db8::/32');
+        expect(parseCidr('2001:db8::ffff:1.2.3.4').text).toBe('2001:db8::ffff:102:304/128');
+        expect(parseCidr('::/0').text).toBe('::/0');
+    });
+
+    test('rejects bad addresses and prefixes', () => {
+        expect(parseCidr('300.1.1.1')).toBeNull();
+        expect(parseCidr('1.2.3.4/33')).toBeNull();
+        expect(parseCidr('2001:db8::/129')).toBeNull();
+        expect(parseCidr('1.2.3.4/x')).toBeNull();
+        expect(parseCidr(null)).toBeNull();
+    });
+});
+
+describe('cidrContains', () => {
+    test('matches IPv4 ranges on the prefix boundary', () => {
+        expect(cidrContains('172.16.0.0/12', '172.31.255.255')).toBe(true);
+        expect(cidrContains('172.16.0.0/12', '172.32.0.1')).toBe(false);
+        expect(cidrContains('0.0.0.0/0', '8.8.8.8')).toBe(true);
+    });
+
+    test('matches IPv6 ranges past 64 bits', () => {
+        expect(cidrContains('2001:db8::/32', '2001:db8:ffff:ffff::1')).toBe(true);
+        expect(cidrContains('2001:db8::/32', '2001:db9::1')).toBe(false);
+        expect(cidrContains('2001:db8::1:0/112', '2001:db8::1:ffff')).toBe(true);
+        expect(cidrContains('2001:db8::1:0/112', '2001:db8::2:0')).toBe(false);
+    });
+
+    test('matches IPv4-mapped addresses as IPv4, and never across families', () => {
+        expect(cidrContains('10.0.0.0/8', '::ffff:10.9.9.9')).toBe(true);
+        expect(cidrContains('::/0', '1.2.3.4')).toBe(false);
+        expect(cidrContains('0.0.0.0/0', '::1')).toBe(false);
+        expect(cidrContains('10.0.0.0/8', 'not-an-ip')).toBe(false);
+    });
+});
+
+describe('parseIpRule', () => {
+    test('stores the canonical range and a trimmed note', () => {
+        expect(parseIpRule({ cidr: '203.0.113.7/24', action: 'deny', note: '  scraper  ' })).toEqual({
+            rule: { cidr: '203.0.113.0/24', action: 'deny', note: 'scraper' }
+        });
+        expect(parseIpRule({ cidr: '2001:db8::1', action: 'allow' }).rule).toEqual({ cidr: '2001:db8::1/128', action: 'allow', note: null });
+    });
+
+    test('rejects bad ranges, actions and notes', () => {
+        expect(parseIpRule({ cidr: 'example.com', action: 'deny' }).error).toMatch(/^cidr must be/);
+        expect(parseIpRule({ cidr: '1.1.1.1', action: 'block' }).error).toMatch(/^action must be/);
+        expect(parseIpRule({ cidr: '1.1.1.1', action: 'allow', note: 3 }).error).toBe('note must be a string');
+        expect(parseIpRule().error).toMatch(/^cidr must be/);
+    });
+});
+
+describe('matchIpRule', () => {
+    const rules = [
+        rule('10.0.0.0/8', 'deny'),
+        rule('10.1.0.0/16', 'allow'),
+        rule('10.1.2.3', 'deny'),
+        rule('2001:db8::/32', 'deny'),
+        rule('2001:db8:1::/48', 'allow')
+    ];
+
+    test('picks the most specific rule containing the IP', () => {
+        expect(matchIpRule(rules, '10.9.9.9')).toBe(rules[0]);
+        expect(matchIpRule(rules, '10.1.9.9')).toBe(rules[1]);
+        expect(matchIpRule(rules, '::ffff:10.1.2.3')).toBe(rules[2]);
+        expect(matchIpRule(rules, '2001:db8:2::1')).toBe(rules[3]);
+        expect(matchIpRule(rules, '2001:db8:1::1')).toBe(rules[4]);
+    });
+
+    test('lets deny win between equally specific rules, in any order', () => {
+        const allow = rule('192.0.2.0/24', 'allow');
+        const deny = rule('192.0.2.0/24', 'deny');
+
+        expect(matchIpRule([allow, deny], '192.0.2.1')).toBe(deny);
+        expect(matchIpRule([deny, allow], '192.0.2.1')).toBe(deny);
+    });
+
+    test('returns null without a matching rule', () => {
+        expect(matchIpRule(rules, '192.0.2.1')).toBeNull();
+        expect(matchIpRule(rules, null)).toBeNull();
+        expect(matchIpRule(null, '10.0.0.1')).toBeNull();
+    });
+});
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MigrationError,
+    parseMigration,
+    loadMigrations,
+    createMigration,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    migrateSqlite
+} = require('../lib/migrations');
+
+// better-sqlite3 is an optional dependency
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    // SQLite tests are skipped
+}
+
+const migration = (up, down = '') => `-- migrate:up\n${up}\n${down ? `\n-- migrate:down\n${down}\n` : ''}`;
+
+// Temporary migrations directories holding the given files, removed afterwards
+const dirs = [];
+afterAll(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir(files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+    for (const [file, text] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), text);
+    }
+    dirs.push(dir);
+    return dir;
+}
+
+// Stands in for a pg client: keeps schema_migrations in a Map, rolls it back
+// with the transaction, records every migration statement it runs and fails
+// the ones containing FAIL
+function fakeClient() {
+    let records = new Map();
+    let snapshot = null;
+    const ran = [];
+
+    const query = async (sql, params = []) => {
+        const text = sql.trim();
+        if (text.startsWith('BEGIN')) {
+            snapshot = new Map(records);
+        } else if (text.startsWith('COMMIT')) {
+            snapshot = null;
+        } else if (text.startsWith('ROLLBACK')) {
+            records = snapshot;
+            snapshot = null;
+        } else if (text.startsWith('SELECT version')) {
+            return { rows: [...records.values()].sort((a, b) => a.version.localeCompare(b.version)) };
+        } else if (text.startsWith('INSERT INTO public.schema_migrations')) {
+            const [version, name, checksum] = params;
+            records.set(version, { version, name, checksum, applied_at: new Date() });
+        } else if (text.startsWith('DELETE FROM public.schema_migrations')) {
+            records.delete(params[0]);
+        } else if (!/schema_migrations|pg_advisory/.test(text)) {
+            if (text.includes('FAIL')) throw new Error('syntax error at or near "FAIL"');
+            ran.push(text);
+        }
+        return { rows: [] };
+    };
+
+    return { query, ran, versions: () => [...records.keys()].sort() };
+}
+
+describe('parseMigration', () => {
+    test('splits the up and down sections', () => {
+        expect(parseMigration('0002_add_notes.sql', migration('CREATE TABLE notes ();', 'DROP TABLE notes;'))).toMatchObject({
+            version: '0002',
+            name: 'add_notes',
+            up: 'CREATE TABLE notes ();',
+            down: 'DROP TABLE notes;'
+        });
+        expect(parseMigration('0003_no_down.sql', migration('SELECT 1;')).down).toBe('');
+    });
+
+    test('rejects bad names and misplaced markers', () => {
+        expect(() => parseMigration('add_notes.sql', migration('SELECT 1;'))).toThrow(MigrationError);
+        expect(() => parseMigration('0001_x.sql', 'SELECT 1;')).toThrow('missing "-- migrate:up"');
+        expect(() => parseMigration('0001_x.sql', '-- migrate:down\nSELECT 2;\n-- migrate:up\nSELECT 1;'))
+            .toThrow('"-- migrate:down" must come after "-- migrate:up"');
+    });
+});
+
+describe('loadMigrations', () => {
+    test('orders files by version and ignores other files', () => {
+        const dir = tempDir({
+            '0010_later.sql': migration('SELECT 10;'),
+            '0002_second.sql': migration('SELECT 2;'),
+            '0001_first.sql': migration('SELECT 1;'),
+            'README.md': '# not a migration'
+        });
+
+        expect(loadMigrations(dir).map(entry => entry.file)).toEqual(['0001_first.sql', '0002_second.sql', '0010_later.sql']);
+        expect(loadMigrations(path.join(dir, 'missing'))).toEqual([]);
+    });
+
+    test('rejects two migrations with one number', () => {
+        const dir = tempDir({ '0001_a.sql': migration('SELECT 1;'), '0001_b.sql': migration('SELECT 1;') });
+        expect(() => loadMigrations(dir)).toThrow('Two migrations are numbered 0001');
+    });
+});
+
+describe('createMigration', () => {
+    test('writes the Postgres file and its SQLite twin, numbered past both', () => {
+        const dir = tempDir({ '0001_first.sql': migration('SELECT 1;') });
+        const sqliteDir = path.join(dir, 'sqlite');
+        fs.mkdirSync(sqliteDir);
+        fs.writeFileSync(path.join(sqliteDir, '0002_sqlite_only.sql'), migration('SELECT 2;'));
+
+        expect(createMigration('Add player notes!', dir)).toEqual([
+            path.join(dir, '0003_add_player_notes.sql'),
+            path.join(sqliteDir, '0003_add_player_notes.sql')
+        ]);
+        expect(loadMigrations(dir).pop()).toMatchObject({ version: '0003', up: '', down: '' });
+        expect(loadMigrations(sqliteDir).pop()).toMatchObject({ version: '0003', name: 'add_player_notes' });
+        expect(() => createMigration('!!', dir)).toThrow('Give the migration a name');
+    });
+});
+
+describe('migrateUp and migrateDown', () => {
+    const files = {
+        '0003_third.sql': migration('CREATE TABLE c ();', 'DROP TABLE c;'),
+        '0001_first.sql': migration('CREATE TABLE a ();', 'DROP TABLE a;'),
+        '0002_second.sql': migration('CREATE TABLE b ();', 'DROP TABLE b;')
+    };
+
+    test('apply pending migrations oldest first, reporting progress', async () => {
+        const dir = tempDir(files);
+        const client = fakeClient();
+        const progress = [];
+
+        const applied = await migrateUp(client, { dir, onProgress: event => progress.push(`${event.status} ${event.version}`) });
+
+        expect(applied.map(entry => entry.version)).toEqual(['0001', '0002', '0003']);
+        expect(client.ran).toEqual(['CREATE TABLE a ();', 'CREATE TABLE b ();', 'CREATE TABLE c ();']);
+        expect(progress).toEqual(['running 0001', 'applied 0001', 'running 0002', 'applied 0002', 'running 0003', 'applied 0003']);
+        expect(await migrateUp(client, { dir })).toEqual([]);
+    });
+
+    test('stop at --to and pick up from there', async () => {
+        const dir = tempDir(files);
+        const client = fakeClient();
+
+        await migrateUp(client, { dir, to: '0002' });
+        expect(client.versions()).toEqual(['0001', '0002']);
+
+        const status = await getMigrationStatus(client, { dir });
+        expect(status.map(entry => [entry.version, Boolean(entry.applied_at)])).toEqual([['0001', true], ['0002', true], ['0003', false]]);
+
+        expect((await migrateUp(client, { dir })).map(entry => entry.version)).toEqual(['0003']);
+    });
+
+    test('leave a failing migration and everything after it unapplied', async () => {
+        const dir = tempDir({ ...files, '0002_second.sql': migration('FAIL;') });
+        const client = fakeClient();
+
+        await expect(migrateUp(client, { dir })).rejects.toThrow('0002_second.sql failed: syntax error');
+        expect(client.versions()).toEqual(['0001']);
+        expect(client.ran).toEqual(['CREATE TABLE a ();']);
+    });
+
+    test('revert the latest migrations newest first', async () => {
+        const dir = tempDir(files);
+        const client = fakeClient();
+        await migrateUp(client, { dir });
+        client.ran.length = 0;
+
+        const reverted = await migrateDown(client, { dir, steps: 2 });
+
+        expect(reverted.map(entry => entry.version)).toEqual(['0003', '0002']);
+        expect(client.ran).toEqual(['DROP TABLE c;', 'DROP TABLE b;']);
+        expect(client.versions()).toEqual(['0001']);
+    });
+
+    test('refuse to revert without a down section, before reverting anything', async () => {
+        const dir = tempDir({ ...files, '0002_second.sql': migration('CREATE TABLE b ();') });
+        const client = fakeClient();
+        await migrateUp(client, { dir });
+        client.ran.length = 0;
+
+        await expect(migrateDown(client, { dir, steps: 2 })).rejects.toThrow('0002_second.sql has no "-- migrate:down" section');
+        expect(client.ran).toEqual([]);
+        expect(client.versions()).toEqual(['0001', '0002', '0003']);
+    });
+
+    test('report edited and deleted migrations in the status', async () => {
+        const dir = tempDir(files);
+        const client = fakeClient();
+        await migrateUp(client, { dir });
+
+        fs.writeFileSync(path.join(dir, '0002_second.sql'), migration('CREATE TABLE b (id INT);', 'DROP TABLE b;'));
+        fs.rmSync(path.join(dir, '0003_third.sql'));
+
+        const status = await getMigrationStatus(client, { dir });
+        expect(status.map(({ version, changed, missing }) => ({ version, changed, missing }))).toEqual([
+            { version: '0001', changed: false, missing: false },
+            { version: '0002', changed: true, missing: false },
+            { version: '0003', changed: false, missing: true }
+        ]);
+        await expect(migrateDown(client, { dir })).rejects.toThrow('Migration 0003 is applied but its file is missing');
+    });
+});
+
+(Database ? describe : describe.skip)('migrateSqlite', () => {
+    test('applies pending migrations in order, once', () => {
+        const dir = tempDir({
+            '0002_add_name.sql': migration('ALTER TABLE players ADD COLUMN name TEXT;'),
+            '0001_players.sql': migration('CREATE TABLE players (id INTEGER PRIMARY KEY);')
+        });
+        const db = new Database(':memory:');
+
+        try {
+            expect(migrateSqlite(db, { dir }).map(entry => entry.version)).toEqual(['0001', '0002']);
+            expect(migrateSqlite(db, { dir })).toEqual([]);
+            expect(db.prepare('SELECT name FROM pragma_table_info(\'players\')').all().map(row => row.name)).toEqual(['id', 'name']);
+        } finally {
+            db.close();
+        }
+    });
+
+    test('rolls back a failing migration with its record', () => {
+        const dir = tempDir({
+            '0001_players.sql': migration('CREATE TABLE players (id INTEGER PRIMARY KEY);'),
+            '0002_broken.sql': migration('CREATE TABLE notes (id INTEGER);\nFAIL;')
+        });
+        const db = new Database(':memory:');
+
+        try {
+            expect(() => migrateSqlite(db, { dir })).toThrow('sqlite/0002_broken.sql failed');
+            expect(db.prepare('SELECT version FROM schema_migrations').all()).toEqual([{ version: '0001' }]);
+            expect(db.prepare('SELECT name FROM sqlite_master WHERE name = \'notes\'').get()).toBeUndefined();
+        } finally {
+            db.close();
+        }
+    });
+});
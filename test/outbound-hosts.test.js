@@ -0,0 +1,68 @@
+const http = require('http');
+const { HostNotAllowedError, resolvePublicHost, pinnedLookup } = require('../lib/outbound-hosts');
+const { deliverCallback } = require('../lib/player-sessions');
+
+describe('resolvePublicHost', () => {
+    test('passes public addresses', async () => {
+        await expect(resolvePublicHost('8.8.8.8')).resolves.toEqual(['8.8.8.8']);
+        await expect(resolvePublicHost('[2606:4700:4700::1111]')).resolves.toEqual(['2606:4700:4700::1111']);
+    });
+
+    test('refuses loopback, private and metadata addresses', async () => {
+        for (const host of ['127.0.0.1', 'localhost', '10.1.2.3', '169.254.169.254', '[::1]', '[::ffff:127.0.0.1]']) {
+            await expect(resolvePublicHost(host)).rejects.toThrow(HostNotAllowedError);
+        }
+    });
+});
+
+describe('pinnedLookup', () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => res.end(req.headers.host));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('connects to the pinned address whatever the hostname resolves to', async () => {
+        const body = await new Promise((resolve, reject) => {
+            http.get(`http://pinned.invalid:${port}/`, { lookup: pinnedLookup('127.0.0.1') }, response => {
+                let data = '';
+                response.on('data', chunk => { data += chunk; });
+                response.on('end', () => resolve(data));
+            }).on('error', reject);
+        });
+
+        // The Host header still names the original host
+        expect(body).toBe(`pinned.invalid:${port}`);
+    });
+
+    test('answers both lookup forms', () => {
+        const lookup = pinnedLookup('2001:db8::1');
+        const single = jest.fn();
+        const all = jest.fn();
+
+        lookup('example.com', {}, single);
+        lookup('example.com', { all: true }, all);
+
+        expect(single).toHaveBeenCalledWith(null, '2001:db8::1', 6);
+        expect(all).toHaveBeenCalledWith(null, [{ address: '2001:db8::1', family: 6 }]);
+    });
+});
+
+describe('deliverCallback', () => {
+    test('refuses callbacks to private hosts without connecting', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            await expect(deliverCallback({ callback_url: 'http://169.254.169.254/latest/meta-data' }, 'secret', {}))
+                .resolves.toBe('failed');
+            expect(consoleError.mock.calls[0][0]).toContain('refused');
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+});
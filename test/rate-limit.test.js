@@ -0,0 +1,92 @@
+// Keys the routes would otherwise generate per process, with a warning
+process.env.CHALLENGE_SIGNING_KEYS = 'test:rate-limit-test-signing-secret';
+process.env.ENCRYPTION_KEY = 'rate-limit-test-encryption-key';
+
+const express = require('express');
+const { trustProxySetting } = require('../lib/ip');
+const { getStorage } = require('../lib/storage');
+const apiRoutes = require('../routes/api');
+
+const SITE_KEY = 'da_live_ratelimittest';
+const IP_RATE_LIMIT = 3;
+
+// The API router behind the trust proxy setting the app uses by default
+let server;
+let base;
+
+beforeAll(async () => {
+    const app = express();
+    app.set('trust proxy', trustProxySetting(undefined));
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api`;
+
+    const storage = getStorage();
+    const user = await storage.saveUser({ github_id: 9001, github_username: 'rate-limit-test' });
+    await storage.createApiKey(user.id, {
+        name: 'Rate limit test',
+        key_value: SITE_KEY,
+        secret_key: 'da_secret_ratelimittest',
+        environment: 'development',
+        domain: null,
+        is_active: true,
+        usage_count: 0,
+        ip_rate_limit: IP_RATE_LIMIT
+    });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+function requestChallenge(forwardedFor) {
+    return fetch(`${base}/v1/challenge`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'x-api-key': SITE_KEY,
+            'x-forwarded-for': forwardedFor,
+            origin: 'http://localhost'
+        },
+        body: JSON.stringify({ type: 'checkbox' })
+    });
+}
+
+describe('trustProxySetting', () => {
+    test('trusts no proxy unless told to', () => {
+        expect(trustProxySetting(undefined)).toBe(false);
+        expect(trustProxySetting('')).toBe(false);
+        expect(trustProxySetting('false')).toBe(false);
+    });
+
+    test('takes a hop count or proxy addresses', () => {
+        expect(trustProxySetting('1')).toBe(1);
+        expect(trustProxySetting('loopback, 10.0.0.0/8')).toEqual(['loopback', '10.0.0.0/8']);
+    });
+
+    test('refuses to trust every hop or unknown values', () => {
+        expect(() => trustProxySetting('true')).toThrow('TRUST_PROXY=true');
+        expect(() => trustProxySetting('everyone')).toThrow('everyone');
+    });
+});
+
+describe('per-key and IP rate limit', () => {
+    test('is not reset by a forged X-Forwarded-For header', async () => {
+        // express-rate-limit warns once about the header being ignored
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const statuses = [];
+            for (let i = 0; i <= IP_RATE_LIMIT; i++) {
+                const response = await requestChallenge(`198.51.100.${i + 1}`);
+                statuses.push(response.status);
+            }
+
+            expect(statuses).toEqual([200, 200, 200, 429]);
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,241 @@
+// Key the storage would otherwise generate per process, with a warning
+process.env.ENCRYPTION_KEY = 'rcon-test-encryption-key';
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const {
+    PACKET_TYPES,
+    RETRY_DELAYS,
+    DELIVERY_WINDOW,
+    INTERRUPTED_ERROR,
+    RconError,
+    encodePacket,
+    decodePackets,
+    sendRconCommands,
+    deliverCommands,
+    failInterruptedDeliveries
+} = require('../lib/rcon');
+const { MemoryStorage } = require('../lib/storage/memory');
+
+const FAKE_SERVER = path.join(__dirname, '..', 'scripts', 'fake-rcon-server.js');
+const PASSWORD = 'minecraft';
+
+// scripts/fake-rcon-server.js on a free port, reached over loopback
+let fakeServer;
+let port;
+const allowPrivate = process.env.RCON_ALLOW_PRIVATE_HOSTS;
+
+beforeAll(async () => {
+    process.env.RCON_ALLOW_PRIVATE_HOSTS = 'true';
+
+    fakeServer = spawn(process.execPath, [FAKE_SERVER, '0', PASSWORD]);
+    port = await new Promise((resolve, reject) => {
+        fakeServer.stdout.on('data', data => {
+            const match = String(data).match(/listening on port (\d+)/);
+            if (match) resolve(Number(match[1]));
+        });
+        fakeServer.once('exit', () => reject(new Error('Fake RCON server exited')));
+    });
+});
+
+afterAll(() => {
+    fakeServer.kill();
+    if (allowPrivate === undefined) {
+        delete process.env.RCON_ALLOW_PRIVATE_HOSTS;
+    } else {
+        process.env.RCON_ALLOW_PRIVATE_HOSTS = allowPrivate;
+    }
+});
+
+describe('encodePacket', () => {
+    test('writes length, id, type, body and two NUL bytes little-endian', () => {
+        const packet = encodePacket(7, PACKET_TYPES.COMMAND, 'list');
+
+        expect(packet.length).toBe(18);
+        expect(packet.readInt32LE(0)).toBe(14);
+        expect(packet.readInt32LE(4)).toBe(7);
+        expect(packet.readInt32LE(8)).toBe(PACKET_TYPES.COMMAND);
+        expect(packet.toString('utf8', 12, 16)).toBe('list');
+        expect([...packet.subarray(16)]).toEqual([0, 0]);
+    });
+
+    test('counts the body in bytes, not characters', () => {
+        const packet = encodePacket(1, PACKET_TYPES.COMMAND, 'say héllo');
+        expect(packet.readInt32LE(0)).toBe(10 + Buffer.byteLength('say héllo'));
+    });
+});
+
+describe('decodePackets', () => {
+    test('reads back what encodePacket wrote', () => {
+        const { packets, rest } = decodePackets(Buffer.concat([
+            encodePacket(1, PACKET_TYPES.LOGIN, 'secret'),
+            encodePacket(2, PACKET_TYPES.RESPONSE, 'There are 0 of a max of 20 players online: ')
+        ]));
+
+        expect(packets).toEqual([
+            { id: 1, type: PACKET_TYPES.LOGIN, body: 'secret' },
+            { id: 2, type: PACKET_TYPES.RESPONSE, body: 'There are 0 of a max of 20 players online: ' }
+        ]);
+        expect(rest.length).toBe(0);
+    });
+
+    test('keeps an incomplete packet for the next chunk', () => {
+        const whole = encodePacket(3, PACKET_TYPES.RESPONSE, 'Added Notch to the whitelist');
+        const first = decodePackets(whole.subarray(0, 10));
+
+        expect(first.packets).toEqual([]);
+        expect(first.rest.length).toBe(10);
+
+        const second = decodePackets(Buffer.concat([first.rest, whole.subarray(10)]));
+        expect(second.packets).toEqual([{ id: 3, type: PACKET_TYPES.RESPONSE, body: 'Added Notch to the whitelist' }]);
+    });
+
+    test('rejects impossible lengths', () => {
+        const packet = encodePacket(1, PACKET_TYPES.RESPONSE, '');
+        packet.writeInt32LE(5, 0);
+
+        expect(() => decodePackets(packet)).toThrow(RconError);
+    });
+});
+
+describe('sendRconCommands', () => {
+    test('logs in and returns each reply in order', async () => {
+        const replies = await sendRconCommands({ host: '127.0.0.1', port, password: PASSWORD },
+            ['whitelist add Notch', 'list']);
+
+        expect(replies).toEqual([
+            'Added Notch to the whitelist',
+            'There are 0 of a max of 20 players online: '
+        ]);
+    });
+
+    test('rejects a wrong password', async () => {
+        await expect(sendRconCommands({ host: '127.0.0.1', port, password: 'wrong' }, ['list']))
+            .rejects.toThrow('RCON password was rejected');
+    });
+
+    test('rejects without a password', async () => {
+        await expect(sendRconCommands({ host: '127.0.0.1', port, password: null }, ['list']))
+            .rejects.toThrow(RconError);
+    });
+
+    test('fails alike for a closed port', async () => {
+        const closed = net.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+
+        await expect(sendRconCommands({ host: '127.0.0.1', port: closedPort, password: PASSWORD }, ['list']))
+            .rejects.toThrow('Could not connect to the RCON server');
+    });
+
+    test('refuses private hosts unless RCON_ALLOW_PRIVATE_HOSTS is set', async () => {
+        delete process.env.RCON_ALLOW_PRIVATE_HOSTS;
+        try {
+            await expect(sendRconCommands({ host: '127.0.0.1', port, password: PASSWORD }, ['list']))
+                .rejects.toThrow('RCON host must be a public address');
+        } finally {
+            process.env.RCON_ALLOW_PRIVATE_HOSTS = 'true';
+        }
+    });
+});
+
+describe('deliverCommands', () => {
+    const NOT_CONFIGURED = 'RCON is no longer configured for this key';
+
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('retries after 5, 30 and 120 seconds, then fails', async () => {
+        expect(RETRY_DELAYS).toEqual([5, 30, 120]);
+
+        const saves = [];
+        const loadServer = jest.fn(async () => null);
+        const done = deliverCommands({ commands: ['list'], attempts: 0 }, loadServer, async updates => {
+            saves.push(updates);
+            return updates;
+        });
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(loadServer).toHaveBeenCalledTimes(1);
+
+        let calls = 1;
+        for (const delay of RETRY_DELAYS) {
+            await jest.advanceTimersByTimeAsync(delay * 1000 - 1);
+            expect(loadServer).toHaveBeenCalledTimes(calls);
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(loadServer).toHaveBeenCalledTimes(++calls);
+        }
+
+        await expect(done).resolves.toEqual({ status: 'failed', attempts: 4, last_error: NOT_CONFIGURED });
+        expect(saves).toEqual([
+            { status: 'retrying', attempts: 1, last_error: NOT_CONFIGURED },
+            { status: 'retrying', attempts: 2, last_error: NOT_CONFIGURED },
+            { status: 'retrying', attempts: 3, last_error: NOT_CONFIGURED },
+            { status: 'failed', attempts: 4, last_error: NOT_CONFIGURED }
+        ]);
+    });
+
+    test('stops retrying once an attempt succeeds, with the settings loaded for it', async () => {
+        const loadServer = jest.fn()
+            .mockResolvedValueOnce(null)
+            .mockResolvedValue({ host: '127.0.0.1', port, password: PASSWORD });
+        const saves = [];
+        const done = deliverCommands({ commands: ['whitelist add Notch'], attempts: 0 }, loadServer, async updates => {
+            saves.push(updates);
+            return updates;
+        });
+
+        await jest.advanceTimersByTimeAsync(5000);
+
+        await expect(done).resolves.toMatchObject({
+            status: 'delivered',
+            attempts: 2,
+            responses: ['Added Notch to the whitelist'],
+            last_error: null
+        });
+        expect(saves.map(save => save.status)).toEqual(['retrying', 'delivered']);
+        expect(loadServer).toHaveBeenCalledTimes(2);
+    });
+
+    test('a manual retry makes one attempt and keeps counting', async () => {
+        const saves = [];
+        const result = await deliverCommands({ commands: ['list'], attempts: 4 }, async () => null, async updates => {
+            saves.push(updates);
+            return updates;
+        }, { retryDelays: [] });
+
+        expect(result).toEqual({ status: 'failed', attempts: 5, last_error: NOT_CONFIGURED });
+        expect(saves).toHaveLength(1);
+    });
+});
+
+describe('failInterruptedDeliveries', () => {
+    test('fails deliveries a restart left pending or retrying, and only those', async () => {
+        const storage = new MemoryStorage();
+        const longAgo = new Date(Date.now() - DELIVERY_WINDOW - 60 * 1000).toISOString();
+        const delivery = async (status, createdAt) => {
+            const created = await storage.createRconDelivery({
+                api_key_id: 'key', event: 'verify', player_uuid: 'uuid', player_name: 'Notch', commands: ['list'], status, attempts: 1
+            });
+            return storage.updateRconDelivery(created.id, createdAt ? { created_at: createdAt } : {});
+        };
+
+        const pending = await delivery('pending', longAgo);
+        const retrying = await delivery('retrying', longAgo);
+        const delivered = await delivery('delivered', longAgo);
+        const running = await delivery('retrying');
+
+        const failed = await failInterruptedDeliveries(storage);
+
+        expect(failed.map(entry => entry.id).sort()).toEqual([pending.id, retrying.id].sort());
+        expect(await storage.getRconDelivery('key', pending.id)).toMatchObject({ status: 'failed', last_error: INTERRUPTED_ERROR });
+        expect(await storage.getRconDelivery('key', retrying.id)).toMatchObject({ status: 'failed', last_error: INTERRUPTED_ERROR });
+        expect((await storage.getRconDelivery('key', delivered.id)).status).toBe('delivered');
+        expect((await storage.getRconDelivery('key', running.id)).status).toBe('retrying');
+
+        expect(await failInterruptedDeliveries(storage)).toEqual([]);
+    });
+});
@@ -0,0 +1,261 @@
+const useragent = require('useragent');
+const { ScoringEngine, DEFAULT_DETECTORS, resolveThresholds, actionForScore } = require('../lib/scoring');
+const userAgent = require('../lib/scoring/user-agent');
+const geo = require('../lib/scoring/geo');
+const velocity = require('../lib/scoring/velocity');
+const ipReputation = require('../lib/scoring/ip-reputation');
+const telemetry = require('../lib/scoring/telemetry');
+const { parseTelemetry, extractFeatures } = require('../lib/telemetry');
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// The request context api.js builds for the engine
+function context({ ua = CHROME, ip = '81.2.69.142', country = 'GB', trace = null, counts = { minute: 1, hour: 1 } } = {}) {
+    return {
+        userAgent: ua,
+        agent: ua ? useragent.parse(ua) : null,
+        ip,
+        geo: country ? { country } : null,
+        telemetry: extractFeatures(parseTelemetry(trace)),
+        velocity: counts
+    };
+}
+
+// A person moving the pointer onto the checkbox and clicking
+const HUMAN_TRACE = {
+    elapsed: 4000,
+    activation: 'mouse',
+    trusted: true,
+    path: [[-50, -30, 400], [-20, -10, 200], [-5, -8, 100], [0, 0, 0]],
+    focus: 0,
+    blur: 0,
+    touches: 0,
+    keys: 0
+};
+
+// A stub detector that always reports the given reasons
+const stub = (name, weight, reasons) => ({ name, weight, detect: () => reasons });
+
+describe('user_agent detector', () => {
+    test('flags missing and too short user agents', () => {
+        expect(userAgent.detect(context({ ua: null }))).toEqual([{ code: 'ua_missing', risk: 1 }]);
+        expect(userAgent.detect(context({ ua: 'Mozilla' }))).toEqual([{ code: 'ua_missing', risk: 1 }]);
+    });
+
+    test('flags automation keywords', () => {
+        expect(userAgent.detect(context({ ua: 'curl/8.4.0 (x86_64-pc-linux-gnu)' })))
+            .toEqual([{ code: 'ua_bot_keyword', risk: 1 }]);
+        expect(userAgent.detect(context({ ua: CHROME.replace('Chrome', 'HeadlessChrome') })))
+            .toEqual([{ code: 'ua_bot_keyword', risk: 1 }]);
+    });
+
+    test('flags browsers and systems it cannot recognize', () => {
+        expect(userAgent.detect(context({ ua: 'SomethingWeird/1.0 (Unknown)' }))).toEqual([
+            { code: 'ua_unknown_browser', risk: 0.5 },
+            { code: 'ua_unknown_os', risk: 0.3 }
+        ]);
+    });
+
+    test('passes a regular browser', () => {
+        expect(userAgent.detect(context())).toEqual([]);
+    });
+});
+
+describe('geo detector', () => {
+    test('passes located addresses', () => {
+        expect(geo.detect(context())).toEqual([]);
+    });
+
+    test('flags public addresses without a location', () => {
+        expect(geo.detect(context({ country: null }))).toEqual([{ code: 'geo_unknown', risk: 0.5 }]);
+    });
+
+    test('ignores private addresses', () => {
+        expect(geo.detect(context({ ip: '192.168.1.20', country: null }))).toEqual([]);
+        expect(geo.detect(context({ ip: '::1', country: null }))).toEqual([]);
+    });
+});
+
+describe('velocity detector', () => {
+    test('passes counts up to the thresholds', () => {
+        expect(velocity.detect(context({ counts: { minute: 5, hour: 60 } }))).toEqual([]);
+        expect(velocity.detect({ velocity: null })).toEqual([]);
+    });
+
+    test('ramps up between the thresholds and takes the higher window', () => {
+        expect(velocity.detect(context({ counts: { minute: 10, hour: 10 } })))
+            .toEqual([{ code: 'velocity_exceeded', risk: 0.5 }]);
+        expect(velocity.detect(context({ counts: { minute: 6, hour: 130 } })))
+            .toEqual([{ code: 'velocity_exceeded', risk: 0.5 }]);
+    });
+
+    test('is certain past the upper threshold', () => {
+        expect(velocity.detect(context({ counts: { minute: 40, hour: 40 } })))
+            .toEqual([{ code: 'velocity_exceeded', risk: 1 }]);
+    });
+});
+
+describe('ip_reputation detector', () => {
+    test('flags hosting provider ranges', () => {
+        expect(ipReputation.detect(context({ ip: '3.1.2.3' }))).toEqual([{ code: 'datacenter_ip', risk: 1 }]);
+        expect(ipReputation.detect(context({ ip: '2a01:4f8::1' }))).toEqual([{ code: 'datacenter_ip', risk: 1 }]);
+    });
+
+    test('passes other addresses', () => {
+        expect(ipReputation.detect(context())).toEqual([]);
+        expect(ipReputation.detect(context({ ip: null }))).toEqual([]);
+    });
+});
+
+describe('telemetry detector', () => {
+    test('adds a little risk when no trace was sent', () => {
+        expect(telemetry.detect(context())).toEqual([{ code: 'telemetry_missing', risk: 0.2 }]);
+    });
+
+    test('passes a human trace', () => {
+        expect(telemetry.detect(context({ trace: HUMAN_TRACE }))).toEqual([]);
+    });
+
+    test('flags a scripted click', () => {
+        const trace = { ...HUMAN_TRACE, elapsed: 50, activation: 'programmatic', trusted: false, path: [] };
+
+        expect(telemetry.detect(context({ trace })).map(reason => reason.code)).toEqual([
+            'telemetry_untrusted',
+            'telemetry_programmatic',
+            'telemetry_too_fast'
+        ]);
+    });
+
+    test('flags a straight pointer path at constant speed', () => {
+        const path = [[-40, 0, 400], [-30, 0, 300], [-20, 0, 200], [-10, 0, 100], [0, 0, 0]];
+
+        expect(telemetry.detect(context({ trace: { ...HUMAN_TRACE, path } })).map(reason => reason.code)).toEqual([
+            'telemetry_linear_path',
+            'telemetry_constant_speed'
+        ]);
+    });
+});
+
+describe('ScoringEngine', () => {
+    test('combines risks as 1 - product(1 - weight * risk)', () => {
+        const engine = new ScoringEngine([
+            stub('a', 0.5, [{ code: 'a_reason', risk: 1 }]),
+            stub('b', 0.8, [{ code: 'b_reason', risk: 0.5 }])
+        ]);
+
+        // 1 - (1 - 0.5) * (1 - 0.4) = 0.7 of risk
+        const result = engine.evaluate({});
+        expect(result.score).toBe(0.3);
+        expect(result.action).toBe('challenge');
+        expect(result.detectors).toEqual([
+            { name: 'a', weight: 0.5, risk: 1 },
+            { name: 'b', weight: 0.8, risk: 0.5 }
+        ]);
+    });
+
+    test('splits the score drop between reasons by weighted risk', () => {
+        const engine = new ScoringEngine([
+            stub('a', 0.5, [{ code: 'a_reason', risk: 1 }]),
+            stub('b', 0.8, [{ code: 'b_reason', risk: 0.5 }])
+        ]);
+
+        // Weighted risks 0.5 and 0.4 share the drop of 0.7
+        const { reasons } = engine.evaluate({});
+        expect(reasons).toEqual([
+            { code: 'a_reason', detector: 'a', contribution: -0.39 },
+            { code: 'b_reason', detector: 'b', contribution: -0.31 }
+        ]);
+    });
+
+    test('caps a detector at a risk of 1, shared by its reasons', () => {
+        const engine = new ScoringEngine([
+            stub('a', 0.6, [{ code: 'first', risk: 0.9 }, { code: 'second', risk: 0.3 }])
+        ]);
+
+        const result = engine.evaluate({});
+        expect(result.score).toBe(0.4);
+        expect(result.detectors).toEqual([{ name: 'a', weight: 0.6, risk: 1 }]);
+        expect(result.reasons).toEqual([
+            { code: 'first', detector: 'a', contribution: -0.45 },
+            { code: 'second', detector: 'a', contribution: -0.15 }
+        ]);
+    });
+
+    test('scores a clean request 1 with no reasons', () => {
+        const engine = new ScoringEngine([stub('a', 1, []), stub('b', 0.5, 0)]);
+
+        expect(engine.evaluate({})).toEqual({
+            score: 1,
+            action: 'allow',
+            detectors: [{ name: 'a', weight: 1, risk: 0 }, { name: 'b', weight: 0.5, risk: 0 }],
+            reasons: []
+        });
+    });
+
+    test('treats a bare number as one reason named after the detector', () => {
+        const engine = new ScoringEngine([stub('flat', 1, 0.25)]);
+
+        expect(engine.evaluate({}).reasons).toEqual([{ code: 'flat', detector: 'flat', contribution: -0.25 }]);
+    });
+
+    test('skips a detector that throws', () => {
+        const failing = { name: 'broken', weight: 1, detect: () => { throw new Error('boom'); } };
+        const engine = new ScoringEngine([failing, stub('a', 0.5, [{ code: 'a_reason', risk: 1 }])]);
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            expect(engine.evaluate({}).score).toBe(0.5);
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+
+    test('rejects detectors without a name, detect() or a weight from 0 to 1', () => {
+        const engine = new ScoringEngine([]);
+
+        expect(() => engine.use({ weight: 1, detect: () => [] })).toThrow(TypeError);
+        expect(() => engine.use({ name: 'x', weight: 1 })).toThrow(TypeError);
+        expect(() => engine.use(stub('x', 1.5, []))).toThrow(RangeError);
+    });
+
+    test('is deterministic with the default detectors', () => {
+        const engine = new ScoringEngine(DEFAULT_DETECTORS);
+        const bot = context({ ua: 'python-requests/2.31', ip: '3.1.2.3', counts: { minute: 15, hour: 15 } });
+
+        const first = engine.evaluate(bot);
+        expect(engine.evaluate(bot)).toEqual(first);
+        expect(first.action).toBe('block');
+        expect(first.reasons.map(reason => reason.code)).toEqual([
+            'ua_bot_keyword',
+            'velocity_exceeded',
+            'datacenter_ip',
+            'telemetry_missing'
+        ]);
+        expect(first.reasons.reduce((sum, reason) => sum + reason.contribution, 0)).toBeCloseTo(first.score - 1, 1);
+
+        expect(engine.evaluate(context({ trace: HUMAN_TRACE }))).toMatchObject({ score: 1, action: 'allow', reasons: [] });
+    });
+});
+
+describe('thresholds', () => {
+    test('map scores to actions', () => {
+        expect(actionForScore(0.1)).toBe('block');
+        expect(actionForScore(0.2)).toBe('challenge');
+        expect(actionForScore(0.5)).toBe('allow');
+        expect(actionForScore(0.6, { challenge: 0.7, block: 0.3 })).toBe('challenge');
+    });
+
+    test('come from the key, never with block above challenge', () => {
+        expect(resolveThresholds({})).toEqual({ challenge: 0.5, block: 0.2 });
+        expect(resolveThresholds({ challenge_threshold: '0.7', block_threshold: 0.4 })).toEqual({ challenge: 0.7, block: 0.4 });
+        expect(resolveThresholds({ challenge_threshold: 0.3, block_threshold: 0.6 })).toEqual({ challenge: 0.3, block: 0.3 });
+        expect(resolveThresholds({ challenge_threshold: 2, block_threshold: '' })).toEqual({ challenge: 0.5, block: 0.2 });
+    });
+
+    test('use an action\'s own thresholds when it has them', () => {
+        const apiKey = { challenge_threshold: 0.5, block_threshold: 0.2, action_thresholds: { login: { challenge: 0.8, block: 0.4 } } };
+
+        expect(resolveThresholds(apiKey, 'login')).toEqual({ challenge: 0.8, block: 0.4 });
+        expect(resolveThresholds(apiKey, 'vote')).toEqual({ challenge: 0.5, block: 0.2 });
+    });
+});
@@ -3,8 +3,10 @@ class DefendaCaptcha {
         // Default options
         this.options = {
             sitekey: '',
+            apiUrl: window.location.origin,
             theme: 'light',
             size: 'normal',
+            difficulty: 'easy',
             callback: null,
             'expired-callback': null,
             'error-callback': null,
@@ -13,9 +15,13 @@ class DefendaCaptcha {
 
         // State
         this.isVerified = false;
+        this.token = null;
         this.widgetId = 'defenda-captcha-' + Math.random().toString(36).substr(2, 9);
-        this.challenge = this.generateChallenge();
-        
+        this.challenge = null;
+        this.challengeType = 'math';
+        this.audioUrl = null;
+        this.expiryTimer = null;
+
         // Bind methods
         this.render = this.render.bind(this);
         this.verify = this.verify.bind(this);
@@ -23,20 +29,115 @@ class DefendaCaptcha {
         this.execute = this.execute.bind(this);
     }
 
-    generateChallenge() {
-        const a = Math.floor(Math.random() * 10) + 1;
-        const b = Math.floor(Math.random() * 10) + 1;
-        return {
-            question: `What is ${a} + ${b}?`,
-            answer: (a + b).toString()
-        };
+    // Request a new question from the API. Only the question and a signed
+    // token reach the browser; the answer is checked server-side. Audio
+    // challenges are spoken digits fetched as a recording.
+    async loadChallenge() {
+        const response = await fetch(`${this.options.apiUrl}/api/v1/challenge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-API-Key': this.options.sitekey
+            },
+            body: JSON.stringify({
+                type: this.challengeType,
+                difficulty: this.options.difficulty
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || data.error || 'Failed to get challenge');
+        }
+
+        this.challenge = data.challenge;
+
+        const widget = document.getElementById(this.widgetId);
+        const question = widget?.nextElementSibling?.querySelector('.defenda-captcha-challenge-question');
+        if (question) {
+            question.textContent = this.challenge.type === 'audio'
+                ? this.challenge.data.prompt
+                : this.challenge.data.question;
+        }
+
+        if (this.challenge.type === 'audio') {
+            await this.loadAudio();
+        }
+
+        return this.challenge;
+    }
+
+    async loadAudio() {
+        const response = await fetch(
+            `${this.options.apiUrl}/api/v1/challenge-asset?token=${encodeURIComponent(this.challenge.token)}`,
+            { headers: { 'X-API-Key': this.options.sitekey } }
+        );
+
+        if (!response.ok) {
+            throw new Error('Failed to load the audio challenge');
+        }
+
+        this.releaseAudio();
+        this.audioUrl = URL.createObjectURL(await response.blob());
+
+        const player = document.getElementById(this.widgetId)?.nextElementSibling?.querySelector('audio');
+        if (player) {
+            player.src = this.audioUrl;
+            player.play().catch(() => {
+                // Autoplay was blocked: the player's own controls still work
+            });
+        }
+    }
+
+    releaseAudio() {
+        const player = document.getElementById(this.widgetId)?.nextElementSibling?.querySelector('audio');
+        if (player) {
+            player.pause();
+            player.removeAttribute('src');
+        }
+
+        if (this.audioUrl) {
+            URL.revokeObjectURL(this.audioUrl);
+            this.audioUrl = null;
+        }
+    }
+
+    // The headphone button switches between the written question and the
+    // audio challenge
+    async toggleAudio() {
+        const widget = document.getElementById(this.widgetId);
+        const panel = widget?.nextElementSibling;
+        if (!panel) return;
+
+        this.challengeType = this.challengeType === 'audio' ? 'math' : 'audio';
+        const audio = this.challengeType === 'audio';
+
+        const toggle = panel.querySelector('.defenda-captcha-audio-toggle');
+        const label = audio ? 'Switch to a written question' : 'Switch to an audio challenge';
+        toggle.setAttribute('aria-label', label);
+        toggle.setAttribute('aria-pressed', String(audio));
+        toggle.title = label;
+        panel.querySelector('audio').hidden = !audio;
+        if (!audio) this.releaseAudio();
+
+        const input = panel.querySelector('.defenda-captcha-challenge-input');
+        input.value = '';
+        input.placeholder = audio ? 'Type the digits you hear' : 'Type your answer';
+
+        try {
+            await this.loadChallenge();
+            input.focus();
+        } catch (error) {
+            this.showError('Could not load the challenge. Please try again.');
+            this.fail(error.message);
+        }
     }
 
     render(container) {
         if (typeof container === 'string') {
             container = document.getElementById(container);
         }
-        
+
         if (!container) {
             console.error('DefendaCaptcha: Container element not found');
             return;
@@ -45,7 +146,7 @@ class DefendaCaptcha {
         // Create widget HTML
         const widgetHTML = `
             <div id="${this.widgetId}" class="defenda-captcha ${this.options.theme} ${this.options.size}">
-                <div class="defenda-captcha-checkbox">
+                <div class="defenda-captcha-checkbox" role="checkbox" aria-checked="false" aria-label="I'm not a robot" tabindex="0">
                     <div class="defenda-captcha-checkbox-checkmark">
                         <svg viewBox="0 0 24 24" width="28" height="28">
                             <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z" fill="#fff"/>
@@ -58,17 +159,24 @@ class DefendaCaptcha {
                     <span>privacy</span>
                 </div>
             </div>
-            <div class="defenda-captcha-challenge" style="display: none;">
-                <div class="defenda-captcha-challenge-question">${this.challenge.question}</div>
-                <input type="text" class="defenda-captcha-challenge-input" placeholder="Type your answer">
-                <button class="defenda-captcha-challenge-verify">Verify</button>
-                <div class="defenda-captcha-error"></div>
+            <div class="defenda-captcha-challenge" role="group" aria-label="Verification challenge" style="display: none;">
+                <div class="defenda-captcha-challenge-question" id="${this.widgetId}-question" aria-live="polite"></div>
+                <audio controls preload="auto" aria-label="Audio challenge: spoken digits" hidden></audio>
+                <input type="text" class="defenda-captcha-challenge-input" inputmode="numeric" autocomplete="off" placeholder="Type your answer" aria-labelledby="${this.widgetId}-question">
+                <button type="button" class="defenda-captcha-audio-toggle" aria-label="Switch to an audio challenge" aria-pressed="false" title="Switch to an audio challenge">
+                    <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true" focusable="false">
+                        <path d="M3 18v-6a9 9 0 0 1 18 0v6"/>
+                        <path d="M21 19a2 2 0 0 1-2 2h-1v-6h3zM3 19a2 2 0 0 0 2 2h1v-6H3z"/>
+                    </svg>
+                </button>
+                <button type="button" class="defenda-captcha-challenge-verify">Verify</button>
+                <div class="defenda-captcha-error" role="alert"></div>
             </div>
         `;
 
         // Add to container
         container.innerHTML = widgetHTML;
-        
+
         // Add event listeners
         this.attachEvents();
     }
@@ -81,12 +189,24 @@ class DefendaCaptcha {
         const checkbox = widget.querySelector('.defenda-captcha-checkbox');
         if (checkbox) {
             checkbox.addEventListener('click', () => {
-                if (this.isVerified) return;
-                widget.classList.add('active');
-                widget.nextElementSibling.style.display = 'block';
+                if (this.isVerified || widget.classList.contains('active')) return;
+                this.openChallenge();
+            });
+
+            checkbox.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    checkbox.click();
+                }
             });
         }
 
+        // Headphone button
+        const audioToggle = widget.nextElementSibling?.querySelector('.defenda-captcha-audio-toggle');
+        if (audioToggle) {
+            audioToggle.addEventListener('click', () => this.toggleAudio());
+        }
+
         // Verify button click
         const verifyBtn = widget.nextElementSibling?.querySelector('.defenda-captcha-challenge-verify');
         if (verifyBtn) {
@@ -104,57 +224,141 @@ class DefendaCaptcha {
         }
     }
 
-    verify() {
+    async openChallenge() {
         const widget = document.getElementById(this.widgetId);
         if (!widget) return;
-        
+
+        widget.classList.add('active');
+        widget.nextElementSibling.style.display = 'block';
+
+        try {
+            await this.loadChallenge();
+            widget.nextElementSibling.querySelector('.defenda-captcha-challenge-input')?.focus();
+        } catch (error) {
+            this.showError('Could not load the challenge. Please try again.');
+            this.fail(error.message);
+        }
+    }
+
+    async verify() {
+        const widget = document.getElementById(this.widgetId);
+        if (!widget || !this.challenge) return;
+
         const input = widget.nextElementSibling?.querySelector('.defenda-captcha-challenge-input');
-        const errorEl = widget.nextElementSibling?.querySelector('.defenda-captcha-error');
-        
+        const verifyBtn = widget.nextElementSibling?.querySelector('.defenda-captcha-challenge-verify');
+
         if (!input) return;
-        
+
         const answer = input.value.trim();
-        
-        if (answer === this.challenge.answer) {
-            // Success
-            this.isVerified = true;
-            widget.classList.add('verified');
-            widget.nextElementSibling.style.display = 'none';
-            
-            // Call the callback if provided
-            if (typeof this.options.callback === 'function') {
-                this.options.callback('defenda-captcha-token');
-            }
-        } else {
-            // Show error
-            if (errorEl) {
-                errorEl.textContent = 'Incorrect answer. Please try again.';
-                errorEl.style.display = 'block';
-                
-                // Shake animation
-                const challenge = widget.nextElementSibling;
-                challenge.style.animation = 'defenda-shake 0.5s';
-                setTimeout(() => {
-                    challenge.style.animation = '';
-                }, 500);
-                
-                // Call error callback if provided
-                if (typeof this.options['error-callback'] === 'function') {
-                    this.options['error-callback']('incorrect-answer');
+        if (verifyBtn) verifyBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.options.apiUrl}/api/v1/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-API-Key': this.options.sitekey
+                },
+                body: JSON.stringify({
+                    token: this.challenge.token,
+                    response: answer,
+                    timestamp: Date.now()
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success && result.token) {
+                // Success
+                this.isVerified = true;
+                this.token = result.token;
+                this.challenge = null;
+                this.releaseAudio();
+                widget.querySelector('.defenda-captcha-checkbox')?.setAttribute('aria-checked', 'true');
+                widget.classList.remove('active');
+                widget.classList.add('verified');
+                widget.nextElementSibling.style.display = 'none';
+
+                this.scheduleExpiry(result.expires_in);
+
+                // Call the callback if provided
+                if (typeof this.options.callback === 'function') {
+                    this.options.callback(this.token);
                 }
+                return;
+            }
+
+            // A right answer to a written question that scored too low: the
+            // audio challenge is the one that settles it
+            if (result.action === 'challenge' && !result['error-codes'] && this.challengeType !== 'audio') {
+                this.showError('Please also answer the audio challenge.');
+                await this.toggleAudio();
+                return;
             }
+
+            // Every question can only be answered once: fetch a new one
+            input.value = '';
+            this.showError('Incorrect answer. Please try again.');
+            this.fail(result['error-codes']?.[0] || 'incorrect-answer');
+            await this.loadChallenge();
+        } catch (error) {
+            this.showError('Verification failed. Please try again.');
+            this.fail(error.message);
+        } finally {
+            if (verifyBtn) verifyBtn.disabled = false;
         }
     }
 
+    showError(message) {
+        const widget = document.getElementById(this.widgetId);
+        const errorEl = widget?.nextElementSibling?.querySelector('.defenda-captcha-error');
+        if (!errorEl) return;
+
+        errorEl.textContent = message;
+        errorEl.style.display = 'block';
+
+        // Shake animation
+        const challenge = widget.nextElementSibling;
+        challenge.style.animation = 'defenda-shake 0.5s';
+        setTimeout(() => {
+            challenge.style.animation = '';
+        }, 500);
+    }
+
+    fail(reason) {
+        // Call error callback if provided
+        if (typeof this.options['error-callback'] === 'function') {
+            this.options['error-callback'](reason);
+        }
+    }
+
+    // Response tokens are single-use and short-lived
+    scheduleExpiry(expiresIn) {
+        clearTimeout(this.expiryTimer);
+        if (!expiresIn) return;
+
+        this.expiryTimer = setTimeout(() => this.reset(), expiresIn * 1000);
+    }
+
+    getResponse() {
+        return this.token;
+    }
+
     reset() {
+        const wasVerified = this.isVerified;
+
         this.isVerified = false;
-        this.challenge = this.generateChallenge();
-        
+        this.token = null;
+        this.challenge = null;
+        clearTimeout(this.expiryTimer);
+        this.releaseAudio();
+
         const widget = document.getElementById(this.widgetId);
         if (!widget) return;
-        
+
         widget.classList.remove('verified', 'active');
-        
+        widget.querySelector('.defenda-captcha-checkbox')?.setAttribute('aria-checked', 'false');
+
         const challenge = widget.nextElementSibling;
         if (challenge) {
             challenge.style.display = 'none';
@@ -163,38 +367,35 @@ class DefendaCaptcha {
             if (input) input.value = '';
             if (errorEl) errorEl.textContent = '';
         }
-        
+
         // Call expired callback if provided
-        if (typeof this.options['expired-callback'] === 'function') {
+        if (wasVerified && typeof this.options['expired-callback'] === 'function') {
             this.options['expired-callback']();
         }
     }
 
     execute() {
         if (this.isVerified) {
-            return Promise.resolve('defenda-captcha-token');
+            return Promise.resolve(this.token);
         }
-        
-        return new Promise((resolve, reject) => {
+
+        return new Promise((resolve) => {
             // Store the original callback
             const originalCallback = this.options.callback;
-            
+
             // Set a new callback that resolves the promise
             this.options.callback = (token) => {
+                this.options.callback = originalCallback;
                 if (originalCallback) {
                     originalCallback(token);
                 }
                 resolve(token);
             };
-            
+
             // Show the challenge if not already shown
             const widget = document.getElementById(this.widgetId);
             if (widget && !widget.classList.contains('active')) {
-                widget.classList.add('active');
-                const challenge = widget.nextElementSibling;
-                if (challenge) {
-                    challenge.style.display = 'block';
-                }
+                this.openChallenge();
             }
         });
     }
@@ -212,10 +413,14 @@ document.addEventListener('DOMContentLoaded', () => {
             'expired-callback': window[el.getAttribute('data-expired-callback')],
             'error-callback': window[el.getAttribute('data-error-callback')]
         };
-        
+
+        if (el.getAttribute('data-api-url')) {
+            options.apiUrl = el.getAttribute('data-api-url');
+        }
+
         const captcha = new DefendaCaptcha(options);
         captcha.render(el);
-        
+
         // Make captcha instance available on the element
         el.defendaCaptcha = captcha;
     });